@@ -0,0 +1,370 @@
+import * as React from "react";
+
+import { BackupRestore } from "./BackupRestore.jsx";
+import { loadAnnotatedItems, rebuildAnnotatedItemIndex } from "./boardIndex.js";
+import { getIndicatorSettings, setIndicatorsEnabled } from "./indicator.js";
+import {
+  buildNoteIndex,
+  searchNotes,
+  getSnippet,
+  splitHighlights,
+} from "./search.js";
+
+// Maximum number of results rendered at once
+const MAX_RESULTS = 100;
+
+// Render text with highlighted match ranges
+const renderHighlighted = (text, ranges) =>
+  splitHighlights(text, ranges).map((segment, index) =>
+    segment.isMatch ? (
+      <mark
+        key={index}
+        style={{ backgroundColor: "#FEF08A", color: "inherit", padding: 0 }}
+      >
+        {segment.text}
+      </mark>
+    ) : (
+      <React.Fragment key={index}>{segment.text}</React.Fragment>
+    )
+  );
+
+/**
+ * Board-wide "All notes" browser
+ * Loads annotated items page by page and searches their notes
+ */
+export function AllNotesBrowser({ canEditItem, currentUserId, onRestored }) {
+  const [entries, setEntries] = React.useState([]);
+  const [progress, setProgress] = React.useState({ loaded: 0, total: 0 });
+  const [isLoading, setIsLoading] = React.useState(true);
+  const [isRescanning, setIsRescanning] = React.useState(false);
+  const [error, setError] = React.useState(null);
+  const [query, setQuery] = React.useState("");
+  const [mentionsMe, setMentionsMe] = React.useState(false);
+  const [reloadKey, setReloadKey] = React.useState(0);
+  const [showIndicators, setShowIndicators] = React.useState(true);
+  const [isUpdatingIndicators, setIsUpdatingIndicators] = React.useState(false);
+
+  React.useEffect(() => {
+    getIndicatorSettings().then((settings) =>
+      setShowIndicators(settings.showIndicators)
+    );
+  }, []);
+
+  // Load annotated items in pages; results appear as each page lands
+  React.useEffect(() => {
+    let cancelled = false;
+    setEntries([]);
+    setProgress({ loaded: 0, total: 0 });
+    setIsLoading(true);
+    setError(null);
+
+    loadAnnotatedItems({
+      onPage: ({ entries: pageEntries, loaded, total }) => {
+        if (cancelled) return;
+        setEntries((prev) => [...prev, ...pageEntries]);
+        setProgress({ loaded, total });
+      },
+      isCancelled: () => cancelled,
+    })
+      .catch((error) => {
+        console.error("[Annotate] Error loading board notes:", error);
+        if (!cancelled) setError("Failed to load board notes");
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [reloadKey]);
+
+  const noteIndex = React.useMemo(() => buildNoteIndex(entries), [entries]);
+
+  const itemsById = React.useMemo(
+    () => new Map(entries.map((entry) => [entry.itemId, entry.item])),
+    [entries]
+  );
+
+  const results = React.useMemo(() => {
+    const notes = mentionsMe
+      ? noteIndex.filter((doc) => doc.mentions.includes(currentUserId))
+      : noteIndex;
+    if (!query.trim()) {
+      return [...notes]
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .map((doc) => ({ ...doc, headingRanges: [], textRanges: [] }));
+    }
+    return searchNotes(notes, query);
+  }, [noteIndex, query, mentionsMe, currentUserId]);
+
+  const zoomToItem = React.useCallback(
+    async (itemId) => {
+      const item = itemsById.get(itemId);
+      if (!item) return;
+      try {
+        await miro.board.viewport.zoomTo(item);
+      } catch (error) {
+        console.error("[Annotate] Error zooming to item:", error);
+        miro.board.notifications.showError("Could not find this item");
+      }
+    },
+    [itemsById]
+  );
+
+  const rescanBoard = React.useCallback(async () => {
+    setIsRescanning(true);
+    try {
+      await rebuildAnnotatedItemIndex();
+      setReloadKey((key) => key + 1);
+    } catch (error) {
+      console.error("[Annotate] Error rescanning board:", error);
+      miro.board.notifications.showError("Failed to rescan board");
+    } finally {
+      setIsRescanning(false);
+    }
+  }, []);
+
+  const toggleIndicators = React.useCallback(async (enabled) => {
+    setShowIndicators(enabled);
+    setIsUpdatingIndicators(true);
+    try {
+      await setIndicatorsEnabled(enabled);
+    } catch (error) {
+      console.error("[Annotate] Error updating indicators:", error);
+      miro.board.notifications.showError("Failed to update note badges");
+      setShowIndicators(!enabled);
+    } finally {
+      setIsUpdatingIndicators(false);
+    }
+  }, []);
+
+  const handleRestored = React.useCallback(() => {
+    setReloadKey((key) => key + 1);
+    onRestored?.();
+  }, [onRestored]);
+
+  return (
+    <div
+      style={{
+        height: "100%",
+        overflowY: "auto",
+        backgroundColor: "#FAFBFC",
+        padding: "20px 24px",
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: "12px",
+        }}
+      >
+        <h2
+          style={{
+            fontSize: "16px",
+            fontWeight: "600",
+            color: "#111827",
+            margin: 0,
+          }}
+        >
+          All notes
+        </h2>
+        <button
+          onClick={rescanBoard}
+          disabled={isRescanning}
+          title="Find annotated items missing from the list"
+          style={{
+            padding: "6px 12px",
+            fontSize: "12px",
+            fontWeight: "500",
+            border: "1px solid #D1D5DB",
+            borderRadius: "6px",
+            cursor: isRescanning ? "not-allowed" : "pointer",
+            backgroundColor: "#FFFFFF",
+            color: "#374151",
+            opacity: isRescanning ? 0.6 : 1,
+          }}
+        >
+          {isRescanning ? "Scanning..." : "Rescan board"}
+        </button>
+      </div>
+
+      <label
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: "6px",
+          fontSize: "13px",
+          color: "#374151",
+          marginBottom: "12px",
+          cursor: isUpdatingIndicators ? "wait" : "pointer",
+        }}
+      >
+        <input
+          type="checkbox"
+          checked={showIndicators}
+          disabled={isUpdatingIndicators}
+          onChange={(e) => toggleIndicators(e.target.checked)}
+        />
+        Show note badges on this board
+      </label>
+
+      <BackupRestore
+        canEditItem={canEditItem}
+        currentUserId={currentUserId}
+        onRestored={handleRestored}
+      />
+
+      <div style={{ display: "flex", gap: "6px", marginBottom: "8px" }}>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search note headings and bodies"
+          style={{
+            flex: 1,
+            minWidth: 0,
+            padding: "8px",
+            fontSize: "14px",
+            border: "1px solid #D1D5DB",
+            borderRadius: "4px",
+          }}
+        />
+        <button
+          onClick={() => setMentionsMe((prev) => !prev)}
+          disabled={!currentUserId}
+          aria-pressed={mentionsMe}
+          title="Only show notes that @-mention you"
+          style={{
+            padding: "6px 10px",
+            fontSize: "12px",
+            fontWeight: "500",
+            border: "1px solid",
+            borderColor: mentionsMe ? "#3B82F6" : "#D1D5DB",
+            borderRadius: "6px",
+            cursor: currentUserId ? "pointer" : "not-allowed",
+            backgroundColor: mentionsMe ? "#EFF6FF" : "#FFFFFF",
+            color: "#374151",
+            whiteSpace: "nowrap",
+          }}
+        >
+          Mentions me
+        </button>
+      </div>
+
+      <div style={{ fontSize: "12px", color: "#6B7280", marginBottom: "12px" }}>
+        {isLoading
+          ? `Loading items ${progress.loaded}/${progress.total}...`
+          : `${results.length} ${results.length === 1 ? "note" : "notes"}`}
+      </div>
+
+      {error && (
+        <div
+          style={{ fontSize: "12px", color: "#DC2626", marginBottom: "12px" }}
+        >
+          {error}
+        </div>
+      )}
+
+      {!isLoading &&
+        mentionsMe &&
+        noteIndex.length > 0 &&
+        results.length === 0 && (
+          <div
+            style={{ padding: "20px", textAlign: "center", color: "#6B7280" }}
+          >
+            No notes mention you{query.trim() ? " for this search" : ""}.
+          </div>
+        )}
+
+      {!isLoading && noteIndex.length === 0 && (
+        <div style={{ padding: "20px", textAlign: "center", color: "#6B7280" }}>
+          No annotated items found on this board.
+        </div>
+      )}
+
+      {results.slice(0, MAX_RESULTS).map((result) => {
+        const snippet = getSnippet(result.text, result.textRanges);
+        return (
+          <div
+            key={`${result.itemId}-${result.noteId}`}
+            onClick={() => zoomToItem(result.itemId)}
+            style={{
+              padding: "12px",
+              marginBottom: "8px",
+              backgroundColor: "#FFFFFF",
+              border: "1px solid #E5E7EB",
+              borderRadius: "6px",
+              cursor: "pointer",
+              boxShadow: "0 1px 2px rgba(0,0,0,0.04)",
+              transition: "all 0.2s ease",
+            }}
+            onMouseEnter={(e) => {
+              e.currentTarget.style.backgroundColor = "#F3F4F6";
+              e.currentTarget.style.borderColor = "#D1D5DB";
+            }}
+            onMouseLeave={(e) => {
+              e.currentTarget.style.backgroundColor = "#FFFFFF";
+              e.currentTarget.style.borderColor = "#E5E7EB";
+            }}
+          >
+            <div
+              style={{
+                fontWeight: "600",
+                fontSize: "14px",
+                marginBottom: "6px",
+                color: "#111827",
+                lineHeight: "1.4",
+              }}
+            >
+              {renderHighlighted(result.heading, result.headingRanges)}
+            </div>
+            <div
+              style={{
+                fontSize: "13px",
+                color: "#6B7280",
+                lineHeight: "1.5",
+                marginBottom: "6px",
+              }}
+            >
+              {snippet.text
+                ? renderHighlighted(snippet.text, snippet.ranges)
+                : "No content"}
+            </div>
+            <div
+              style={{
+                fontSize: "11px",
+                color: "#9CA3AF",
+                display: "flex",
+                alignItems: "center",
+                gap: "6px",
+              }}
+            >
+              <span
+                style={{
+                  backgroundColor: "#F3F4F6",
+                  padding: "2px 6px",
+                  borderRadius: "4px",
+                }}
+              >
+                {result.itemName}
+              </span>
+              <span>{result.sectionName}</span>
+            </div>
+          </div>
+        );
+      })}
+
+      {results.length > MAX_RESULTS && (
+        <div
+          style={{ fontSize: "12px", color: "#9CA3AF", textAlign: "center" }}
+        >
+          Showing the first {MAX_RESULTS} results. Refine your search to see
+          more.
+        </div>
+      )}
+    </div>
+  );
+}
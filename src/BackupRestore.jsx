@@ -0,0 +1,251 @@
+import * as React from "react";
+
+import {
+  createBackup,
+  parseBackup,
+  planRestore,
+  applyRestore,
+} from "./backup.js";
+import { countNotes } from "./boardIndex.js";
+
+// Dry-run categories, in display order
+const PLAN_GROUPS = [
+  { key: "added", label: "Added", color: "#059669" },
+  { key: "overwritten", label: "Overwritten", color: "#D97706" },
+  { key: "unchanged", label: "Unchanged", color: "#6B7280" },
+  { key: "unmatched", label: "Unmatched (not on board)", color: "#DC2626" },
+  {
+    key: "ambiguous",
+    label: "Ambiguous (no single matching item)",
+    color: "#DC2626",
+  },
+];
+
+const buttonStyle = {
+  padding: "6px 12px",
+  fontSize: "12px",
+  fontWeight: "500",
+  border: "1px solid #D1D5DB",
+  borderRadius: "6px",
+  cursor: "pointer",
+  backgroundColor: "#FFFFFF",
+  color: "#374151",
+};
+
+/**
+ * Board backup download and restore with a dry-run diff
+ */
+export function BackupRestore({ canEditItem, currentUserId, onRestored }) {
+  const [status, setStatus] = React.useState(null);
+  const [isBusy, setIsBusy] = React.useState(false);
+  const [plan, setPlan] = React.useState(null);
+  const [restorePermissions, setRestorePermissions] = React.useState(false);
+  const fileInputRef = React.useRef(null);
+
+  const downloadBackup = React.useCallback(async () => {
+    setIsBusy(true);
+    setStatus("Collecting annotations...");
+    try {
+      const backup = await createBackup({
+        onProgress: ({ loaded, total }) =>
+          setStatus(`Collecting annotations ${loaded}/${total}...`),
+      });
+      const url = URL.createObjectURL(
+        new Blob([JSON.stringify(backup, null, 2)], {
+          type: "application/json",
+        })
+      );
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `annotate-backup-${backup.createdAt.slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+      setStatus(`Backed up ${backup.items.length} items`);
+    } catch (error) {
+      console.error("[Annotate] Error creating backup:", error);
+      setStatus("Failed to create backup");
+    } finally {
+      setIsBusy(false);
+    }
+  }, []);
+
+  const previewRestore = React.useCallback(async (file) => {
+    if (!file) return;
+    setIsBusy(true);
+    setStatus("Comparing backup with board...");
+    try {
+      const backup = parseBackup(await file.text());
+      setPlan(await planRestore(backup));
+      setRestorePermissions(false);
+      setStatus(null);
+    } catch (error) {
+      console.error("[Annotate] Error reading backup:", error);
+      setStatus(error.message);
+    } finally {
+      setIsBusy(false);
+    }
+  }, []);
+
+  const confirmRestore = React.useCallback(async () => {
+    if (!plan) return;
+    setIsBusy(true);
+    setStatus("Restoring...");
+    try {
+      const result = await applyRestore(plan, {
+        canWrite: canEditItem,
+        authorId: currentUserId,
+        restorePermissions,
+      });
+      const notes = [];
+      if (result.skipped.length) {
+        notes.push(`${result.skipped.length} skipped (no permission)`);
+      }
+      if (result.failed.length) {
+        notes.push(`${result.failed.length} failed`);
+      }
+      setStatus(
+        `Restored ${result.restored} items${
+          notes.length ? `, ${notes.join(", ")}` : ""
+        }`
+      );
+      setPlan(null);
+      onRestored?.();
+    } catch (error) {
+      console.error("[Annotate] Error restoring backup:", error);
+      setStatus("Failed to restore backup");
+    } finally {
+      setIsBusy(false);
+    }
+  }, [plan, canEditItem, currentUserId, restorePermissions, onRestored]);
+
+  const writeCount = plan ? plan.added.length + plan.overwritten.length : 0;
+
+  return (
+    <div style={{ marginBottom: "12px" }}>
+      <div style={{ display: "flex", gap: "6px" }}>
+        <button
+          onClick={downloadBackup}
+          disabled={isBusy}
+          style={{ ...buttonStyle, opacity: isBusy ? 0.6 : 1 }}
+        >
+          Back up board
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isBusy}
+          style={{ ...buttonStyle, opacity: isBusy ? 0.6 : 1 }}
+        >
+          Restore...
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          style={{ display: "none" }}
+          onChange={(e) => {
+            previewRestore(e.target.files?.[0]);
+            e.target.value = "";
+          }}
+        />
+      </div>
+
+      {status && (
+        <div style={{ fontSize: "12px", color: "#6B7280", marginTop: "8px" }}>
+          {status}
+        </div>
+      )}
+
+      {plan && (
+        <div
+          style={{
+            marginTop: "12px",
+            padding: "12px",
+            border: "1px solid #E5E7EB",
+            borderRadius: "8px",
+            backgroundColor: "#FFFFFF",
+          }}
+        >
+          <div
+            style={{
+              fontWeight: "600",
+              fontSize: "14px",
+              color: "#111827",
+              marginBottom: "8px",
+            }}
+          >
+            Restore preview
+          </div>
+          {PLAN_GROUPS.map(({ key, label, color }) =>
+            plan[key].length === 0 ? null : (
+              <div key={key} style={{ marginBottom: "8px" }}>
+                <div style={{ fontSize: "12px", fontWeight: "600", color }}>
+                  {label} ({plan[key].length})
+                </div>
+                {plan[key].map(({ entry, matchedBy, currentNotesCount }) => (
+                  <div
+                    key={entry.itemId}
+                    style={{
+                      fontSize: "12px",
+                      color: "#374151",
+                      paddingLeft: "8px",
+                    }}
+                  >
+                    {entry.itemName || entry.itemId}
+                    <span style={{ color: "#9CA3AF" }}>
+                      {key === "overwritten"
+                        ? ` · ${currentNotesCount} → ${countNotes(
+                            entry.payload?.sections
+                          )} notes`
+                        : ` · ${countNotes(entry.payload?.sections)} notes`}
+                      {matchedBy === "fingerprint" && " · matched by position"}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )
+          )}
+          <label
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: "6px",
+              fontSize: "12px",
+              color: "#374151",
+              marginTop: "8px",
+            }}
+          >
+            <input
+              type="checkbox"
+              checked={restorePermissions}
+              disabled={isBusy}
+              onChange={(e) => setRestorePermissions(e.target.checked)}
+            />
+            Also restore permissions from the backup
+          </label>
+          <div style={{ display: "flex", gap: "6px", marginTop: "12px" }}>
+            <button
+              onClick={confirmRestore}
+              disabled={isBusy || writeCount === 0}
+              className="button button-primary"
+              style={{
+                padding: "6px 12px",
+                fontSize: "12px",
+                borderRadius: "6px",
+                opacity: isBusy || writeCount === 0 ? 0.6 : 1,
+              }}
+            >
+              Restore {writeCount} {writeCount === 1 ? "item" : "items"}
+            </button>
+            <button
+              onClick={() => setPlan(null)}
+              disabled={isBusy}
+              style={buttonStyle}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
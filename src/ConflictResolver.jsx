@@ -0,0 +1,177 @@
+import * as React from "react";
+
+import { docToText } from "./document.js";
+
+const CHOICES = [
+  { value: "local", label: "Keep mine" },
+  { value: "remote", label: "Keep theirs" },
+  { value: "both", label: "Keep both" },
+];
+
+// One side of a conflicting note
+const renderVersion = (title, note, isChosen) => (
+  <div
+    style={{
+      flex: 1,
+      minWidth: 0,
+      padding: "8px",
+      border: "1px solid",
+      borderColor: isChosen ? "#3B82F6" : "#E5E7EB",
+      borderRadius: "6px",
+      backgroundColor: isChosen ? "#EFF6FF" : "#FFFFFF",
+    }}
+  >
+    <div
+      style={{
+        fontSize: "11px",
+        fontWeight: "600",
+        color: "#6B7280",
+        textTransform: "uppercase",
+        marginBottom: "6px",
+      }}
+    >
+      {title}
+    </div>
+    {note ? (
+      <>
+        <div
+          style={{
+            fontWeight: "600",
+            fontSize: "13px",
+            color: "#111827",
+            marginBottom: "4px",
+          }}
+        >
+          {note.heading || "Untitled"}
+        </div>
+        <div
+          style={{
+            fontSize: "12px",
+            color: "#374151",
+            lineHeight: "1.5",
+            whiteSpace: "pre-wrap",
+            wordBreak: "break-word",
+          }}
+        >
+          {docToText(note.body) || "No content"}
+        </div>
+      </>
+    ) : (
+      <div style={{ fontSize: "12px", color: "#DC2626", fontStyle: "italic" }}>
+        Deleted
+      </div>
+    )}
+  </div>
+);
+
+/**
+ * Side-by-side resolution of notes edited concurrently by someone else
+ */
+export function ConflictResolver({ conflicts, onResolve }) {
+  const [choices, setChoices] = React.useState({});
+  const isComplete = conflicts.every((c) => choices[c.noteId]);
+
+  return (
+    <div
+      style={{
+        height: "100%",
+        overflowY: "auto",
+        backgroundColor: "#FAFBFC",
+        padding: "20px 24px",
+      }}
+    >
+      <h2
+        style={{
+          fontSize: "16px",
+          fontWeight: "600",
+          color: "#111827",
+          margin: "0 0 6px",
+        }}
+      >
+        Resolve conflicting edits
+      </h2>
+      <div style={{ fontSize: "13px", color: "#6B7280", marginBottom: "16px" }}>
+        Someone else changed{" "}
+        {conflicts.length === 1 ? "a note" : `${conflicts.length} notes`} you
+        were editing. Choose which version to keep.
+      </div>
+
+      {conflicts.map((conflict) => (
+        <div
+          key={conflict.noteId}
+          style={{
+            marginBottom: "16px",
+            padding: "12px",
+            border: "1px solid #E5E7EB",
+            borderRadius: "8px",
+            backgroundColor: "#FFFFFF",
+          }}
+        >
+          <div style={{ display: "flex", gap: "8px", marginBottom: "8px" }}>
+            {renderVersion(
+              "Mine",
+              conflict.local,
+              choices[conflict.noteId] === "local" ||
+                choices[conflict.noteId] === "both"
+            )}
+            {renderVersion(
+              "Theirs",
+              conflict.remote,
+              choices[conflict.noteId] === "remote" ||
+                choices[conflict.noteId] === "both"
+            )}
+          </div>
+          <div style={{ display: "flex", gap: "6px" }}>
+            {CHOICES.map((choice) => (
+              <button
+                key={choice.value}
+                onClick={() =>
+                  setChoices((prev) => ({
+                    ...prev,
+                    [conflict.noteId]: choice.value,
+                  }))
+                }
+                style={{
+                  flex: 1,
+                  padding: "6px 8px",
+                  fontSize: "12px",
+                  fontWeight: "500",
+                  border: "1px solid",
+                  borderColor:
+                    choices[conflict.noteId] === choice.value
+                      ? "#3B82F6"
+                      : "#D1D5DB",
+                  borderRadius: "6px",
+                  cursor: "pointer",
+                  backgroundColor:
+                    choices[conflict.noteId] === choice.value
+                      ? "#EFF6FF"
+                      : "#FFFFFF",
+                  color: "#374151",
+                }}
+              >
+                {choice.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <button
+        onClick={() => onResolve(choices)}
+        disabled={!isComplete}
+        className="button button-primary"
+        style={{
+          width: "100%",
+          padding: "10px 16px",
+          fontSize: "14px",
+          fontWeight: "500",
+          borderRadius: "6px",
+          opacity: isComplete ? 1 : 0.6,
+        }}
+      >
+        Apply and save
+      </button>
+    </div>
+  );
+}
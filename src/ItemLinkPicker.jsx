@@ -0,0 +1,151 @@
+import * as React from "react";
+
+import {
+  loadLinkableItems,
+  pickItemOnBoard,
+  cancelItemPick,
+} from "./itemLinks.js";
+
+// Maximum number of matching items listed
+const MAX_ITEM_RESULTS = 8;
+
+/**
+ * Picker for the board item a note link points to
+ * Items are found by name or picked by selecting them on the board
+ */
+export function ItemLinkPicker({ onSelect, onClose }) {
+  const [items, setItems] = React.useState(null);
+  const [query, setQuery] = React.useState("");
+  const [isPicking, setIsPicking] = React.useState(false);
+  const [error, setError] = React.useState(null);
+
+  React.useEffect(() => {
+    let cancelled = false;
+    loadLinkableItems()
+      .then((loaded) => !cancelled && setItems(loaded))
+      .catch((error) => {
+        console.error("[Annotate] Error loading board items:", error);
+        if (!cancelled) setError("Failed to load board items");
+      });
+    return () => {
+      cancelled = true;
+      cancelItemPick();
+    };
+  }, []);
+
+  const matches = React.useMemo(() => {
+    const lowerQuery = query.trim().toLowerCase();
+    return (items || [])
+      .filter(({ title }) => title.toLowerCase().includes(lowerQuery))
+      .slice(0, MAX_ITEM_RESULTS);
+  }, [items, query]);
+
+  const pickOnBoard = React.useCallback(async () => {
+    setIsPicking(true);
+    miro.board.notifications.showInfo("Select the board item to link to");
+    const item = await pickItemOnBoard();
+    setIsPicking(false);
+    if (item) onSelect(item);
+  }, [onSelect]);
+
+  return (
+    <div
+      style={{
+        padding: "8px 12px",
+        borderBottom: "1px solid #E5E7EB",
+        backgroundColor: "#F9FAFB",
+        fontSize: "12px",
+        color: "#374151",
+      }}
+    >
+      <div style={{ display: "flex", gap: "6px", marginBottom: "6px" }}>
+        <input
+          type="search"
+          autoFocus
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Escape") onClose();
+            if (e.key === "Enter" && matches[0]) onSelect(matches[0].item);
+          }}
+          placeholder="Find a board item by name"
+          style={{
+            flex: 1,
+            minWidth: 0,
+            padding: "6px 8px",
+            fontSize: "13px",
+            border: "1px solid #D1D5DB",
+            borderRadius: "4px",
+          }}
+        />
+        <button
+          onClick={isPicking ? cancelItemPick : pickOnBoard}
+          title="Select the item on the board instead"
+          style={{
+            padding: "6px 10px",
+            fontSize: "12px",
+            fontWeight: "500",
+            border: "1px solid",
+            borderColor: isPicking ? "#3B82F6" : "#D1D5DB",
+            borderRadius: "6px",
+            cursor: "pointer",
+            backgroundColor: isPicking ? "#EFF6FF" : "#FFFFFF",
+            color: "#374151",
+            whiteSpace: "nowrap",
+          }}
+        >
+          {isPicking ? "Cancel pick" : "Pick on board"}
+        </button>
+        <button
+          onClick={onClose}
+          title="Close"
+          style={{
+            padding: "6px 8px",
+            fontSize: "12px",
+            border: "none",
+            cursor: "pointer",
+            backgroundColor: "transparent",
+            color: "#6B7280",
+          }}
+        >
+          ✕
+        </button>
+      </div>
+
+      {error && <div style={{ color: "#DC2626" }}>{error}</div>}
+      {!error && items === null && (
+        <div style={{ color: "#6B7280" }}>Loading board items...</div>
+      )}
+      {items !== null && matches.length === 0 && (
+        <div style={{ color: "#6B7280" }}>No matching items</div>
+      )}
+      {matches.map(({ item, title }) => (
+        <div
+          key={item.id}
+          onClick={() => onSelect(item)}
+          style={{
+            padding: "4px 6px",
+            borderRadius: "4px",
+            cursor: "pointer",
+            display: "flex",
+            justifyContent: "space-between",
+            gap: "8px",
+          }}
+          onMouseEnter={(e) => {
+            e.currentTarget.style.backgroundColor = "#F3F4F6";
+          }}
+          onMouseLeave={(e) => {
+            e.currentTarget.style.backgroundColor = "transparent";
+          }}
+        >
+          <span style={{ overflow: "hidden", textOverflow: "ellipsis" }}>
+            {title}
+          </span>
+          <span style={{ color: "#9CA3AF", whiteSpace: "nowrap" }}>
+            {item.type}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,358 @@
+import * as React from "react";
+
+import {
+  loadItemsOverview,
+  updateItemsAnnotations,
+  addNote,
+  addSection,
+  clearAnnotations,
+} from "./bulk.js";
+import { countNotes, getItemTitle } from "./boardIndex.js";
+import { docToText } from "./document.js";
+import { sortNotes } from "./models.js";
+import { applyTemplate } from "./templates.js";
+import { TemplateLibrary } from "./TemplateLibrary.jsx";
+
+// Longest note preview in the overview
+const PREVIEW_LENGTH = 80;
+
+const buttonStyle = {
+  padding: "6px 12px",
+  fontSize: "12px",
+  fontWeight: "500",
+  border: "1px solid #D1D5DB",
+  borderRadius: "6px",
+  cursor: "pointer",
+  backgroundColor: "#FFFFFF",
+  color: "#374151",
+};
+
+const inputStyle = {
+  width: "100%",
+  padding: "6px 8px",
+  fontSize: "13px",
+  border: "1px solid #D1D5DB",
+  borderRadius: "4px",
+  marginBottom: "6px",
+};
+
+// One-line summary of a bulk update
+const describeResult = ({ updated, skipped, failed }) => {
+  const total = updated.length + skipped.length + failed.length;
+  const parts = [`Updated ${updated.length} of ${total} items.`];
+  [...skipped, ...failed].forEach(({ item, reason }) => {
+    parts.push(`${getItemTitle(item)}: ${reason}.`);
+  });
+  return parts.join(" ");
+};
+
+const getPreview = (body) => {
+  const text = docToText(body);
+  return text.length > PREVIEW_LENGTH
+    ? `${text.substring(0, PREVIEW_LENGTH)}...`
+    : text;
+};
+
+/**
+ * Multi-selection mode: merged read-only overview of the selected items'
+ * notes and bulk actions applied to every selected item
+ */
+export function MultiSelectionPanel({
+  items,
+  currentUserId,
+  currentUserName,
+  onChanged,
+}) {
+  const [overview, setOverview] = React.useState(null);
+  const [reloadKey, setReloadKey] = React.useState(0);
+  const [action, setAction] = React.useState(null);
+  const [sectionName, setSectionName] = React.useState("General");
+  const [heading, setHeading] = React.useState("");
+  const [bodyText, setBodyText] = React.useState("");
+  const [isBusy, setIsBusy] = React.useState(false);
+  const [status, setStatus] = React.useState(null);
+
+  React.useEffect(() => {
+    let cancelled = false;
+    setOverview(null);
+    loadItemsOverview(items).then((entries) => {
+      if (!cancelled) setOverview(entries);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [items, reloadKey]);
+
+  const runBulk = React.useCallback(
+    async (transform) => {
+      setIsBusy(true);
+      setStatus(`Updating ${items.length} items...`);
+      try {
+        const result = await updateItemsAnnotations(items, transform, {
+          authorId: currentUserId,
+        });
+        setStatus(describeResult(result));
+        if (result.updated.length > 0) {
+          setAction(null);
+          setReloadKey((key) => key + 1);
+          onChanged?.(result);
+        }
+      } catch (error) {
+        console.error("[Annotate] Error running bulk action:", error);
+        setStatus("Failed to update the selected items");
+      } finally {
+        setIsBusy(false);
+      }
+    },
+    [items, currentUserId, onChanged]
+  );
+
+  const submitNote = () => {
+    runBulk(
+      addNote({
+        sectionName: sectionName.trim() || "General",
+        heading: heading.trim(),
+        // One paragraph per line
+        body: bodyText ? bodyText.split("\n") : [],
+        authorId: currentUserId,
+      })
+    );
+  };
+
+  const submitSection = () => {
+    if (sectionName.trim()) runBulk(addSection(sectionName.trim()));
+  };
+
+  const submitTemplate = (template, mode) => {
+    runBulk((sections, item) =>
+      applyTemplate(sections, template, {
+        mode,
+        item,
+        authorId: currentUserId,
+        authorName: currentUserName,
+      })
+    );
+  };
+
+  const submitClear = () => {
+    if (
+      window.confirm(
+        `Delete all sections and notes on ${items.length} selected items?`
+      )
+    ) {
+      runBulk(clearAnnotations);
+    }
+  };
+
+  return (
+    <div
+      style={{
+        height: "100%",
+        overflowY: "auto",
+        backgroundColor: "#FAFBFC",
+        padding: "20px 24px",
+      }}
+    >
+      <h2
+        style={{
+          fontSize: "16px",
+          fontWeight: "600",
+          color: "#111827",
+          margin: "0 0 12px",
+        }}
+      >
+        {items.length} items selected
+      </h2>
+
+      {/* Bulk actions */}
+      <div
+        style={{
+          padding: "12px",
+          marginBottom: "16px",
+          border: "1px solid #E5E7EB",
+          borderRadius: "8px",
+          backgroundColor: "#FFFFFF",
+        }}
+      >
+        <div style={{ display: "flex", gap: "6px", flexWrap: "wrap" }}>
+          <button
+            onClick={() => setAction(action === "note" ? null : "note")}
+            disabled={isBusy}
+            style={buttonStyle}
+          >
+            Add note to all
+          </button>
+          <button
+            onClick={() => setAction(action === "section" ? null : "section")}
+            disabled={isBusy}
+            style={buttonStyle}
+          >
+            Add section to all
+          </button>
+          <button
+            onClick={() => setAction(action === "template" ? null : "template")}
+            disabled={isBusy}
+            style={buttonStyle}
+          >
+            Apply template
+          </button>
+          <button
+            onClick={submitClear}
+            disabled={isBusy}
+            style={{ ...buttonStyle, borderColor: "#FCA5A5", color: "#DC2626" }}
+          >
+            Clear annotations
+          </button>
+        </div>
+
+        {action === "template" && (
+          <div style={{ marginTop: "12px" }}>
+            <TemplateLibrary
+              currentUserId={currentUserId}
+              disabled={isBusy}
+              onApply={submitTemplate}
+            />
+          </div>
+        )}
+
+        {(action === "note" || action === "section") && (
+          <div style={{ marginTop: "12px" }}>
+            <input
+              type="text"
+              value={sectionName}
+              onChange={(e) => setSectionName(e.target.value)}
+              placeholder="Section name"
+              style={inputStyle}
+            />
+            {action === "note" && (
+              <>
+                <input
+                  type="text"
+                  value={heading}
+                  onChange={(e) => setHeading(e.target.value)}
+                  placeholder="Note heading (defaults to the item name)"
+                  style={inputStyle}
+                />
+                <textarea
+                  value={bodyText}
+                  onChange={(e) => setBodyText(e.target.value)}
+                  placeholder="Note text"
+                  rows={4}
+                  style={{ ...inputStyle, resize: "vertical" }}
+                />
+              </>
+            )}
+            <button
+              onClick={action === "note" ? submitNote : submitSection}
+              disabled={isBusy}
+              className="button button-primary"
+              style={{
+                padding: "6px 12px",
+                fontSize: "12px",
+                borderRadius: "6px",
+                opacity: isBusy ? 0.6 : 1,
+              }}
+            >
+              {action === "note" ? "Add note" : "Add section"} to {items.length}{" "}
+              items
+            </button>
+          </div>
+        )}
+
+        {status && (
+          <div style={{ fontSize: "12px", color: "#6B7280", marginTop: "8px" }}>
+            {status}
+          </div>
+        )}
+      </div>
+
+      {/* Merged overview, grouped by item */}
+      {overview === null && (
+        <div style={{ fontSize: "12px", color: "#6B7280" }}>
+          Loading notes...
+        </div>
+      )}
+      {(overview || []).map(({ item, itemName, sections, error }) => (
+        <div
+          key={item.id}
+          style={{
+            marginBottom: "12px",
+            border: "1px solid #E5E7EB",
+            borderRadius: "8px",
+            backgroundColor: "#FFFFFF",
+            overflow: "hidden",
+          }}
+        >
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              padding: "10px 12px",
+              backgroundColor: "#FAFBFC",
+              borderBottom: "1px solid #E5E7EB",
+              fontWeight: "600",
+              fontSize: "14px",
+              color: "#111827",
+            }}
+          >
+            <span>{itemName}</span>
+            <span style={{ fontSize: "12px", color: "#6B7280" }}>
+              {countNotes(sections)} notes
+            </span>
+          </div>
+          <div style={{ padding: "8px 12px" }}>
+            {error && (
+              <div style={{ fontSize: "12px", color: "#DC2626" }}>
+                Failed to load notes: {error}
+              </div>
+            )}
+            {!error && countNotes(sections) === 0 && (
+              <div
+                style={{
+                  fontSize: "12px",
+                  color: "#9CA3AF",
+                  fontStyle: "italic",
+                }}
+              >
+                No notes
+              </div>
+            )}
+            {sections
+              .filter((section) => (section.notes || []).length > 0)
+              .map((section) => (
+                <div key={section.id} style={{ marginBottom: "6px" }}>
+                  <div
+                    style={{
+                      fontSize: "11px",
+                      fontWeight: "600",
+                      color: "#6B7280",
+                      textTransform: "uppercase",
+                      marginBottom: "4px",
+                    }}
+                  >
+                    {section.name}
+                  </div>
+                  {sortNotes(section.notes).map((note) => (
+                    <div key={note.id} style={{ marginBottom: "6px" }}>
+                      <div
+                        style={{
+                          fontSize: "13px",
+                          fontWeight: "600",
+                          color: "#111827",
+                        }}
+                      >
+                        {note.heading || "Untitled"}
+                      </div>
+                      <div style={{ fontSize: "12px", color: "#6B7280" }}>
+                        {getPreview(note.body) || "No content"}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+import * as React from "react";
+
+import { diffRevisions, snapshotNote } from "./history.js";
+
+const DIFF_STYLES = {
+  added: { backgroundColor: "#D1FAE5", color: "#065F46" },
+  removed: {
+    backgroundColor: "#FEE2E2",
+    color: "#991B1B",
+    textDecoration: "line-through",
+  },
+  equal: {},
+};
+
+const formatTime = (timestamp) =>
+  timestamp ? new Date(timestamp).toLocaleString() : "Unknown time";
+
+const renderDiff = (parts) =>
+  parts.map((part, index) => (
+    <span key={index} style={DIFF_STYLES[part.type]}>
+      {part.text}
+    </span>
+  ));
+
+/**
+ * Prior versions of a note with word-level diffs and restore
+ */
+export function NoteHistory({ note, currentUserId, canRestore, onRestore }) {
+  // Newest first; index 0 is the current version
+  const versions = React.useMemo(
+    () => [snapshotNote(note), ...(note.history || []).slice().reverse()],
+    [note]
+  );
+  const [selectedIndex, setSelectedIndex] = React.useState(
+    versions.length > 1 ? 1 : 0
+  );
+
+  const selected = versions[selectedIndex] || versions[0];
+  const newer = versions[Math.max(selectedIndex - 1, 0)];
+  const diff = diffRevisions(selected, newer);
+
+  const authorLabel = (author) =>
+    author?.id && author.id === currentUserId
+      ? "You"
+      : author?.name || "A collaborator";
+
+  if (versions.length === 1) {
+    return (
+      <div style={{ fontSize: "13px", color: "#6B7280", fontStyle: "italic" }}>
+        No earlier versions yet
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ display: "flex", gap: "12px", fontSize: "13px" }}>
+      <div style={{ width: "40%", flexShrink: 0 }}>
+        {versions.map((version, index) => (
+          <button
+            key={`${version.updatedAt}-${index}`}
+            onClick={() => setSelectedIndex(index)}
+            style={{
+              display: "block",
+              width: "100%",
+              textAlign: "left",
+              padding: "6px 8px",
+              marginBottom: "4px",
+              border: "1px solid",
+              borderColor: index === selectedIndex ? "#3B82F6" : "#E5E7EB",
+              borderRadius: "6px",
+              backgroundColor: index === selectedIndex ? "#EFF6FF" : "#FFFFFF",
+              cursor: "pointer",
+              color: "#374151",
+            }}
+          >
+            <div style={{ fontWeight: "500" }}>
+              {index === 0 ? "Current" : formatTime(version.updatedAt)}
+            </div>
+            <div style={{ fontSize: "11px", color: "#6B7280" }}>
+              {authorLabel(version.author)}
+            </div>
+          </button>
+        ))}
+      </div>
+
+      <div style={{ flex: 1, minWidth: 0 }}>
+        {selectedIndex === 0 ? (
+          <div style={{ color: "#6B7280" }}>
+            Select an earlier version to compare it with the next one.
+          </div>
+        ) : (
+          <>
+            <div
+              style={{
+                fontSize: "11px",
+                color: "#6B7280",
+                marginBottom: "6px",
+              }}
+            >
+              Changes from this version to{" "}
+              {selectedIndex === 1 ? "the current one" : "the next one"}
+            </div>
+            <div
+              style={{
+                fontWeight: "600",
+                color: "#111827",
+                marginBottom: "6px",
+              }}
+            >
+              {renderDiff(diff.heading)}
+            </div>
+            <div
+              style={{
+                lineHeight: "1.5",
+                color: "#374151",
+                whiteSpace: "pre-wrap",
+                wordBreak: "break-word",
+                marginBottom: "12px",
+              }}
+            >
+              {diff.body.length > 0 ? renderDiff(diff.body) : "No content"}
+            </div>
+            {canRestore && (
+              <button
+                onClick={() => onRestore(selected)}
+                className="button button-primary"
+                style={{
+                  padding: "6px 12px",
+                  fontSize: "12px",
+                  borderRadius: "6px",
+                }}
+              >
+                Restore this version
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+import * as React from "react";
+
+import { EDIT_MODES } from "./permissions.js";
+import { getBoardUsers } from "./users.js";
+
+/**
+ * Owner-only panel for managing who can edit an item's annotations
+ */
+export function PermissionsPanel({ permissions, currentUserId, onChange }) {
+  const [boardUsers, setBoardUsers] = React.useState([]);
+  const [selectedUserId, setSelectedUserId] = React.useState("");
+
+  // Board members are offered as editors, whether or not they are online
+  React.useEffect(() => {
+    getBoardUsers().then(setBoardUsers);
+  }, []);
+
+  const editors = permissions.editors || [];
+  const candidates = boardUsers.filter(
+    (user) =>
+      user.id !== currentUserId &&
+      !editors.some((editor) => editor.id === user.id)
+  );
+
+  const addEditor = () => {
+    const user = boardUsers.find((u) => u.id === selectedUserId);
+    if (!user) return;
+    onChange({
+      ...permissions,
+      editors: [...editors, { id: user.id, name: user.name }],
+    });
+    setSelectedUserId("");
+  };
+
+  const removeEditor = (userId) => {
+    onChange({
+      ...permissions,
+      editors: editors.filter((editor) => editor.id !== userId),
+    });
+  };
+
+  return (
+    <div
+      style={{
+        marginBottom: "12px",
+        padding: "12px",
+        border: "1px solid #E5E7EB",
+        borderRadius: "8px",
+        backgroundColor: "#FFFFFF",
+        fontSize: "13px",
+        color: "#374151",
+      }}
+    >
+      <div style={{ fontWeight: "600", marginBottom: "8px", color: "#111827" }}>
+        Who can edit these notes
+      </div>
+      {EDIT_MODES.map((mode) => (
+        <label
+          key={mode.value}
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: "6px",
+            marginBottom: "4px",
+            cursor: "pointer",
+          }}
+        >
+          <input
+            type="radio"
+            name="edit-mode"
+            checked={permissions.mode === mode.value}
+            onChange={() => onChange({ ...permissions, mode: mode.value })}
+          />
+          {mode.label}
+        </label>
+      ))}
+
+      {permissions.mode === "editors" && (
+        <div style={{ marginTop: "8px" }}>
+          {editors.length === 0 ? (
+            <div style={{ color: "#9CA3AF", fontStyle: "italic" }}>
+              No editors yet
+            </div>
+          ) : (
+            editors.map((editor) => (
+              <div
+                key={editor.id}
+                style={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  alignItems: "center",
+                  padding: "4px 0",
+                }}
+              >
+                <span>{editor.name || editor.id}</span>
+                <button
+                  onClick={() => removeEditor(editor.id)}
+                  title="Remove editor"
+                  style={{
+                    padding: "2px 8px",
+                    fontSize: "12px",
+                    border: "1px solid #FCA5A5",
+                    borderRadius: "4px",
+                    backgroundColor: "#FFFFFF",
+                    color: "#DC2626",
+                    cursor: "pointer",
+                  }}
+                >
+                  ×
+                </button>
+              </div>
+            ))
+          )}
+          <div style={{ display: "flex", gap: "6px", marginTop: "8px" }}>
+            <select
+              value={selectedUserId}
+              onChange={(e) => setSelectedUserId(e.target.value)}
+              style={{ flex: 1, padding: "4px", fontSize: "13px" }}
+            >
+              <option value="">
+                {candidates.length > 0
+                  ? "Add a board member..."
+                  : "No other board members yet"}
+              </option>
+              {candidates.map((user) => (
+                <option key={user.id} value={user.id}>
+                  {user.online ? user.name : `${user.name} (offline)`}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={addEditor}
+              disabled={!selectedUserId}
+              style={{
+                padding: "4px 12px",
+                fontSize: "12px",
+                fontWeight: "500",
+                border: "1px solid #D1D5DB",
+                borderRadius: "6px",
+                backgroundColor: "#FFFFFF",
+                color: "#374151",
+                cursor: selectedUserId ? "pointer" : "not-allowed",
+                opacity: selectedUserId ? 1 : 0.6,
+              }}
+            >
+              Add
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
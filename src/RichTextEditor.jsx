@@ -1,33 +1,109 @@
 import * as React from "react";
 
+import { isSafeUrl } from "./sanitize.js";
+import { docToHtml, domToDoc, docToFragmentHtml } from "./document.js";
+import { preparePaste } from "./paste.js";
+import { getBoardUsers, matchUsers } from "./users.js";
+import {
+  getItemLinkTitle,
+  refreshItemLinks,
+  openItemLink,
+} from "./itemLinks.js";
+import { ItemLinkPicker } from "./ItemLinkPicker.jsx";
+import {
+  BLOCK_RULES,
+  INLINE_RULES,
+  SHORTCUTS,
+  formatShortcutKeys,
+  matchShortcut,
+  applyBlockRule,
+  applyInlineRule,
+  getMentionQuery,
+} from "./inputRules.js";
+
+// Toolbar title with the command's shortcut, when it has one
+const withShortcut = (title, command) => {
+  const shortcut = SHORTCUTS.find((s) => s.command === command);
+  return shortcut ? `${title} (${formatShortcutKeys(shortcut.keys)})` : title;
+};
+
 /**
  * Rich Text Editor component with formatting toolbar
  * Similar to Miro's card description editor
+ *
+ * Edits go through contentEditable and document.execCommand; on every input
+ * the DOM is converted back into the document model with domToDoc.
  */
 export function RichTextEditor({ value, onChange, disabled, placeholder }) {
   const editorRef = React.useRef(null);
+  const containerRef = React.useRef(null);
   const [isFocused, setIsFocused] = React.useState(false);
+  const [showShortcuts, setShowShortcuts] = React.useState(false);
+  // Open @-mention suggestions: { users, activeIndex, top, left }
+  const [mention, setMention] = React.useState(null);
+  // Last document emitted, so our own edits are not rendered back
+  const emittedRef = React.useRef(null);
+  // Set by the paste-as-plain-text shortcut for the paste event it triggers
+  const plainPasteRef = React.useRef(false);
+  const [showItemPicker, setShowItemPicker] = React.useState(false);
+  // Caret position to insert an item link at, kept while the picker is open
+  const itemLinkRangeRef = React.useRef(null);
+
+  const refreshLinks = React.useCallback(() => {
+    if (!editorRef.current) return;
+    refreshItemLinks(editorRef.current).catch((error) =>
+      console.error("[Annotate] Error refreshing item links:", error)
+    );
+  }, []);
 
-  // Update editor content when value changes externally
+  // Render the document when it changes externally
   React.useEffect(() => {
-    if (editorRef.current && editorRef.current.innerHTML !== value) {
-      editorRef.current.innerHTML = value || "";
+    if (editorRef.current && value !== emittedRef.current) {
+      editorRef.current.innerHTML = docToHtml(value, { readOnly: disabled });
+      emittedRef.current = value;
+      refreshLinks();
     }
   }, [value]);
 
-  // Handle content change
+  // Checklist boxes follow the editor's enabled state
+  React.useEffect(() => {
+    editorRef.current
+      ?.querySelectorAll('input[type="checkbox"]')
+      .forEach((checkbox) => {
+        checkbox.disabled = Boolean(disabled);
+      });
+  }, [disabled]);
+
+  // Read the edited DOM back into a document
   const handleInput = React.useCallback(() => {
     if (editorRef.current && onChange) {
-      onChange(editorRef.current.innerHTML);
+      const doc = domToDoc(editorRef.current);
+      emittedRef.current = doc;
+      onChange(doc);
     }
   }, [onChange]);
 
-  // Handle paste to strip formatting (optional - can be adjusted)
-  const handlePaste = React.useCallback((e) => {
-    e.preventDefault();
-    const text = e.clipboardData.getData("text/plain");
-    document.execCommand("insertText", false, text);
-  }, []);
+  // Paste rich text and Markdown as supported formatting, or as plain text
+  // after the paste-as-plain-text shortcut
+  const handlePaste = React.useCallback(
+    (e) => {
+      e.preventDefault();
+      const plainText = plainPasteRef.current;
+      plainPasteRef.current = false;
+
+      try {
+        const { html, text } = preparePaste(e.clipboardData, { plainText });
+        if (html) document.execCommand("insertHTML", false, html);
+        else if (text) document.execCommand("insertText", false, text);
+      } catch (error) {
+        console.error("[Annotate] Error converting pasted content:", error);
+        const text = e.clipboardData.getData("text/plain");
+        document.execCommand("insertText", false, text);
+      }
+      handleInput();
+    },
+    [handleInput]
+  );
 
   // Formatting commands
   const execCommand = React.useCallback(
@@ -39,6 +115,202 @@ export function RichTextEditor({ value, onChange, disabled, placeholder }) {
     [handleInput]
   );
 
+  const insertCheckbox = React.useCallback(() => {
+    const checkbox = '<input type="checkbox" style="margin-right: 4px;" />';
+    document.execCommand("insertHTML", false, checkbox);
+    editorRef.current?.focus();
+    handleInput();
+  }, [handleInput]);
+
+  const insertLink = React.useCallback(() => {
+    const url = prompt("Enter URL:");
+    if (url && !isSafeUrl(url)) {
+      miro.board.notifications.showError(
+        "Links must start with http://, https:// or mailto:"
+      );
+      return;
+    }
+    if (url) {
+      document.execCommand("createLink", false, url.trim());
+      editorRef.current?.focus();
+      handleInput();
+    }
+  }, [handleInput]);
+
+  const openItemPicker = React.useCallback(() => {
+    const selection = window.getSelection();
+    const range = selection?.rangeCount > 0 ? selection.getRangeAt(0) : null;
+    itemLinkRangeRef.current =
+      range && editorRef.current?.contains(range.startContainer)
+        ? range.cloneRange()
+        : null;
+    setShowItemPicker(true);
+  }, []);
+
+  // Insert a chip linking to a board item where the caret was
+  const insertItemLink = React.useCallback(
+    (item) => {
+      setShowItemPicker(false);
+      const editor = editorRef.current;
+      if (!editor) return;
+
+      editor.focus();
+      const selection = window.getSelection();
+      let range = itemLinkRangeRef.current;
+      if (!range) {
+        range = document.createRange();
+        range.selectNodeContents(editor);
+        range.collapse(false);
+      }
+      selection.removeAllRanges();
+      selection.addRange(range);
+
+      const html = docToFragmentHtml([
+        ["p", [[getItemLinkTitle(item), "", `#${item.id}`]]],
+      ]);
+      document.execCommand("insertHTML", false, `${html}&nbsp;`);
+      handleInput();
+      refreshLinks();
+    },
+    [handleInput, refreshLinks]
+  );
+
+  // Item-link chips select and zoom to their item, also when read-only
+  const handleEditorClick = React.useCallback((e) => {
+    const chip = e.target.closest?.("[data-item-id]");
+    if (chip) {
+      e.preventDefault();
+      openItemLink(chip.dataset.itemId);
+    }
+  }, []);
+
+  // Run a toolbar, shortcut or input rule command
+  const runCommand = React.useCallback(
+    (command, value) => {
+      if (command === "insertCheckbox") insertCheckbox();
+      else if (command === "createLink") insertLink();
+      else if (command === "showShortcuts") setShowShortcuts((prev) => !prev);
+      else execCommand(command, value);
+    },
+    [execCommand, insertCheckbox, insertLink]
+  );
+
+  // Suggest board users while an @-query is typed
+  const updateMention = React.useCallback(async () => {
+    const match = getMentionQuery(editorRef.current);
+    if (!match) {
+      setMention(null);
+      return;
+    }
+
+    const users = matchUsers(await getBoardUsers(), match.query);
+    // Typing may have moved on while users loaded
+    if (getMentionQuery(editorRef.current)?.query !== match.query) return;
+    if (users.length === 0) {
+      setMention(null);
+      return;
+    }
+
+    const caret = match.range.getBoundingClientRect();
+    const container = containerRef.current.getBoundingClientRect();
+    setMention({
+      users,
+      activeIndex: 0,
+      top: caret.bottom - container.top + 4,
+      left: Math.max(0, caret.left - container.left),
+    });
+  }, []);
+
+  // Replace the @-query with a mention token keeping the user id
+  const insertMention = React.useCallback(
+    (user) => {
+      const match = getMentionQuery(editorRef.current);
+      setMention(null);
+      if (!match) return;
+
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(match.range);
+      const html = docToFragmentHtml([
+        ["p", [[`@${user.name}`, "", `@${user.id}`]]],
+      ]);
+      document.execCommand("insertHTML", false, `${html}&nbsp;`);
+      editorRef.current?.focus();
+      handleInput();
+    },
+    [handleInput]
+  );
+
+  const handleKeyDown = React.useCallback(
+    (e) => {
+      if (mention) {
+        if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+          e.preventDefault();
+          const step = e.key === "ArrowDown" ? 1 : -1;
+          setMention((prev) => ({
+            ...prev,
+            activeIndex:
+              (prev.activeIndex + step + prev.users.length) % prev.users.length,
+          }));
+          return;
+        }
+        if (e.key === "Enter" || e.key === "Tab") {
+          e.preventDefault();
+          insertMention(mention.users[mention.activeIndex]);
+          return;
+        }
+        if (e.key === "Escape") {
+          e.preventDefault();
+          setMention(null);
+          return;
+        }
+      }
+
+      const shortcut = matchShortcut(e);
+      if (shortcut?.command === "pastePlainText") {
+        // Let the browser paste; handlePaste inserts it as plain text
+        plainPasteRef.current = true;
+        return;
+      }
+      if (shortcut) {
+        e.preventDefault();
+        runCommand(shortcut.command);
+        return;
+      }
+
+      // "# ", "- ", "1. ", "[] " ... at the start of a line
+      if (e.key === " " && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        if (applyBlockRule(editorRef.current, runCommand)) {
+          e.preventDefault();
+          handleInput();
+        }
+      }
+    },
+    [mention, insertMention, runCommand, handleInput]
+  );
+
+  // Ticking a checklist box changes no text, so save it explicitly
+  const handleCheckboxChange = React.useCallback(
+    (e) => {
+      if (e.target.type === "checkbox") handleInput();
+    },
+    [handleInput]
+  );
+
+  // Closing `code` and **bold** delimiters
+  const handleEditorInput = React.useCallback(
+    (e) => {
+      if (e.target !== editorRef.current) return; // handled on change
+      const { inputType, data } = e.nativeEvent;
+      if (inputType === "insertText" && (data === "`" || data === "*")) {
+        applyInlineRule(editorRef.current);
+      }
+      handleInput();
+      updateMention();
+    },
+    [handleInput, updateMention]
+  );
+
   // Toolbar buttons configuration
   const toolbarButtons = [
     {
@@ -90,12 +362,7 @@ export function RichTextEditor({ value, onChange, disabled, placeholder }) {
       command: "insertCheckbox",
       icon: "☑",
       title: "Checkbox",
-      customAction: () => {
-        const checkbox = '<input type="checkbox" style="margin-right: 4px;" />';
-        document.execCommand("insertHTML", false, checkbox);
-        editorRef.current?.focus();
-        handleInput();
-      },
+      customAction: insertCheckbox,
     },
     {
       command: "createLink",
@@ -124,20 +391,28 @@ export function RichTextEditor({ value, onChange, disabled, placeholder }) {
         </svg>
       ),
       title: "Link",
-      customAction: () => {
-        const url = prompt("Enter URL:");
-        if (url) {
-          document.execCommand("createLink", false, url);
-          editorRef.current?.focus();
-          handleInput();
-        }
-      },
+      customAction: insertLink,
+    },
+    {
+      command: "insertItemLink",
+      icon: "◫",
+      title: "Link to board item",
+      customAction: openItemPicker,
+    },
+    { separator: true },
+    {
+      command: "showShortcuts",
+      icon: "⌨",
+      title: "Keyboard shortcuts",
+      customAction: () => setShowShortcuts((prev) => !prev),
     },
   ];
 
   return (
     <div
+      ref={containerRef}
       style={{
+        position: "relative",
         border: "1px solid #D1D5DB",
         borderRadius: "4px",
         backgroundColor: disabled ? "#F9FAFB" : "#FFFFFF",
@@ -182,7 +457,7 @@ export function RichTextEditor({ value, onChange, disabled, placeholder }) {
                     execCommand(btn.command);
                   }
                 }}
-                title={btn.title}
+                title={withShortcut(btn.title, btn.command)}
                 style={{
                   display: "flex",
                   alignItems: "center",
@@ -214,14 +489,72 @@ export function RichTextEditor({ value, onChange, disabled, placeholder }) {
         </div>
       )}
 
+      {/* Board item picker for item links */}
+      {!disabled && showItemPicker && (
+        <ItemLinkPicker
+          onSelect={insertItemLink}
+          onClose={() => setShowItemPicker(false)}
+        />
+      )}
+
+      {/* Shortcut cheat sheet */}
+      {!disabled && showShortcuts && (
+        <div
+          style={{
+            padding: "8px 12px",
+            borderBottom: "1px solid #E5E7EB",
+            backgroundColor: "#F9FAFB",
+            fontSize: "12px",
+            color: "#374151",
+            display: "grid",
+            gridTemplateColumns: "auto 1fr",
+            columnGap: "12px",
+            rowGap: "2px",
+          }}
+        >
+          {SHORTCUTS.map((shortcut) => (
+            <React.Fragment key={shortcut.keys}>
+              <kbd style={{ fontFamily: "monospace", color: "#111827" }}>
+                {formatShortcutKeys(shortcut.keys)}
+              </kbd>
+              <span>{shortcut.label}</span>
+            </React.Fragment>
+          ))}
+          {BLOCK_RULES.map((rule) => (
+            <React.Fragment key={rule.marker}>
+              <kbd style={{ fontFamily: "monospace", color: "#111827" }}>
+                {rule.marker} + Space
+              </kbd>
+              <span>{rule.label}</span>
+            </React.Fragment>
+          ))}
+          {INLINE_RULES.map((rule) => (
+            <React.Fragment key={rule.example}>
+              <kbd style={{ fontFamily: "monospace", color: "#111827" }}>
+                {rule.example}
+              </kbd>
+              <span>{rule.label}</span>
+            </React.Fragment>
+          ))}
+          <kbd style={{ fontFamily: "monospace", color: "#111827" }}>@name</kbd>
+          <span>Mention someone</span>
+        </div>
+      )}
+
       {/* Editor */}
       <div
         ref={editorRef}
         contentEditable={!disabled}
-        onInput={handleInput}
+        onInput={handleEditorInput}
+        onClick={handleEditorClick}
+        onChange={handleCheckboxChange}
+        onKeyDown={handleKeyDown}
         onPaste={handlePaste}
         onFocus={() => setIsFocused(true)}
-        onBlur={() => setIsFocused(false)}
+        onBlur={() => {
+          setIsFocused(false);
+          setMention(null);
+        }}
         data-placeholder={placeholder || "Add a description..."}
         style={{
           minHeight: "200px",
@@ -238,6 +571,49 @@ export function RichTextEditor({ value, onChange, disabled, placeholder }) {
         suppressContentEditableWarning={true}
       />
 
+      {/* @-mention suggestions */}
+      {mention && (
+        <div
+          role="listbox"
+          style={{
+            position: "absolute",
+            top: `${mention.top}px`,
+            left: `${mention.left}px`,
+            zIndex: 10,
+            minWidth: "160px",
+            padding: "4px",
+            backgroundColor: "#FFFFFF",
+            border: "1px solid #E5E7EB",
+            borderRadius: "6px",
+            boxShadow: "0 4px 12px rgba(0,0,0,0.12)",
+          }}
+        >
+          {mention.users.map((user, index) => (
+            <div
+              key={user.id}
+              role="option"
+              aria-selected={index === mention.activeIndex}
+              // Keep the editor focused so the caret stays on the query
+              onMouseDown={(e) => {
+                e.preventDefault();
+                insertMention(user);
+              }}
+              style={{
+                padding: "6px 8px",
+                fontSize: "13px",
+                borderRadius: "4px",
+                cursor: "pointer",
+                color: "#374151",
+                backgroundColor:
+                  index === mention.activeIndex ? "#EFF6FF" : "transparent",
+              }}
+            >
+              {user.name}
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Placeholder styles */}
       <style>
         {`
@@ -246,6 +622,32 @@ export function RichTextEditor({ value, onChange, disabled, placeholder }) {
             color: #9CA3AF;
             pointer-events: none;
           }
+          .note-mention {
+            color: #1D4ED8;
+            background-color: #EFF6FF;
+            border-radius: 4px;
+            padding: 0 2px;
+            white-space: nowrap;
+          }
+          .note-item-link {
+            color: #374151;
+            background-color: #F3F4F6;
+            border: 1px solid #D1D5DB;
+            border-radius: 4px;
+            padding: 0 4px;
+            cursor: pointer;
+            white-space: nowrap;
+          }
+          .note-item-link::before {
+            content: "◫ ";
+            color: #6B7280;
+          }
+          .note-item-link-missing {
+            color: #DC2626;
+            background-color: #FEF2F2;
+            border-color: #FECACA;
+            text-decoration: line-through;
+          }
         `}
       </style>
     </div>
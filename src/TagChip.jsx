@@ -0,0 +1,49 @@
+import * as React from "react";
+
+/**
+ * A tag shown in its palette colour, optionally clickable and removable
+ */
+export function TagChip({ name, color, isActive = true, onClick, onRemove }) {
+  return (
+    <span
+      onClick={onClick}
+      style={{
+        display: "inline-flex",
+        alignItems: "center",
+        gap: "4px",
+        padding: "1px 8px",
+        fontSize: "11px",
+        fontWeight: "500",
+        lineHeight: "18px",
+        border: `1px solid ${color}`,
+        borderRadius: "10px",
+        backgroundColor: isActive ? color : "#FFFFFF",
+        color: isActive ? "#FFFFFF" : color,
+        cursor: onClick ? "pointer" : "default",
+        whiteSpace: "nowrap",
+      }}
+    >
+      {name}
+      {onRemove && (
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onRemove();
+          }}
+          aria-label={`Remove tag ${name}`}
+          style={{
+            padding: 0,
+            fontSize: "12px",
+            lineHeight: 1,
+            border: "none",
+            background: "none",
+            color: "inherit",
+            cursor: "pointer",
+          }}
+        >
+          ×
+        </button>
+      )}
+    </span>
+  );
+}
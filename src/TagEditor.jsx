@@ -0,0 +1,145 @@
+import * as React from "react";
+
+import {
+  MAX_TAGS_PER_NOTE,
+  MAX_TAG_LENGTH,
+  TAG_COLORS,
+  getTagColor,
+  normalizeTagName,
+  normalizeTags,
+} from "./tags.js";
+import { TagChip } from "./TagChip.jsx";
+
+/**
+ * Tags of a note: chips with remove buttons, an input suggesting tags from
+ * the board palette, and colour swatches for the tag clicked last
+ */
+export function TagEditor({
+  tags,
+  palette,
+  disabled,
+  onChange,
+  onColorChange,
+}) {
+  const [draft, setDraft] = React.useState("");
+  const [colorTag, setColorTag] = React.useState(null);
+  const noteTags = tags || [];
+  const isFull = noteTags.length >= MAX_TAGS_PER_NOTE;
+
+  const suggestions = palette
+    .map((tag) => tag.name)
+    .filter(
+      (name) =>
+        !noteTags.some((tag) => tag.toLowerCase() === name.toLowerCase())
+    );
+
+  const addDraft = () => {
+    const name = normalizeTagName(draft);
+    setDraft("");
+    const next = normalizeTags([...noteTags, name]);
+    if (next.length > noteTags.length) onChange(next);
+  };
+
+  const removeTag = (name) => {
+    if (colorTag === name) setColorTag(null);
+    onChange(noteTags.filter((tag) => tag !== name));
+  };
+
+  return (
+    <div>
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          alignItems: "center",
+          gap: "6px",
+        }}
+      >
+        {noteTags.map((name) => (
+          <TagChip
+            key={name}
+            name={name}
+            color={getTagColor(palette, name)}
+            onClick={
+              disabled
+                ? undefined
+                : () => setColorTag(colorTag === name ? null : name)
+            }
+            onRemove={disabled ? undefined : () => removeTag(name)}
+          />
+        ))}
+        {noteTags.length === 0 && disabled && (
+          <span style={{ fontSize: "12px", color: "#9CA3AF" }}>No tags</span>
+        )}
+        {!disabled && !isFull && (
+          <>
+            <input
+              type="text"
+              value={draft}
+              list="annotate-tag-suggestions"
+              maxLength={MAX_TAG_LENGTH}
+              onChange={(e) => setDraft(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter" || e.key === ",") {
+                  e.preventDefault();
+                  addDraft();
+                } else if (e.key === "Backspace" && !draft && noteTags.length) {
+                  removeTag(noteTags[noteTags.length - 1]);
+                }
+              }}
+              onBlur={addDraft}
+              placeholder="Add tag"
+              style={{
+                flex: 1,
+                minWidth: "80px",
+                padding: "4px 6px",
+                fontSize: "12px",
+                border: "1px solid #D1D5DB",
+                borderRadius: "4px",
+              }}
+            />
+            <datalist id="annotate-tag-suggestions">
+              {suggestions.map((name) => (
+                <option key={name} value={name} />
+              ))}
+            </datalist>
+          </>
+        )}
+      </div>
+
+      {colorTag && !disabled && (
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: "6px",
+            marginTop: "8px",
+            fontSize: "12px",
+            color: "#6B7280",
+          }}
+        >
+          Colour of "{colorTag}" on this board:
+          {TAG_COLORS.map((color) => (
+            <button
+              key={color}
+              onClick={() => onColorChange(colorTag, color)}
+              aria-label={`Use colour ${color}`}
+              style={{
+                width: "16px",
+                height: "16px",
+                padding: 0,
+                border:
+                  getTagColor(palette, colorTag) === color
+                    ? "2px solid #111827"
+                    : "1px solid #D1D5DB",
+                borderRadius: "50%",
+                backgroundColor: color,
+                cursor: "pointer",
+              }}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,199 @@
+import * as React from "react";
+
+import {
+  BUILT_IN_TEMPLATES,
+  PLACEHOLDERS,
+  getBoardTemplates,
+  saveBoardTemplate,
+  deleteBoardTemplate,
+} from "./templates.js";
+
+const buttonStyle = {
+  padding: "4px 10px",
+  fontSize: "12px",
+  fontWeight: "500",
+  border: "1px solid #D1D5DB",
+  borderRadius: "6px",
+  cursor: "pointer",
+  backgroundColor: "#FFFFFF",
+  color: "#374151",
+};
+
+/**
+ * Template library: built-in and board templates, applied by merging into
+ * or replacing the current sections. With `sections`, the current sections
+ * can be saved as a new board template.
+ */
+export function TemplateLibrary({
+  sections,
+  currentUserId,
+  disabled,
+  onApply,
+}) {
+  const [boardTemplates, setBoardTemplates] = React.useState([]);
+  const [templateName, setTemplateName] = React.useState("");
+  const [isBusy, setIsBusy] = React.useState(false);
+  const [status, setStatus] = React.useState(null);
+
+  const reloadTemplates = React.useCallback(() => {
+    getBoardTemplates().then(setBoardTemplates);
+  }, []);
+
+  React.useEffect(reloadTemplates, [reloadTemplates]);
+
+  const saveCurrent = React.useCallback(async () => {
+    if (!templateName.trim()) return;
+    setIsBusy(true);
+    try {
+      const template = await saveBoardTemplate(
+        templateName,
+        sections,
+        currentUserId
+      );
+      setTemplateName("");
+      setStatus(`Saved "${template.name}"`);
+      reloadTemplates();
+    } catch (error) {
+      console.error("[Annotate] Error saving template:", error);
+      setStatus(error.message || "Failed to save template");
+    } finally {
+      setIsBusy(false);
+    }
+  }, [templateName, sections, currentUserId, reloadTemplates]);
+
+  const deleteTemplate = React.useCallback(
+    async (template) => {
+      if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+      try {
+        await deleteBoardTemplate(template.id);
+        reloadTemplates();
+      } catch (error) {
+        console.error("[Annotate] Error deleting template:", error);
+        setStatus("Failed to delete template");
+      }
+    },
+    [reloadTemplates]
+  );
+
+  const applyTemplate = (template, mode) => {
+    if (
+      mode === "replace" &&
+      !window.confirm(
+        `Replace all current sections and notes with "${template.name}"?`
+      )
+    ) {
+      return;
+    }
+    onApply(template, mode);
+  };
+
+  const renderTemplate = (template) => (
+    <div
+      key={template.id}
+      style={{
+        display: "flex",
+        alignItems: "center",
+        gap: "6px",
+        padding: "6px 0",
+        borderBottom: "1px solid #F3F4F6",
+      }}
+    >
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div style={{ fontSize: "13px", fontWeight: "600", color: "#111827" }}>
+          {template.name}
+        </div>
+        <div
+          style={{
+            fontSize: "11px",
+            color: "#9CA3AF",
+            overflow: "hidden",
+            textOverflow: "ellipsis",
+            whiteSpace: "nowrap",
+          }}
+        >
+          {template.builtIn ? "Built-in · " : ""}
+          {template.sections.map((s) => s.name).join(" / ")}
+        </div>
+      </div>
+      <button
+        onClick={() => applyTemplate(template, "merge")}
+        disabled={disabled}
+        title="Add the template's notes to the current sections"
+        style={buttonStyle}
+      >
+        Merge
+      </button>
+      <button
+        onClick={() => applyTemplate(template, "replace")}
+        disabled={disabled}
+        title="Replace the current sections with the template"
+        style={buttonStyle}
+      >
+        Replace
+      </button>
+      {!template.builtIn && template.createdBy === currentUserId && (
+        <button
+          onClick={() => deleteTemplate(template)}
+          title="Delete template"
+          style={{ ...buttonStyle, borderColor: "#FCA5A5", color: "#DC2626" }}
+        >
+          ×
+        </button>
+      )}
+    </div>
+  );
+
+  return (
+    <div
+      style={{
+        padding: "12px",
+        marginBottom: "12px",
+        border: "1px solid #E5E7EB",
+        borderRadius: "8px",
+        backgroundColor: "#FFFFFF",
+      }}
+    >
+      {[...BUILT_IN_TEMPLATES, ...boardTemplates].map(renderTemplate)}
+
+      {sections && (
+        <div style={{ display: "flex", gap: "6px", marginTop: "10px" }}>
+          <input
+            type="text"
+            value={templateName}
+            onChange={(e) => setTemplateName(e.target.value)}
+            placeholder="Template name"
+            style={{
+              flex: 1,
+              minWidth: 0,
+              padding: "6px 8px",
+              fontSize: "13px",
+              border: "1px solid #D1D5DB",
+              borderRadius: "4px",
+            }}
+          />
+          <button
+            onClick={saveCurrent}
+            disabled={isBusy || !templateName.trim()}
+            style={buttonStyle}
+          >
+            Save current sections
+          </button>
+        </div>
+      )}
+
+      <div style={{ fontSize: "11px", color: "#9CA3AF", marginTop: "8px" }}>
+        Placeholders:{" "}
+        {PLACEHOLDERS.map(({ key, label }) => (
+          <span key={key} title={label} style={{ marginRight: "6px" }}>
+            <code>{`{{${key}}}`}</code>
+          </span>
+        ))}
+      </div>
+      {status && (
+        <div style={{ fontSize: "12px", color: "#6B7280", marginTop: "6px" }}>
+          {status}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -3,13 +3,28 @@ import { createRoot } from "react-dom/client";
 
 import "../src/assets/style.css";
 import { RichTextEditor } from "./RichTextEditor.jsx";
+import { AllNotesBrowser } from "./AllNotesBrowser.jsx";
+import { PermissionsPanel } from "./PermissionsPanel.jsx";
+import { ConflictResolver } from "./ConflictResolver.jsx";
+import { NoteHistory } from "./NoteHistory.jsx";
+import { MultiSelectionPanel } from "./MultiSelectionPanel.jsx";
+import { TemplateLibrary } from "./TemplateLibrary.jsx";
+import { TagEditor } from "./TagEditor.jsx";
+import { TagChip } from "./TagChip.jsx";
+import {
+  normalizeSections,
+  docToText,
+  getChecklistItems,
+  getChecklistProgress,
+  toggleChecklistItem,
+} from "./document.js";
 import {
-  APP_ID,
-  METADATA_KEY,
   SCHEMA_VERSION,
-  MAX_PAYLOAD_SIZE,
   AUTOSAVE_DEBOUNCE_MS,
   SELECTION_DEBOUNCE_MS,
+  METADATA_REFRESH_INTERVAL_MS,
+  METADATA_REFRESH_THROTTLE_MS,
+  CHANGE_NOTICE_MS,
   ENABLE_LOGGING,
 } from "./config.js";
 import {
@@ -20,6 +35,68 @@ import {
   sortSections,
   sortNotes,
 } from "./models.js";
+import {
+  readAnnotations,
+  writeAnnotations,
+  getAnnotationsStamp,
+  readAnnotationsStamp,
+} from "./storage.js";
+import { createMetadataCache } from "./metadataCache.js";
+import { migrateMetadata } from "./migrations.js";
+import {
+  getItemTitle,
+  resolveItemTitle,
+  hasNotes,
+  countNotes,
+  updateAnnotatedItemIndex,
+} from "./boardIndex.js";
+import { syncIndicator } from "./indicator.js";
+import { isPickingItem } from "./itemLinks.js";
+import { applyTemplate } from "./templates.js";
+import { broadcastChanges, subscribeToChanges } from "./changeEvents.js";
+import { rememberBoardMember } from "./users.js";
+import {
+  startSaveQueue,
+  subscribeSaveQueue,
+  queuePendingSave,
+  getPendingSave,
+  removePendingSave,
+  markSaveFailed,
+  holdPendingSave,
+  lockItem,
+  retryPendingSaves,
+} from "./saveQueue.js";
+import {
+  getTagPalette,
+  addTagsToPalette,
+  setTagColor,
+  getTagColor,
+  getUsedTags,
+  noteHasTags,
+} from "./tags.js";
+import {
+  toDropIndex,
+  moveSectionTo,
+  moveNoteTo,
+  getNoteDropSlots,
+} from "./reorder.js";
+import {
+  exportSectionsToMarkdown,
+  importSectionsFromMarkdown,
+} from "./markdown.js";
+import {
+  canEdit,
+  checkCanEditItem,
+  isOwner,
+  resolvePermissions,
+} from "./permissions.js";
+import { mergeSections, applyResolutions } from "./merge.js";
+import {
+  recordNoteHistory,
+  fitHistoryToBudget,
+  applySavedHistory,
+  restoreRevision,
+} from "./history.js";
 
 // Analytics logging
 const logEvent = (eventType, data = {}) => {
@@ -28,42 +105,41 @@ const logEvent = (eventType, data = {}) => {
   }
 };
 
-// Check payload size
-const checkPayloadSize = (metadata) => {
-  const jsonString = JSON.stringify(metadata);
-  const sizeInBytes = new Blob([jsonString]).size;
-  return {
-    isValid: sizeInBytes <= MAX_PAYLOAD_SIZE,
-    size: sizeInBytes,
-    maxSize: MAX_PAYLOAD_SIZE,
-  };
-};
-
 // Initialize app
 async function initApp() {
   try {
     const currentUserInfo = await miro.board.getUserInfo();
     const currentUserId = currentUserInfo.id;
-    return { currentUserId };
+    rememberBoardMember(currentUserInfo);
+    return { currentUserId, currentUserName: currentUserInfo.name || null };
   } catch (error) {
     console.error("[Annotate] Error getting user info:", error);
-    return { currentUserId: null };
+    return { currentUserId: null, currentUserName: null };
   }
 }
 
-// Check if user is editor
-async function checkIsEditor(item) {
-  if (!item) return false;
-  try {
-    const currentUserInfo = await miro.board.getUserInfo();
-    const currentUserId = currentUserInfo.id;
-    const createdBy = item.createdBy;
-    return currentUserId && createdBy === currentUserId;
-  } catch (error) {
-    console.error("[Annotate] Error checking editor status:", error);
-    return false;
-  }
-}
+// Item details needed to migrate its stored annotations
+const getMigrationContext = (item) => ({
+  itemId: item.id,
+  itemName: getItemTitle(item),
+  itemType: item.type || "item",
+  createdBy: item.createdBy,
+});
+
+// Stored annotations of an item, migrated, with sections and notes sorted
+// for display (`sections` is null when the item has none yet)
+const readItemAnnotations = async (item) => {
+  const storedData = await readAnnotations(item);
+  const migration = storedData
+    ? migrateMetadata(storedData, getMigrationContext(item))
+    : { data: null };
+  const sections = Array.isArray(migration.data?.sections)
+    ? sortSections(normalizeSections(migration.data.sections)).map(
+        (section) => ({ ...section, notes: sortNotes(section.notes || []) })
+      )
+    : null;
+  return { ...migration, sections, stamp: getAnnotationsStamp(storedData) };
+};
 
 // Debounce utility
 function debounce(func, wait) {
@@ -78,21 +154,57 @@ function debounce(func, wait) {
   };
 }
 
+// Debounce per key, so a call for one key never replaces another key's
+// pending call. `flush()` runs every pending call right away.
+function debounceByKey(func, wait) {
+  const pending = new Map();
+  const run = (key) => {
+    const call = pending.get(key);
+    if (!call) return;
+    clearTimeout(call.timeout);
+    pending.delete(key);
+    func(...call.args);
+  };
+  const debounced = (key, ...args) => {
+    clearTimeout(pending.get(key)?.timeout);
+    pending.set(key, { args, timeout: setTimeout(() => run(key), wait) });
+  };
+  debounced.flush = () => [...pending.keys()].forEach(run);
+  return debounced;
+}
+
 const App = () => {
   // Core state
   const [selectedItem, setSelectedItem] = React.useState(null);
   const [selectedItemId, setSelectedItemId] = React.useState(null);
+  // { itemId, title }: connector titles need other items, so they load later
+  const [resolvedTitle, setResolvedTitle] = React.useState(null);
   const [sections, setSections] = React.useState([]);
   const [activeNoteId, setActiveNoteId] = React.useState(null);
   const [activeSectionId, setActiveSectionId] = React.useState(null);
   const [expandedSections, setExpandedSections] = React.useState(new Set());
-  const [isEditor, setIsEditor] = React.useState(false);
+  const [expandedChecklists, setExpandedChecklists] = React.useState(new Set());
+  // Section or note being dragged: { type: "section" | "note", id, from,
+  // target, keyboard }, where `from` and `target` are { sectionId, index }
+  // drop positions (sectionId is null for sections)
+  const [drag, setDrag] = React.useState(null);
+  const [permissions, setPermissions] = React.useState(null);
+  const [isReadOnlyData, setIsReadOnlyData] = React.useState(false);
   const [currentUserId, setCurrentUserId] = React.useState(null);
+  const [currentUserName, setCurrentUserName] = React.useState(null);
+  const [showPermissions, setShowPermissions] = React.useState(false);
+  const [showTemplates, setShowTemplates] = React.useState(false);
+  const [tagPalette, setTagPalette] = React.useState([]);
+  const [tagFilter, setTagFilter] = React.useState([]);
+  const [pendingSaves, setPendingSaves] = React.useState([]);
+  const [conflict, setConflict] = React.useState(null);
+  const [changeNotice, setChangeNotice] = React.useState(null);
   const [selectionCount, setSelectionCount] = React.useState(0);
+  const [multiSelectedItems, setMultiSelectedItems] = React.useState([]);
 
   // Editing state
   const [editingNoteHeading, setEditingNoteHeading] = React.useState("");
-  const [editingNoteBody, setEditingNoteBody] = React.useState("");
+  const [editingNoteBody, setEditingNoteBody] = React.useState([]);
   const [editingNoteId, setEditingNoteId] = React.useState(null);
   const [isDirty, setIsDirty] = React.useState(false);
 
@@ -101,29 +213,129 @@ const App = () => {
   const [isSaving, setIsSaving] = React.useState(false);
   const [error, setError] = React.useState(null);
   const [currentView, setCurrentView] = React.useState("list"); // "list" or "editor"
+  const [showHistory, setShowHistory] = React.useState(false);
+  const [panelMode, setPanelMode] = React.useState("item"); // "item" or "board"
 
   // Section editing state
   const [editingSectionId, setEditingSectionId] = React.useState(null);
   const [editingSectionName, setEditingSectionName] = React.useState("");
 
+  const selectedItemTitle = selectedItem
+    ? resolvedTitle?.itemId === selectedItem.id
+      ? resolvedTitle.title
+      : getItemTitle(selectedItem)
+    : "";
+
+  // Permission checks for every mutating action
+  const isEditor = !isReadOnlyData && canEdit(permissions, currentUserId);
+  const isItemOwner = !isReadOnlyData && isOwner(permissions, currentUserId);
+
   // Cache
-  const metadataCacheRef = React.useRef(new Map());
+  const metadataCacheRef = React.useRef(null);
+  if (!metadataCacheRef.current)
+    metadataCacheRef.current = createMetadataCache();
+  const editingNoteIdRef = React.useRef(null);
+  editingNoteIdRef.current = editingNoteId;
   const editingItemIdRef = React.useRef(null);
+  const importInputRef = React.useRef(null);
+  // Last stored state the panel knows about: base for merging concurrent edits
+  const syncedRef = React.useRef({ itemId: null, revision: 0, sections: [] });
+  // Conflict awaiting resolution; saves are held until it is resolved
+  const conflictRef = React.useRef(null);
+
+  const showConflict = (value) => {
+    conflictRef.current = value;
+    setConflict(value);
+  };
+
+  // Last stored state of an item, the base for merging its saves: the open
+  // item's, or the cached one of an item saved after the selection moved on
+  const getSyncedBase = (itemId) => {
+    if (syncedRef.current.itemId === itemId) {
+      return {
+        revision: syncedRef.current.revision,
+        sections: syncedRef.current.sections,
+      };
+    }
+    const cached = metadataCacheRef.current.get(itemId);
+    return cached
+      ? { revision: cached.revision, sections: cached.syncedSections }
+      : undefined;
+  };
 
   // Initialize app
   React.useEffect(() => {
-    initApp().then(({ currentUserId: userId }) => {
+    initApp().then(({ currentUserId: userId, currentUserName: userName }) => {
       setCurrentUserId(userId);
+      setCurrentUserName(userName);
     });
+    startSaveQueue();
+  }, []);
+
+  // Show changes others made to the open item since it was read. Skipped
+  // while local edits wait to be saved: their save merges the changes.
+  const revalidateItem = React.useCallback(async (item) => {
+    const itemId = item.id;
+    let release = null;
+    try {
+      const stamp = await readAnnotationsStamp(item);
+      if (stamp === metadataCacheRef.current.get(itemId)?.stamp) return;
+
+      release = await lockItem(itemId);
+      if (
+        editingItemIdRef.current !== itemId ||
+        conflictRef.current ||
+        (await getPendingSave(itemId))
+      ) {
+        return;
+      }
+
+      const loaded = await readItemAnnotations(item);
+      if (editingItemIdRef.current !== itemId || !loaded.sections) return;
+
+      const loadedPermissions = resolvePermissions(
+        loaded.data.permissions,
+        item
+      );
+      const revision = loaded.data.revision || 0;
+      syncedRef.current = { itemId, revision, sections: loaded.sections };
+      metadataCacheRef.current.set(itemId, {
+        sections: loaded.sections,
+        syncedSections: loaded.sections,
+        permissions: loadedPermissions,
+        revision,
+        isNewer: loaded.isNewer,
+        stamp: loaded.stamp,
+      });
+      setSections(loaded.sections);
+      setPermissions(loadedPermissions);
+      setIsReadOnlyData(Boolean(loaded.isNewer));
+
+      // The open note has no unsaved edits (or we would have stopped above)
+      const openNote = loaded.sections
+        .flatMap((s) => s.notes || [])
+        .find((n) => n.id === editingNoteIdRef.current);
+      if (openNote) {
+        setEditingNoteHeading(openNote.heading);
+        setEditingNoteBody(openNote.body);
+      }
+      logEvent("metadata_refreshed", { itemId, revision });
+    } catch (error) {
+      console.warn("[Annotate] Could not refresh annotations:", error);
+    } finally {
+      release?.();
+    }
   }, []);
 
   // Load metadata from board item
   const loadMetadata = React.useCallback(
     async (item) => {
+      showConflict(null);
       if (!item) {
         setSections([]);
         setActiveNoteId(null);
         setActiveSectionId(null);
+        setPermissions(null);
         editingItemIdRef.current = null;
         return;
       }
@@ -131,30 +343,85 @@ const App = () => {
       const itemId = item.id;
       editingItemIdRef.current = itemId;
 
+      // Edits not yet written to the item win over the cache and the item
+      const pending = await getPendingSave(itemId);
+
       // Check cache
-      if (metadataCacheRef.current.has(itemId)) {
+      if (!pending && metadataCacheRef.current.has(itemId)) {
         const cached = metadataCacheRef.current.get(itemId);
+        setIsReadOnlyData(Boolean(cached.isNewer));
+        setPermissions(cached.permissions);
+        syncedRef.current = {
+          itemId,
+          revision: cached.revision,
+          sections: cached.syncedSections,
+        };
         setSections(cached.sections || []);
         if (cached.sections && cached.sections.length > 0) {
           setExpandedSections(new Set([cached.sections[0].id])); // Expand first section
         }
+        // Shown right away, then checked against the item
+        revalidateItem(item);
         return;
       }
 
       setIsLoading(true);
       setError(null);
+      setPermissions(null);
 
       try {
-        const rawMetadata = await item.getMetadata(APP_ID);
-        const annotateData =
-          rawMetadata?.[METADATA_KEY] || rawMetadata?.annotate || null;
-
-        if (annotateData && annotateData.sections) {
-          const loadedSections = sortSections(annotateData.sections);
-          // Sort notes within each section
-          loadedSections.forEach((section) => {
+        const {
+          data: annotateData,
+          sections: loadedSections,
+          fromVersion,
+          migrated,
+          isNewer,
+          stamp,
+        } = await readItemAnnotations(item);
+        const loadedPermissions = resolvePermissions(
+          annotateData?.permissions,
+          item
+        );
+        setPermissions(loadedPermissions);
+
+        // Written by a newer version: show it, but never overwrite it
+        setIsReadOnlyData(Boolean(isNewer));
+        if (isNewer) {
+          setError(
+            "These annotations were saved by a newer version of Annotate and are read-only here"
+          );
+        }
+        if (migrated) {
+          logEvent("metadata_migrated", {
+            itemId,
+            fromVersion,
+            toVersion: SCHEMA_VERSION,
+          });
+        }
+
+        if (pending) {
+          // Kept on this device, e.g. saved offline before a reload
+          const pendingSections = sortSections(
+            normalizeSections(pending.sections)
+          );
+          pendingSections.forEach((section) => {
             section.notes = sortNotes(section.notes || []);
           });
+          setSections(pendingSections);
+          if (pendingSections.length > 0) {
+            setExpandedSections(new Set([pendingSections[0].id]));
+          }
+          if (pending.permissions) {
+            setPermissions(resolvePermissions(pending.permissions, item));
+          }
+          syncedRef.current = {
+            itemId,
+            revision: pending.base.revision,
+            sections: normalizeSections(pending.base.sections),
+          };
+          metadataCacheRef.current.delete(itemId);
+          setIsDirty(true);
+        } else if (loadedSections) {
           setSections(loadedSections);
 
           // Expand first section by default
@@ -163,7 +430,16 @@ const App = () => {
           }
 
           // Cache it
-          metadataCacheRef.current.set(itemId, { sections: loadedSections });
+          const revision = annotateData.revision || 0;
+          syncedRef.current = { itemId, revision, sections: loadedSections };
+          metadataCacheRef.current.set(itemId, {
+            sections: loadedSections,
+            syncedSections: loadedSections,
+            permissions: loadedPermissions,
+            revision,
+            isNewer,
+            stamp,
+          });
           logEvent("metadata_loaded", {
             itemId,
             sectionsCount: loadedSections.length,
@@ -173,104 +449,338 @@ const App = () => {
           const defaultMetadata = createMetadataStructure(currentUserId);
           setSections(defaultMetadata.sections);
           setExpandedSections(new Set([defaultMetadata.sections[0].id]));
+          syncedRef.current = { itemId, revision: 0, sections: [] };
           metadataCacheRef.current.set(itemId, {
             sections: defaultMetadata.sections,
+            syncedSections: [],
+            permissions: loadedPermissions,
+            revision: 0,
+            stamp,
           });
         }
       } catch (error) {
         console.error("[Annotate] Error loading metadata:", error);
-        setError("Failed to load annotations");
+        setError(`Failed to load annotations: ${error.message}`);
       } finally {
         setIsLoading(false);
       }
     },
-    [currentUserId]
+    [currentUserId, revalidateItem]
   );
 
   // Save metadata to board item
+  // `queuedEdit` is the edit's queue entry (or a promise of it) when the
+  // caller already queued it
   const saveMetadata = React.useCallback(
-    async (item, sectionsToSave) => {
+    async (item, sectionsToSave, permissionsToSave, queuedEdit) => {
       if (!item || !isEditor) {
         console.warn("[Annotate] Cannot save: no item or not editor");
         return;
       }
 
-      // Prevent overwrite if selection changed
-      if (editingItemIdRef.current !== item.id) {
-        console.warn(
-          "[Annotate] Prevented overwrite: selection changed during edit"
-        );
+      // Wait for the user to resolve conflicting edits first
+      if (conflictRef.current?.item.id === item.id) {
         return;
       }
 
+      // Saves stay bound to their item: one made just before the selection
+      // moved on still writes there, but leaves the panel's state alone
+      const isOpen = () => editingItemIdRef.current === item.id;
+      const showSaveError = (message) => {
+        if (isOpen()) setError(message);
+        else miro.board.notifications.showError(message);
+      };
+
+      // Keep the edit on this device until it is written
+      const queued = await (queuedEdit ??
+        queuePendingSave({
+          itemId: item.id,
+          sections: sectionsToSave || sections,
+          permissions: permissionsToSave,
+          base: getSyncedBase(item.id),
+          authorId: currentUserId,
+        }));
+      let release = null;
+
       setIsSaving(true);
-      setError(null);
+      if (isOpen()) setError(null);
 
       try {
-        const metadata = {
+        release = await lockItem(item.id);
+        const base = getSyncedBase(item.id) ||
+          queued?.base || { revision: 0, sections: [] };
+        let sectionsForSave = sectionsToSave || sections;
+        let permissionsForSave = permissionsToSave || permissions;
+
+        // Someone saved since we loaded: merge instead of overwriting
+        const storedData = await readAnnotations(item);
+        const remote = storedData
+          ? migrateMetadata(storedData, getMigrationContext(item)).data
+          : null;
+        const remoteRevision = remote?.revision || 0;
+        const remoteSections = normalizeSections(remote?.sections);
+
+        if (remote && remoteRevision > base.revision) {
+          if (!permissionsToSave && remote.permissions) {
+            permissionsForSave = remote.permissions;
+          }
+          if (!canEdit(permissionsForSave, currentUserId)) {
+            if (isOpen()) setPermissions(permissionsForSave);
+            showSaveError("You no longer have edit access to these notes");
+            if (queued) removePendingSave(item.id, queued.queuedAt);
+            return;
+          }
+
+          const merged = mergeSections(
+            base.sections,
+            sectionsForSave,
+            remoteSections
+          );
+          if (merged.conflicts.length > 0 && !isOpen()) {
+            // Nobody to ask: the queue retries it, keeping both versions
+            return;
+          }
+          if (merged.conflicts.length > 0) {
+            showConflict({
+              item,
+              sections: merged.sections,
+              conflicts: merged.conflicts,
+              remoteRevision,
+              remoteSections,
+              permissions: permissionsForSave,
+            });
+            logEvent("merge_conflict", {
+              itemId: item.id,
+              conflictsCount: merged.conflicts.length,
+            });
+            // Retrying in the background would keep both versions
+            holdPendingSave(item.id);
+            return;
+          }
+
+          sectionsForSave = merged.sections;
+          if (isOpen()) {
+            setSections(merged.sections);
+            setPermissions(permissionsForSave);
+          }
+          logEvent("merge_applied", { itemId: item.id, remoteRevision });
+        }
+
+        // Keep the versions this save replaces, within the storage budget
+        const metadata = fitHistoryToBudget({
           schemaVersion: SCHEMA_VERSION,
-          sections: sectionsToSave || sections,
+          revision: Math.max(base.revision, remoteRevision) + 1,
+          sections: normalizeSections(
+            recordNoteHistory(sectionsForSave, remoteSections)
+          ),
+          permissions: permissionsForSave,
           updatedAt: Date.now(),
           authorId: currentUserId,
-        };
+        });
 
-        // Check payload size
-        const sizeCheck = checkPayloadSize(metadata);
-        if (!sizeCheck.isValid) {
-          setError(
-            `Data too large (${Math.round(
-              sizeCheck.size / 1024
-            )}KB / ${Math.round(
-              sizeCheck.maxSize / 1024
-            )}KB). Please reduce content.`
-          );
-          setIsSaving(false);
-          return;
-        }
+        const { chunkCount } = await writeAnnotations(item, metadata);
+        if (queued) removePendingSave(item.id, queued.queuedAt);
+        broadcastChanges(item.id, remoteSections, metadata.sections);
 
-        // Get existing metadata to preserve other keys
-        let existingMetadata = {};
+        // Keep the board-level index used by "All notes" in sync
         try {
-          existingMetadata = (await item.getMetadata(APP_ID)) || {};
+          await updateAnnotatedItemIndex(item.id, hasNotes(metadata.sections));
         } catch (error) {
-          existingMetadata = {};
+          console.warn("[Annotate] Could not update item index:", error);
         }
-
-        const updatedMetadata = {
-          ...existingMetadata,
-          [METADATA_KEY]: metadata,
-        };
-
-        await item.setMetadata(APP_ID, updatedMetadata);
+        syncIndicator(item, countNotes(metadata.sections));
 
         // Update cache
         metadataCacheRef.current.set(item.id, {
-          sections: sectionsToSave || sections,
+          sections: metadata.sections,
+          syncedSections: metadata.sections,
+          permissions: metadata.permissions,
+          revision: metadata.revision,
+          stamp: getAnnotationsStamp(metadata),
         });
-        setIsDirty(false);
+        if (isOpen()) {
+          syncedRef.current = {
+            itemId: item.id,
+            revision: metadata.revision,
+            sections: metadata.sections,
+          };
+          setSections((prev) => applySavedHistory(prev, metadata.sections));
+          setIsDirty(false);
+        }
         logEvent("metadata_saved", {
           itemId: item.id,
-          sectionsCount: (sectionsToSave || sections).length,
+          revision: metadata.revision,
+          sectionsCount: metadata.sections.length,
+          chunkCount,
         });
       } catch (error) {
         console.error("[Annotate] Error saving metadata:", error);
-        setError(`Failed to save: ${error.message || "Unknown error"}`);
-        miro.board.notifications.showError("Failed to save annotations");
+        if (queued) {
+          // Retried from the queue; say so once per run of failures
+          await markSaveFailed(item.id, queued.queuedAt, error);
+          if (queued.attempts === 0) {
+            miro.board.notifications.showInfo(
+              "Could not save to the board. Changes are kept on this device and will sync automatically."
+            );
+          }
+        } else {
+          if (isOpen()) {
+            setError(`Failed to save: ${error.message || "Unknown error"}`);
+          }
+          miro.board.notifications.showError("Failed to save annotations");
+        }
       } finally {
+        release?.();
         setIsSaving(false);
       }
     },
-    [isEditor, currentUserId, sections]
+    [isEditor, currentUserId, sections, permissions]
+  );
+
+  // Apply the user's choices for conflicting notes and save the result
+  const resolveConflict = React.useCallback(
+    (choices) => {
+      if (!conflict) return;
+
+      const resolved = applyResolutions(
+        conflict.sections,
+        conflict.conflicts,
+        choices
+      );
+      syncedRef.current = {
+        itemId: conflict.item.id,
+        revision: conflict.remoteRevision,
+        sections: conflict.remoteSections,
+      };
+      showConflict(null);
+      setSections(resolved);
+      setPermissions(conflict.permissions);
+
+      // Refresh the open editor if its note was replaced
+      const openNote = resolved
+        .flatMap((s) => s.notes || [])
+        .find((n) => n.id === editingNoteId);
+      if (openNote) {
+        setEditingNoteHeading(openNote.heading);
+        setEditingNoteBody(openNote.body);
+      }
+
+      saveMetadata(conflict.item, resolved, conflict.permissions);
+      logEvent("merge_conflict_resolved", {
+        itemId: conflict.item.id,
+        conflictsCount: conflict.conflicts.length,
+      });
+    },
+    [conflict, editingNoteId, saveMetadata]
   );
 
-  // Debounced autosave
-  const debouncedSave = React.useMemo(
+  // Debounced autosave, per item. Edits are queued right away, so they
+  // survive the panel closing before the save runs. The debouncer outlives
+  // renders, so `flush()` reaches every pending save.
+  const autosaveRef = React.useRef(null);
+  autosaveRef.current = { saveMetadata, currentUserId };
+  const debouncedSave = React.useMemo(() => {
+    const save = debounceByKey(
+      (item, sectionsToSave, queued) =>
+        autosaveRef.current.saveMetadata(
+          item,
+          sectionsToSave,
+          undefined,
+          queued
+        ),
+      AUTOSAVE_DEBOUNCE_MS
+    );
+    const debounced = (item, sectionsToSave) => {
+      const queued = queuePendingSave({
+        itemId: item.id,
+        sections: sectionsToSave,
+        base: getSyncedBase(item.id),
+        authorId: autosaveRef.current.currentUserId,
+      });
+      save(item.id, item, sectionsToSave, queued);
+    };
+    debounced.flush = save.flush;
+    return debounced;
+  }, []);
+
+  // Write pending edits before the panel is hidden or unloaded
+  React.useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "hidden") debouncedSave.flush();
+    };
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    window.addEventListener("pagehide", debouncedSave.flush);
+    return () => {
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      window.removeEventListener("pagehide", debouncedSave.flush);
+    };
+  }, [debouncedSave]);
+
+  // Follow queued saves: pending status, and writes landing in the background
+  React.useEffect(
     () =>
-      debounce(
-        (item, sectionsToSave) => saveMetadata(item, sectionsToSave),
-        AUTOSAVE_DEBOUNCE_MS
-      ),
-    [saveMetadata]
+      subscribeSaveQueue((event) => {
+        if (event.type === "change") {
+          setPendingSaves(event.entries);
+          return;
+        }
+        if (event.type === "dropped") {
+          miro.board.notifications.showError(
+            `Could not sync saved changes: ${event.reason}`
+          );
+          logEvent("pending_save_dropped", {
+            itemId: event.itemId,
+            reason: event.reason,
+          });
+          return;
+        }
+
+        const { itemId, metadata, merged, isLatest } = event;
+        logEvent("pending_save_landed", {
+          itemId,
+          revision: metadata.revision,
+          merged,
+        });
+        if (isLatest) {
+          metadataCacheRef.current.set(itemId, {
+            sections: metadata.sections,
+            syncedSections: metadata.sections,
+            permissions: metadata.permissions,
+            revision: metadata.revision,
+            stamp: getAnnotationsStamp(metadata),
+          });
+        }
+
+        // The open item's state already holds what landed, unless the
+        // write picked up someone else's changes. Those are shown only
+        // when no newer edit is waiting, which will merge them itself.
+        if (editingItemIdRef.current !== itemId || (merged && !isLatest)) {
+          return;
+        }
+        syncedRef.current = {
+          itemId,
+          revision: metadata.revision,
+          sections: metadata.sections,
+        };
+        if (merged) {
+          const landedSections = sortSections(metadata.sections).map(
+            (section) => ({ ...section, notes: sortNotes(section.notes || []) })
+          );
+          setSections(landedSections);
+          setPermissions(metadata.permissions);
+          const openNote = landedSections
+            .flatMap((s) => s.notes || [])
+            .find((n) => n.id === editingNoteId);
+          if (openNote) {
+            setEditingNoteHeading(openNote.heading);
+            setEditingNoteBody(openNote.body);
+          }
+        } else {
+          setSections((prev) => applySavedHistory(prev, metadata.sections));
+        }
+        if (isLatest) setIsDirty(false);
+      }),
+    [editingNoteId]
   );
 
   // Handle selection updates
@@ -278,6 +788,7 @@ const App = () => {
     debounce(async (event) => {
       const selectedItems = event.items || [];
       setSelectionCount(selectedItems.length);
+      setMultiSelectedItems(selectedItems.length > 1 ? selectedItems : []);
 
       if (selectedItems.length === 0) {
         setSelectedItem(null);
@@ -286,6 +797,7 @@ const App = () => {
         setActiveSectionId(null);
         setEditingNoteId(null);
         setIsDirty(false);
+        setPermissions(null);
         setCurrentView("list"); // Return to list view
       } else if (selectedItems.length === 1) {
         const item = selectedItems[0];
@@ -293,28 +805,33 @@ const App = () => {
 
         setSelectedItem(item);
         setSelectedItemId(itemId);
-
-        const willBeEditor = await checkIsEditor(item);
-        setIsEditor(willBeEditor);
+        setShowPermissions(false);
 
         await loadMetadata(item);
       } else {
-        // Multi-selection: disable
+        // Multi-selection: overview and bulk actions only
         setSelectedItem(null);
         setSelectedItemId(null);
         setActiveNoteId(null);
         setActiveSectionId(null);
         setEditingNoteId(null);
         setIsDirty(false);
+        setPermissions(null);
         setCurrentView("list"); // Return to list view
       }
     }, SELECTION_DEBOUNCE_MS),
     [loadMetadata]
   );
 
-  // Set up selection listener
+  // Set up selection listener. Selections made to pick an item-link target
+  // do not switch the panel to that item. Pending edits are written to
+  // their item before the panel switches.
   React.useEffect(() => {
-    miro.board.ui.on("selection:update", handleSelectionUpdate);
+    miro.board.ui.on("selection:update", (event) => {
+      if (isPickingItem()) return;
+      debouncedSave.flush();
+      handleSelectionUpdate(event);
+    });
 
     miro.board
       .getSelection()
@@ -324,7 +841,72 @@ const App = () => {
       .catch((error) => {
         console.error("[Annotate] Error getting initial selection:", error);
       });
-  }, [handleSelectionUpdate]);
+  }, [handleSelectionUpdate, debouncedSave]);
+
+  // Keep the open item fresh: check it when the board reports it was
+  // updated (throttled), and on an interval while the panel is visible
+  React.useEffect(() => {
+    if (!selectedItem) return undefined;
+
+    let timeout = null;
+    const handleItemsUpdate = ({ items }) => {
+      if (timeout || !(items || []).some((i) => i.id === selectedItem.id)) {
+        return;
+      }
+      timeout = setTimeout(() => {
+        timeout = null;
+        revalidateItem(selectedItem);
+      }, METADATA_REFRESH_THROTTLE_MS);
+    };
+    const interval = setInterval(() => {
+      if (document.visibilityState === "visible") {
+        revalidateItem(selectedItem);
+      }
+    }, METADATA_REFRESH_INTERVAL_MS);
+
+    miro.board.ui.on("experimental:items:update", handleItemsUpdate);
+    return () => {
+      miro.board.ui.off("experimental:items:update", handleItemsUpdate);
+      clearTimeout(timeout);
+      clearInterval(interval);
+    };
+  }, [selectedItem, revalidateItem]);
+
+  // Teammates' saves of the open item: refresh it and say who changed it
+  React.useEffect(() => {
+    if (!selectedItem) return undefined;
+
+    let timeout = null;
+    const unsubscribe = subscribeToChanges((event) => {
+      if (event.itemId !== selectedItem.id) return;
+      revalidateItem(selectedItem);
+
+      const noun = event.noteId ? "Note" : "Notes";
+      setChangeNotice(
+        `${noun} ${event.action} by ${event.author?.name || "someone"}`
+      );
+      clearTimeout(timeout);
+      timeout = setTimeout(() => setChangeNotice(null), CHANGE_NOTICE_MS);
+    });
+    return () => {
+      unsubscribe();
+      clearTimeout(timeout);
+      setChangeNotice(null);
+    };
+  }, [selectedItem, revalidateItem]);
+
+  // Refresh the board's tag palette and clear the tag filter per item
+  React.useEffect(() => {
+    setTagFilter([]);
+    getTagPalette().then(setTagPalette);
+  }, [selectedItemId]);
+
+  React.useEffect(() => {
+    if (!selectedItem) return;
+    resolveItemTitle(selectedItem).then((title) =>
+      setResolvedTitle({ itemId: selectedItem.id, title })
+    );
+  }, [selectedItem]);
 
   // Section management
   const addSection = React.useCallback(() => {
@@ -436,16 +1018,15 @@ const App = () => {
       const section = sections.find((s) => s.id === sectionId);
       if (!section) return;
 
-      const itemName = selectedItem.plainText || selectedItem.content || "";
       const itemType = selectedItem.type || "item";
       const notesCount = section.notes?.length || 0;
       const newNote = createNote(
         selectedItem.id,
-        itemName,
+        selectedItemTitle,
         itemType,
         sectionId,
         "", // heading - will use item name if empty
-        "", // body
+        [], // body
         currentUserId,
         notesCount
       );
@@ -459,14 +1040,21 @@ const App = () => {
       setActiveNoteId(newNote.id);
       setEditingNoteId(newNote.id);
       setEditingNoteHeading(newNote.heading);
-      setEditingNoteBody("");
+      setEditingNoteBody([]);
       setExpandedSections((prev) => new Set([...prev, sectionId]));
       setCurrentView("editor"); // Navigate to editor page
       setIsDirty(true);
       debouncedSave(selectedItem, updatedSections);
       logEvent("note_created", { noteId: newNote.id, sectionId });
     },
-    [isEditor, selectedItem, sections, currentUserId, debouncedSave]
+    [
+      isEditor,
+      selectedItem,
+      selectedItemTitle,
+      sections,
+      currentUserId,
+      debouncedSave,
+    ]
   );
 
   const createNewNote = React.useCallback(() => {
@@ -497,7 +1085,8 @@ const App = () => {
       setActiveSectionId(sectionId);
       setEditingNoteId(noteId);
       setEditingNoteHeading(note.heading || "");
-      setEditingNoteBody(note.body || "");
+      setEditingNoteBody(note.body || []);
+      setShowHistory(false);
       setExpandedSections((prev) => new Set([...prev, sectionId]));
       setCurrentView("editor"); // Navigate to editor page
     },
@@ -520,7 +1109,12 @@ const App = () => {
         notes:
           section.notes?.map((note) =>
             note.id === noteId
-              ? { ...note, ...updates, updatedAt: Date.now() }
+              ? {
+                  ...note,
+                  ...updates,
+                  updatedAt: Date.now(),
+                  updatedBy: { id: currentUserId, name: currentUserName },
+                }
               : note
           ) || [],
       }));
@@ -529,9 +1123,85 @@ const App = () => {
       setIsDirty(true);
       debouncedSave(selectedItem, updatedSections);
     },
-    [isEditor, selectedItem, sections, debouncedSave]
+    [
+      isEditor,
+      selectedItem,
+      sections,
+      debouncedSave,
+      currentUserId,
+      currentUserName,
+    ]
+  );
+
+  // Tick or untick a checklist item from the notes list
+  const toggleNoteChecklistItem = React.useCallback(
+    (note, index) => {
+      const body = toggleChecklistItem(note.body, index);
+      updateNote(note.id, { body });
+      if (editingNoteId === note.id) {
+        setEditingNoteBody(body);
+      }
+    },
+    [updateNote, editingNoteId]
+  );
+
+  const toggleChecklist = React.useCallback((noteId) => {
+    setExpandedChecklists((prev) => {
+      const next = new Set(prev);
+      if (next.has(noteId)) {
+        next.delete(noteId);
+      } else {
+        next.add(noteId);
+      }
+      return next;
+    });
+  }, []);
+
+  // Restore an earlier version as a new revision, keeping the current one
+  const restoreNoteVersion = React.useCallback(
+    (note, version) => {
+      updateNote(note.id, restoreRevision(note, version));
+      setEditingNoteHeading(version.heading);
+      setEditingNoteBody(version.body);
+      setShowHistory(false);
+      logEvent("note_version_restored", {
+        noteId: note.id,
+        versionUpdatedAt: version.updatedAt,
+      });
+    },
+    [updateNote]
+  );
+
+  // Tags: new tag names join the board palette so they get a colour
+  const updateNoteTags = React.useCallback(
+    (note, tags) => {
+      updateNote(note.id, { tags });
+      addTagsToPalette(tags)
+        .then(setTagPalette)
+        .catch((error) => {
+          console.error("[Annotate] Error updating tag palette:", error);
+        });
+      logEvent("note_tags_updated", { noteId: note.id, count: tags.length });
+    },
+    [updateNote]
   );
 
+  const changeTagColor = React.useCallback((name, color) => {
+    setTagColor(name, color)
+      .then(setTagPalette)
+      .catch((error) => {
+        console.error("[Annotate] Error changing tag colour:", error);
+        setError("Failed to change the tag colour");
+      });
+  }, []);
+
+  const toggleTagFilter = React.useCallback((name) => {
+    const isSame = (tag) => tag.toLowerCase() === name.toLowerCase();
+    setTagFilter((prev) =>
+      prev.some(isSame) ? prev.filter((tag) => !isSame(tag)) : [...prev, name]
+    );
+  }, []);
+
   const deleteNote = React.useCallback(
     (noteId, sectionId) => {
       if (!isEditor || !selectedItem) return;
@@ -562,7 +1232,7 @@ const App = () => {
         setActiveNoteId(null);
         setEditingNoteId(null);
         setEditingNoteHeading("");
-        setEditingNoteBody("");
+        setEditingNoteBody([]);
       }
       setIsDirty(true);
       debouncedSave(selectedItem, updatedSections);
@@ -651,6 +1321,98 @@ const App = () => {
     [isEditor, selectedItem, sections, debouncedSave]
   );
 
+  // Drag and drop: move the dragged section or note to its target with a
+  // single save
+  const dropDragged = React.useCallback(() => {
+    setDrag(null);
+    if (!drag || !isEditor || !selectedItem) return;
+
+    const { sectionId, index } = drag.target;
+    const updatedSections =
+      drag.type === "section"
+        ? moveSectionTo(sections, drag.id, index)
+        : moveNoteTo(sections, drag.id, sectionId, index);
+    if (updatedSections === sections) return;
+
+    setSections(updatedSections);
+    if (drag.type === "note" && activeNoteId === drag.id) {
+      setActiveSectionId(sectionId);
+    }
+    setIsDirty(true);
+    debouncedSave(selectedItem, updatedSections);
+    logEvent(`${drag.type}_dropped`, { id: drag.id, sectionId, index });
+  }, [drag, isEditor, selectedItem, sections, activeNoteId, debouncedSave]);
+
+  const startDrag = React.useCallback((type, id, from, keyboard) => {
+    setDrag({ type, id, from, target: from, keyboard });
+  }, []);
+
+  const setDropTarget = React.useCallback((target) => {
+    setDrag((prev) =>
+      prev &&
+      (prev.target.sectionId !== target.sectionId ||
+        prev.target.index !== target.index)
+        ? { ...prev, target }
+        : prev
+    );
+  }, []);
+
+  // Keyboard drag from a drag handle: Space or Enter picks up and drops,
+  // arrows move the drop position, Escape cancels
+  const handleDragKeyDown = React.useCallback(
+    (e, type, id, from) => {
+      const isDragging = drag?.keyboard && drag.id === id;
+      if (e.key === " " || e.key === "Enter") {
+        e.preventDefault();
+        e.stopPropagation();
+        if (isDragging) dropDragged();
+        else startDrag(type, id, from, true);
+        return;
+      }
+      if (!isDragging) return;
+
+      if (e.key === "Escape") {
+        e.preventDefault();
+        setDrag(null);
+      } else if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+        e.preventDefault();
+        const slots =
+          type === "section"
+            ? sections.map((_, index) => ({ sectionId: null, index }))
+            : getNoteDropSlots(sections, id, (sectionId) =>
+                expandedSections.has(sectionId)
+              );
+        const current = slots.findIndex(
+          (slot) =>
+            slot.sectionId === drag.target.sectionId &&
+            slot.index === drag.target.index
+        );
+        const next = slots[current + (e.key === "ArrowDown" ? 1 : -1)];
+        if (next) setDropTarget(next);
+      }
+    },
+    [drag, sections, expandedSections, dropDragged, startDrag, setDropTarget]
+  );
+
+  // Screen reader description of a keyboard drag
+  const getDragAnnouncement = () => {
+    if (!drag?.keyboard) return "";
+    const help = "Use the arrow keys to move, Space to drop, Escape to cancel.";
+    if (drag.type === "section") {
+      const section = sections.find((s) => s.id === drag.id);
+      return `Moving section "${section?.name}" to position ${
+        drag.target.index + 1
+      } of ${sections.length}. ${help}`;
+    }
+    const note = sections
+      .flatMap((s) => s.notes || [])
+      .find((n) => n.id === drag.id);
+    const section = sections.find((s) => s.id === drag.target.sectionId);
+    return `Moving note "${note?.heading || "Untitled"}" to position ${
+      drag.target.index + 1
+    } in "${section?.name}". ${help}`;
+  };
+
   // Handle note field changes
   const handleNoteHeadingChange = React.useCallback(
     (value) => {
@@ -687,7 +1449,193 @@ const App = () => {
     });
   }, []);
 
+  // Owner-only: change who can edit this item's notes
+  const updatePermissions = React.useCallback(
+    (nextPermissions) => {
+      if (!isItemOwner || !selectedItem) return;
+
+      setPermissions(nextPermissions);
+      saveMetadata(selectedItem, sections, nextPermissions);
+      logEvent("permissions_updated", {
+        itemId: selectedItem.id,
+        mode: nextPermissions.mode,
+        editorsCount: nextPermissions.editors.length,
+      });
+    },
+    [isItemOwner, selectedItem, sections, saveMetadata]
+  );
+
+  // A restore may have rewritten any item: drop cached annotations
+  const handleBoardRestored = React.useCallback(() => {
+    metadataCacheRef.current.clear();
+    if (selectedItem) {
+      loadMetadata(selectedItem);
+    }
+  }, [selectedItem, loadMetadata]);
+
+  // Bulk actions rewrote some items: drop their cached annotations
+  const handleBulkChanged = React.useCallback(
+    ({ updated, skipped, failed }) => {
+      updated.forEach((item) => metadataCacheRef.current.delete(item.id));
+      logEvent("bulk_update", {
+        updatedCount: updated.length,
+        skippedCount: skipped.length,
+        failedCount: failed.length,
+      });
+    },
+    []
+  );
+
+  // Markdown export / import
+  const exportMarkdown = React.useCallback(() => {
+    if (!selectedItem) return;
+
+    const itemName = selectedItemTitle;
+    const markdown = exportSectionsToMarkdown(sections, itemName);
+    const url = URL.createObjectURL(
+      new Blob([markdown], { type: "text/markdown" })
+    );
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${itemName.replace(/[^\w-]+/g, "_") || "notes"}.md`;
+    link.click();
+    URL.revokeObjectURL(url);
+    logEvent("markdown_exported", { itemId: selectedItem.id });
+  }, [selectedItem, selectedItemTitle, sections]);
+
+  const importMarkdown = React.useCallback(
+    async (file) => {
+      if (!isEditor || !selectedItem || !file) return;
+
+      try {
+        const markdown = await file.text();
+        const imported = importSectionsFromMarkdown(markdown, sections, {
+          itemId: selectedItem.id,
+          itemName: selectedItemTitle,
+          itemType: selectedItem.type || "item",
+          authorId: currentUserId,
+        });
+
+        if (imported.notesCount === 0) {
+          setError("No notes found: use ## for sections and ### for notes");
+          return;
+        }
+
+        setSections(imported.sections);
+        setExpandedSections(new Set(imported.sections.map((s) => s.id)));
+        setIsDirty(true);
+        debouncedSave(selectedItem, imported.sections);
+        logEvent("markdown_imported", {
+          itemId: selectedItem.id,
+          sectionsCount: imported.sectionsCount,
+          notesCount: imported.notesCount,
+        });
+      } catch (error) {
+        console.error("[Annotate] Error importing markdown:", error);
+        setError("Failed to import Markdown");
+      }
+    },
+    [
+      isEditor,
+      selectedItem,
+      selectedItemTitle,
+      sections,
+      currentUserId,
+      debouncedSave,
+    ]
+  );
+
+  // Merge a template into the item's sections, or replace them with it
+  const applyTemplateToItem = React.useCallback(
+    (template, mode) => {
+      if (!isEditor || !selectedItem) return;
+
+      const updatedSections = applyTemplate(sections, template, {
+        mode,
+        item: selectedItem,
+        authorId: currentUserId,
+        authorName: currentUserName,
+      });
+
+      if (mode === "replace") {
+        setActiveNoteId(null);
+        setActiveSectionId(null);
+        setEditingNoteId(null);
+      }
+      setSections(updatedSections);
+      setExpandedSections(new Set(updatedSections.map((s) => s.id)));
+      setShowTemplates(false);
+      setIsDirty(true);
+      debouncedSave(selectedItem, updatedSections);
+      logEvent("template_applied", {
+        itemId: selectedItem.id,
+        templateId: template.id,
+        mode,
+      });
+    },
+    [
+      isEditor,
+      selectedItem,
+      sections,
+      currentUserId,
+      currentUserName,
+      debouncedSave,
+    ]
+  );
+
   // Render sections and notes list
+  // Line showing where a dragged section or note will land
+  const renderDropIndicator = (key) => (
+    <div
+      key={key}
+      style={{
+        height: "2px",
+        margin: "0 0 6px",
+        backgroundColor: "#3B82F6",
+        borderRadius: "1px",
+      }}
+    />
+  );
+
+  // True when a drag of `type` targets this position, and it is not where
+  // the dragged section or note started
+  const isDropTarget = (type, sectionId, index) =>
+    drag?.type === type &&
+    drag.target.sectionId === sectionId &&
+    drag.target.index === index &&
+    !(drag.from.sectionId === sectionId && drag.from.index === index);
+
+  // Drop position before or after an element, from the pointer position
+  const getPointerIndex = (e, index) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return e.clientY > rect.top + rect.height / 2 ? index + 1 : index;
+  };
+
+  // Drag handle, also usable from the keyboard
+  const renderDragHandle = (type, id, from, label) => (
+    <span
+      role="button"
+      tabIndex={0}
+      aria-label={`Reorder ${label}`}
+      aria-pressed={Boolean(drag?.keyboard && drag.id === id)}
+      title="Drag to reorder, or press Space and use the arrow keys"
+      onClick={(e) => e.stopPropagation()}
+      onKeyDown={(e) => handleDragKeyDown(e, type, id, from)}
+      onBlur={() => {
+        if (drag?.keyboard && drag.id === id) setDrag(null);
+      }}
+      style={{
+        marginRight: "8px",
+        fontSize: "14px",
+        color: "#9CA3AF",
+        cursor: "grab",
+        userSelect: "none",
+      }}
+    >
+      ⠿
+    </span>
+  );
+
   const renderSectionsList = () => {
     if (sections.length === 0) {
       return (
@@ -697,15 +1645,55 @@ const App = () => {
       );
     }
 
-    return sections.map((section) => {
+    // Drops are computed against every note, so dragging is off while
+    // the tag filter hides some of them
+    const isFiltering = tagFilter.length > 0;
+    const canReorder = isEditor && !isFiltering;
+
+    const sectionIds = sections.map((s) => s.id);
+    const sectionList = sections.flatMap((section, sectionIndex) => {
       const isExpanded = expandedSections.has(section.id);
       const notes = sortNotes(section.notes || []);
+      const visibleNotes = notes.filter((note) => noteHasTags(note, tagFilter));
+      if (isFiltering && visibleNotes.length === 0) return [];
+      const noteIds = notes.map((n) => n.id);
+      const noteDropEnd = noteIds.filter((id) => id !== drag?.id).length;
+      const isNoteDropOnHeader =
+        !isExpanded && isDropTarget("note", section.id, noteDropEnd);
       const isEditing = editingSectionId === section.id;
+      const sectionProgress = getChecklistProgress(
+        ...notes.map((note) => note.body)
+      );
 
-      return (
+      const isSectionDropBefore =
+        section.id !== drag?.id &&
+        isDropTarget(
+          "section",
+          null,
+          toDropIndex(sectionIds, drag?.id, sectionIndex)
+        );
+      const sectionCard = (
         <div
           key={section.id}
+          onDragOver={(e) => {
+            if (drag?.type !== "section") return;
+            e.preventDefault();
+            setDropTarget({
+              sectionId: null,
+              index: toDropIndex(
+                sectionIds,
+                drag.id,
+                getPointerIndex(e, sectionIndex)
+              ),
+            });
+          }}
+          onDrop={(e) => {
+            if (!drag) return;
+            e.preventDefault();
+            dropDragged();
+          }}
           style={{
+            opacity: drag?.id === section.id ? 0.5 : 1,
             marginBottom: "12px",
             border: "1px solid #E5E7EB",
             borderRadius: "8px",
@@ -717,11 +1705,29 @@ const App = () => {
         >
           {/* Section header */}
           <div
+            draggable={canReorder && !isEditing}
+            onDragStart={(e) => {
+              e.dataTransfer.effectAllowed = "move";
+              e.dataTransfer.setData("text/plain", section.name);
+              startDrag(
+                "section",
+                section.id,
+                { sectionId: null, index: sectionIndex },
+                false
+              );
+            }}
+            onDragEnd={() => setDrag(null)}
+            onDragOver={(e) => {
+              // Notes dropped on a header go to the end of its section
+              if (drag?.type !== "note") return;
+              e.preventDefault();
+              setDropTarget({ sectionId: section.id, index: noteDropEnd });
+            }}
             style={{
               display: "flex",
               alignItems: "center",
               padding: "12px 16px",
-              backgroundColor: "#FAFBFC",
+              backgroundColor: isNoteDropOnHeader ? "#EFF6FF" : "#FAFBFC",
               cursor: "pointer",
               transition: "background-color 0.2s ease",
               borderBottom: isExpanded ? "1px solid #E5E7EB" : "none",
@@ -734,6 +1740,14 @@ const App = () => {
               e.currentTarget.style.backgroundColor = "#FAFBFC";
             }}
           >
+            {canReorder &&
+              !isEditing &&
+              renderDragHandle(
+                "section",
+                section.id,
+                { sectionId: null, index: sectionIndex },
+                `section ${section.name}`
+              )}
             <span
               style={{
                 marginRight: "10px",
@@ -793,8 +1807,26 @@ const App = () => {
                     borderRadius: "12px",
                   }}
                 >
-                  {notes.length}
+                  {isFiltering
+                    ? `${visibleNotes.length}/${notes.length}`
+                    : notes.length}
                 </span>
+                {sectionProgress.total > 0 && (
+                  <span
+                    title="Checklist items done"
+                    style={{
+                      fontSize: "12px",
+                      fontWeight: "500",
+                      color:
+                        sectionProgress.done === sectionProgress.total
+                          ? "#059669"
+                          : "#6B7280",
+                      marginRight: "12px",
+                    }}
+                  >
+                    {sectionProgress.done}/{sectionProgress.total} done
+                  </span>
+                )}
               </>
             )}
             {isEditor && !isEditing && (
@@ -909,7 +1941,15 @@ const App = () => {
 
           {/* Section notes */}
           {isExpanded && (
-            <div style={{ padding: "12px" }}>
+            <div
+              style={{ padding: "12px" }}
+              onDragOver={(e) => {
+                // Below the last note (rows handle their own positions)
+                if (drag?.type !== "note" || e.defaultPrevented) return;
+                e.preventDefault();
+                setDropTarget({ sectionId: section.id, index: noteDropEnd });
+              }}
+            >
               {notes.length === 0 ? (
                 <div
                   style={{
@@ -923,13 +1963,53 @@ const App = () => {
                   No notes in this section
                 </div>
               ) : (
-                notes.map((note) => {
+                visibleNotes.flatMap((note, noteIndex) => {
                   const isActive = activeNoteId === note.id;
-                  return (
+                  const checklistItems = getChecklistItems(note.body);
+                  const checklistProgress = getChecklistProgress(note.body);
+                  const isChecklistOpen = expandedChecklists.has(note.id);
+                  const previewText = docToText(note.body);
+                  const isNoteDropBefore =
+                    note.id !== drag?.id &&
+                    isDropTarget(
+                      "note",
+                      section.id,
+                      toDropIndex(noteIds, drag?.id, noteIndex)
+                    );
+                  const noteCard = (
                     <div
                       key={note.id}
                       onClick={() => selectNote(note.id, section.id)}
+                      draggable={canReorder}
+                      onDragStart={(e) => {
+                        e.stopPropagation();
+                        e.dataTransfer.effectAllowed = "move";
+                        e.dataTransfer.setData(
+                          "text/plain",
+                          note.heading || "Untitled"
+                        );
+                        startDrag(
+                          "note",
+                          note.id,
+                          { sectionId: section.id, index: noteIndex },
+                          false
+                        );
+                      }}
+                      onDragEnd={() => setDrag(null)}
+                      onDragOver={(e) => {
+                        if (drag?.type !== "note") return;
+                        e.preventDefault();
+                        setDropTarget({
+                          sectionId: section.id,
+                          index: toDropIndex(
+                            noteIds,
+                            drag.id,
+                            getPointerIndex(e, noteIndex)
+                          ),
+                        });
+                      }}
                       style={{
+                        opacity: drag?.id === note.id ? 0.5 : 1,
                         padding: "12px",
                         marginBottom: "8px",
                         backgroundColor: isActive ? "#EFF6FF" : "#FAFBFC",
@@ -967,6 +2047,13 @@ const App = () => {
                           alignItems: "start",
                         }}
                       >
+                        {canReorder &&
+                          renderDragHandle(
+                            "note",
+                            note.id,
+                            { sectionId: section.id, index: noteIndex },
+                            `note ${note.heading || "Untitled"}`
+                          )}
                         <div style={{ flex: 1 }}>
                           <div
                             style={{
@@ -987,12 +2074,10 @@ const App = () => {
                               marginBottom: "6px",
                             }}
                           >
-                            {note.body
-                              ? note.body.replace(/<[^>]*>/g, "").length > 60
-                                ? note.body
-                                    .replace(/<[^>]*>/g, "")
-                                    .substring(0, 60) + "..."
-                                : note.body.replace(/<[^>]*>/g, "")
+                            {previewText
+                              ? previewText.length > 60
+                                ? previewText.substring(0, 60) + "..."
+                                : previewText
                               : "No content"}
                           </div>
                           <div
@@ -1014,7 +2099,86 @@ const App = () => {
                             >
                               {note.itemName}
                             </span>
+                            {(note.tags || []).map((tag) => (
+                              <TagChip
+                                key={tag}
+                                name={tag}
+                                color={getTagColor(tagPalette, tag)}
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  toggleTagFilter(tag);
+                                }}
+                              />
+                            ))}
+                            {checklistProgress.total > 0 && (
+                              <button
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  toggleChecklist(note.id);
+                                }}
+                                title={
+                                  isChecklistOpen
+                                    ? "Hide checklist"
+                                    : "Show checklist"
+                                }
+                                style={{
+                                  padding: "2px 6px",
+                                  fontSize: "11px",
+                                  border: "1px solid #E5E7EB",
+                                  borderRadius: "4px",
+                                  cursor: "pointer",
+                                  backgroundColor: isChecklistOpen
+                                    ? "#EFF6FF"
+                                    : "#FFFFFF",
+                                  color:
+                                    checklistProgress.done ===
+                                    checklistProgress.total
+                                      ? "#059669"
+                                      : "#6B7280",
+                                }}
+                              >
+                                ☑ {checklistProgress.done}/
+                                {checklistProgress.total} done
+                              </button>
+                            )}
                           </div>
+                          {isChecklistOpen && (
+                            <div
+                              onClick={(e) => e.stopPropagation()}
+                              style={{
+                                marginTop: "8px",
+                                cursor: "default",
+                              }}
+                            >
+                              {checklistItems.map((item, index) => (
+                                <label
+                                  key={index}
+                                  style={{
+                                    display: "flex",
+                                    alignItems: "flex-start",
+                                    gap: "6px",
+                                    fontSize: "13px",
+                                    color: item.checked ? "#9CA3AF" : "#374151",
+                                    textDecoration: item.checked
+                                      ? "line-through"
+                                      : "none",
+                                    padding: "2px 0",
+                                    cursor: isEditor ? "pointer" : "default",
+                                  }}
+                                >
+                                  <input
+                                    type="checkbox"
+                                    checked={item.checked}
+                                    disabled={!isEditor}
+                                    onChange={() =>
+                                      toggleNoteChecklistItem(note, index)
+                                    }
+                                  />
+                                  {item.text || "Untitled item"}
+                                </label>
+                              ))}
+                            </div>
+                          )}
                         </div>
                         {isEditor && (
                           <div
@@ -1140,13 +2304,103 @@ const App = () => {
                       </div>
                     </div>
                   );
+                  return isNoteDropBefore
+                    ? [renderDropIndicator(`drop-${note.id}`), noteCard]
+                    : noteCard;
                 })
               )}
+              {isDropTarget("note", section.id, noteDropEnd) &&
+                renderDropIndicator("end")}
             </div>
           )}
         </div>
       );
+      return isSectionDropBefore
+        ? [renderDropIndicator(`drop-${section.id}`), sectionCard]
+        : sectionCard;
     });
+
+    if (isFiltering && sectionList.length === 0) {
+      return (
+        <div style={{ padding: "20px", textAlign: "center", color: "#6B7280" }}>
+          No notes have all of the selected tags.
+        </div>
+      );
+    }
+
+    return (
+      <>
+        {sectionList}
+        {isDropTarget("section", null, sections.length - 1) &&
+          renderDropIndicator("end")}
+        <div
+          aria-live="polite"
+          style={{
+            position: "absolute",
+            width: "1px",
+            height: "1px",
+            overflow: "hidden",
+            clip: "rect(0 0 0 0)",
+          }}
+        >
+          {getDragAnnouncement()}
+        </div>
+      </>
+    );
+  };
+
+  // Tags used on this item's notes; selecting tags hides other notes
+  const renderTagFilterBar = () => {
+    const usedTags = getUsedTags(sections);
+    if (usedTags.length === 0 && tagFilter.length === 0) return null;
+
+    const isSelected = (name) =>
+      tagFilter.some((tag) => tag.toLowerCase() === name.toLowerCase());
+    const staleTags = tagFilter.filter(
+      (name) =>
+        !usedTags.some((tag) => tag.toLowerCase() === name.toLowerCase())
+    );
+
+    return (
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          alignItems: "center",
+          gap: "6px",
+          marginBottom: "12px",
+          fontSize: "12px",
+          color: "#6B7280",
+        }}
+      >
+        Tags:
+        {[...usedTags, ...staleTags].map((name) => (
+          <TagChip
+            key={name}
+            name={name}
+            color={getTagColor(tagPalette, name)}
+            isActive={isSelected(name)}
+            onClick={() => toggleTagFilter(name)}
+          />
+        ))}
+        {tagFilter.length > 0 && (
+          <button
+            onClick={() => setTagFilter([])}
+            style={{
+              padding: "2px 8px",
+              fontSize: "11px",
+              border: "1px solid #D1D5DB",
+              borderRadius: "4px",
+              cursor: "pointer",
+              backgroundColor: "#FFFFFF",
+              color: "#374151",
+            }}
+          >
+            Clear
+          </button>
+        )}
+      </div>
+    );
   };
 
   // Render note editor page
@@ -1252,6 +2506,56 @@ const App = () => {
           />
         </div>
 
+        <div style={{ marginBottom: "20px" }}>
+          <label
+            style={{
+              display: "block",
+              marginBottom: "8px",
+              fontWeight: "600",
+              fontSize: "14px",
+              color: "#374151",
+            }}
+          >
+            Tags
+          </label>
+          <TagEditor
+            tags={activeNote.tags}
+            palette={tagPalette}
+            disabled={!isEditor}
+            onChange={(tags) => updateNoteTags(activeNote, tags)}
+            onColorChange={changeTagColor}
+          />
+        </div>
+
+        <div style={{ marginBottom: "20px" }}>
+          <button
+            onClick={() => setShowHistory((prev) => !prev)}
+            style={{
+              padding: "6px 12px",
+              fontSize: "12px",
+              fontWeight: "500",
+              border: "1px solid #D1D5DB",
+              borderRadius: "6px",
+              cursor: "pointer",
+              backgroundColor: showHistory ? "#EFF6FF" : "#FFFFFF",
+              color: "#374151",
+              marginBottom: showHistory ? "12px" : 0,
+            }}
+          >
+            {showHistory ? "Hide history" : "History"} (
+            {(activeNote.history || []).length})
+          </button>
+          {showHistory && (
+            <NoteHistory
+              key={activeNote.id}
+              note={activeNote}
+              currentUserId={currentUserId}
+              canRestore={isEditor}
+              onRestore={(version) => restoreNoteVersion(activeNote, version)}
+            />
+          )}
+        </div>
+
         <div
           style={{
             padding: "12px",
@@ -1282,11 +2586,7 @@ const App = () => {
                       const selection = await miro.board.getSelection();
                       if (selection && selection.length === 1) {
                         const newItem = selection[0];
-                        const newItemName =
-                          newItem.plainText ||
-                          newItem.content ||
-                          newItem.type ||
-                          "Untitled";
+                        const newItemName = await resolveItemTitle(newItem);
                         const newItemType = newItem.type || "item";
 
                         // Update note with new item binding
@@ -1393,8 +2693,68 @@ const App = () => {
     );
   };
 
+  // Saves waiting to be retried: this item's status, and a count of others
+  const renderPendingSync = () => {
+    const waiting = pendingSaves.filter((entry) => entry.attempts > 0);
+    if (waiting.length === 0) return null;
+
+    const current = waiting.find((entry) => entry.itemId === selectedItemId);
+    const othersCount = waiting.length - (current ? 1 : 0);
+    const parts = [];
+    if (current) {
+      parts.push("Pending sync: changes to this item are kept on this device.");
+    }
+    if (othersCount > 0) {
+      parts.push(
+        `${othersCount} ${current ? "other " : ""}${
+          othersCount === 1 ? "item" : "items"
+        } pending sync.`
+      );
+    }
+
+    return (
+      <div
+        title={current?.lastError || undefined}
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: "8px",
+          fontSize: "12px",
+          color: "#B45309",
+          marginTop: "8px",
+        }}
+      >
+        <span style={{ flex: 1 }}>⟳ {parts.join(" ")}</span>
+        <button
+          onClick={retryPendingSaves}
+          style={{
+            padding: "2px 8px",
+            fontSize: "11px",
+            border: "1px solid #D1D5DB",
+            borderRadius: "4px",
+            cursor: "pointer",
+            backgroundColor: "#FFFFFF",
+            color: "#374151",
+          }}
+        >
+          Retry now
+        </button>
+      </div>
+    );
+  };
+
   // Main render
   const renderContent = () => {
+    if (panelMode === "board") {
+      return (
+        <AllNotesBrowser
+          canEditItem={checkCanEditItem}
+          currentUserId={currentUserId}
+          onRestored={handleBoardRestored}
+        />
+      );
+    }
+
     if (selectionCount === 0) {
       return (
         <div
@@ -1411,15 +2771,12 @@ const App = () => {
 
     if (selectionCount > 1) {
       return (
-        <div
-          style={{
-            textAlign: "center",
-            padding: "40px 20px",
-            color: "#6B7280",
-          }}
-        >
-          Select a single item to annotate
-        </div>
+        <MultiSelectionPanel
+          items={multiSelectedItems}
+          currentUserId={currentUserId}
+          currentUserName={currentUserName}
+          onChanged={handleBulkChanged}
+        />
       );
     }
 
@@ -1437,6 +2794,16 @@ const App = () => {
       );
     }
 
+    if (conflict) {
+      return (
+        <ConflictResolver
+          key={conflict.remoteRevision}
+          conflicts={conflict.conflicts}
+          onResolve={resolveConflict}
+        />
+      );
+    }
+
     // Show editor page or list page based on currentView
     if (currentView === "editor") {
       return (
@@ -1506,6 +2873,113 @@ const App = () => {
               </button>
             )}
           </div>
+          <div style={{ display: "flex", gap: "6px", marginBottom: "12px" }}>
+            <button
+              onClick={exportMarkdown}
+              style={{
+                padding: "6px 12px",
+                fontSize: "12px",
+                fontWeight: "500",
+                border: "1px solid #D1D5DB",
+                borderRadius: "6px",
+                cursor: "pointer",
+                backgroundColor: "#FFFFFF",
+                color: "#374151",
+              }}
+            >
+              Export Markdown
+            </button>
+            {isEditor && (
+              <>
+                <button
+                  onClick={() => importInputRef.current?.click()}
+                  style={{
+                    padding: "6px 12px",
+                    fontSize: "12px",
+                    fontWeight: "500",
+                    border: "1px solid #D1D5DB",
+                    borderRadius: "6px",
+                    cursor: "pointer",
+                    backgroundColor: "#FFFFFF",
+                    color: "#374151",
+                  }}
+                >
+                  Import Markdown
+                </button>
+                <input
+                  ref={importInputRef}
+                  type="file"
+                  accept=".md,.markdown,text/markdown,text/plain"
+                  style={{ display: "none" }}
+                  onChange={(e) => {
+                    importMarkdown(e.target.files?.[0]);
+                    e.target.value = "";
+                  }}
+                />
+                <button
+                  onClick={() => setShowTemplates((show) => !show)}
+                  style={{
+                    padding: "6px 12px",
+                    fontSize: "12px",
+                    fontWeight: "500",
+                    border: "1px solid",
+                    borderColor: showTemplates ? "#3B82F6" : "#D1D5DB",
+                    borderRadius: "6px",
+                    cursor: "pointer",
+                    backgroundColor: showTemplates ? "#EFF6FF" : "#FFFFFF",
+                    color: "#374151",
+                  }}
+                >
+                  Templates
+                </button>
+              </>
+            )}
+            {isItemOwner && (
+              <button
+                onClick={() => setShowPermissions((show) => !show)}
+                style={{
+                  marginLeft: "auto",
+                  padding: "6px 12px",
+                  fontSize: "12px",
+                  fontWeight: "500",
+                  border: "1px solid",
+                  borderColor: showPermissions ? "#3B82F6" : "#D1D5DB",
+                  borderRadius: "6px",
+                  cursor: "pointer",
+                  backgroundColor: showPermissions ? "#EFF6FF" : "#FFFFFF",
+                  color: "#374151",
+                }}
+              >
+                Permissions
+              </button>
+            )}
+          </div>
+          {isEditor && showTemplates && (
+            <TemplateLibrary
+              sections={sections}
+              currentUserId={currentUserId}
+              onApply={applyTemplateToItem}
+            />
+          )}
+          {isItemOwner && showPermissions && (
+            <PermissionsPanel
+              permissions={permissions}
+              currentUserId={currentUserId}
+              onChange={updatePermissions}
+            />
+          )}
+          {!isEditor && selectedItem && permissions && (
+            <div
+              style={{
+                fontSize: "12px",
+                color: "#6B7280",
+                marginBottom: "12px",
+              }}
+            >
+              View only. Ask the owner of this item's notes for edit access.
+            </div>
+          )}
+          {renderTagFilterBar()}
           {renderSectionsList()}
           {isEditor && selectedItem && (
             <button
@@ -1551,14 +3025,62 @@ const App = () => {
           backgroundColor: "#FFFFFF",
         }}
       >
+        <div style={{ display: "flex", gap: "6px" }}>
+          {[
+            { mode: "item", label: "This item" },
+            { mode: "board", label: "All notes" },
+          ].map(({ mode, label }) => (
+            <button
+              key={mode}
+              onClick={() => setPanelMode(mode)}
+              style={{
+                flex: 1,
+                padding: "6px 12px",
+                fontSize: "13px",
+                fontWeight: "500",
+                border: "1px solid",
+                borderColor: panelMode === mode ? "#3B82F6" : "#D1D5DB",
+                borderRadius: "6px",
+                cursor: "pointer",
+                backgroundColor: panelMode === mode ? "#EFF6FF" : "#FFFFFF",
+                color: panelMode === mode ? "#1D4ED8" : "#374151",
+                transition: "all 0.2s ease",
+              }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
         {error && (
           <div style={{ fontSize: "12px", color: "#DC2626", marginTop: "8px" }}>
             {error}
           </div>
         )}
+        {renderPendingSync()}
       </div>
 
       {renderContent()}
+
+      {changeNotice && (
+        <div
+          role="status"
+          style={{
+            position: "fixed",
+            left: "50%",
+            bottom: "16px",
+            transform: "translateX(-50%)",
+            padding: "6px 12px",
+            fontSize: "12px",
+            borderRadius: "12px",
+            backgroundColor: "rgba(17, 24, 39, 0.8)",
+            color: "#FFFFFF",
+            whiteSpace: "nowrap",
+            pointerEvents: "none",
+          }}
+        >
+          {changeNotice}
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,165 @@
+import { afterAll, beforeAll, describe, expect, it, vi } from "vitest";
+
+import { readAnnotations } from "./storage.js";
+
+// Rapid selection changes against a fake board: every edit must land on
+// the item it was made on, and be queued on this device exactly once
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const waitFor = async (check, timeout = 3000) => {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeout) throw new Error("Timed out");
+    await sleep(10);
+  }
+};
+
+const metadata = {};
+const createItem = (id) => {
+  metadata[id] = {};
+  return {
+    id,
+    type: "sticky_note",
+    content: `<p>Item ${id}</p>`,
+    createdBy: "u1",
+    x: 0,
+    y: 0,
+    width: 100,
+    height: 100,
+    getMetadata: async (key) => {
+      await sleep(5);
+      return metadata[id][key];
+    },
+    setMetadata: async (key, value) => {
+      await sleep(5);
+      metadata[id][key] = value;
+    },
+  };
+};
+
+const items = { A: createItem("A"), B: createItem("B"), C: createItem("C") };
+const handlers = {};
+
+const select = (id) =>
+  (handlers["selection:update"] || []).forEach((handler) =>
+    handler({ items: id ? [items[id]] : [] })
+  );
+
+const notesOf = async (id) => {
+  const stored = await readAnnotations(items[id]);
+  return (stored?.sections || []).flatMap((section) => section.notes || []);
+};
+
+const findButton = (label) =>
+  [...document.querySelectorAll("button")].find((button) =>
+    button.textContent.includes(label)
+  );
+
+// Select an item and give the panel time to load it (the selection
+// debounce, not the longer autosave debounce)
+let openItemId = null;
+const openItem = async (id) => {
+  openItemId = id;
+  select(id);
+  await sleep(250);
+};
+
+// Add a note to the open item from its sections list. An item selected
+// while another one's note was open shows no editor: reselect it.
+const clickNewNote = async () => {
+  findButton("Back to Sections")?.click();
+  if (!findButton("New Note")) {
+    const id = openItemId;
+    await openItem(null);
+    await openItem(id);
+  }
+  await waitFor(() => Boolean(findButton("New Note")));
+  findButton("New Note").click();
+  await waitFor(() => Boolean(findButton("Back to Sections")));
+};
+
+const pendingWrites = [];
+
+beforeAll(async () => {
+  globalThis.miro = {
+    board: {
+      getInfo: async () => ({ id: "board" }),
+      getById: async (id) => items[id],
+      get: async () => [],
+      getAppData: async () => undefined,
+      setAppData: async () => {},
+      getUserInfo: async () => ({ id: "u1", name: "Me" }),
+      getOnlineUsers: async () => [],
+      getSelection: async () => [],
+      createText: async () => ({ id: "badge", sync: async () => {} }),
+      remove: async () => {},
+      notifications: { showInfo: () => {}, showError: () => {} },
+      ui: {
+        on: (event, handler) => {
+          handlers[event] = [...(handlers[event] || []), handler];
+        },
+        off: (event, handler) => {
+          handlers[event] = (handlers[event] || []).filter(
+            (h) => h !== handler
+          );
+        },
+      },
+    },
+  };
+
+  const setItem = Storage.prototype.setItem;
+  vi.spyOn(Storage.prototype, "setItem").mockImplementation(function (
+    key,
+    value
+  ) {
+    if (key.includes("-pending:")) pendingWrites.push(key);
+    return setItem.call(this, key, value);
+  });
+
+  document.body.innerHTML = '<div id="root"></div>';
+  await import("./app.jsx");
+  await waitFor(() => (handlers["selection:update"] || []).length > 0);
+});
+
+afterAll(() => {
+  vi.restoreAllMocks();
+});
+
+describe("rapid selection changes", () => {
+  it("saves an edit to its own item when the selection moves on", async () => {
+    await openItem("A");
+    pendingWrites.length = 0;
+
+    await clickNewNote();
+    await sleep(20); // well inside the autosave debounce
+    await openItem("B");
+
+    await waitFor(() => localStorage.length === 0);
+    expect(await notesOf("A")).toHaveLength(1);
+    expect(await notesOf("B")).toHaveLength(0);
+    expect(pendingWrites).toEqual(["annotate-pending:board:A"]);
+  });
+
+  it("keeps edits on each item apart across quick switches", async () => {
+    await clickNewNote(); // on B
+    await openItem("C");
+    await clickNewNote();
+    await openItem("B");
+    await openItem("C");
+    await openItem("A");
+
+    await waitFor(() => localStorage.length === 0);
+    expect(await notesOf("A")).toHaveLength(1);
+    expect(await notesOf("B")).toHaveLength(1);
+    expect(await notesOf("C")).toHaveLength(1);
+  });
+
+  it("flushes pending edits when the panel is hidden", async () => {
+    await clickNewNote(); // second note on A
+    window.dispatchEvent(new Event("pagehide"));
+
+    await sleep(100); // far less than the autosave debounce
+    expect(await notesOf("A")).toHaveLength(2);
+  });
+});
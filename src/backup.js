@@ -0,0 +1,310 @@
+// Board-wide backup and restore of annotations
+//
+// A backup is a versioned JSON file listing every annotated item with its id,
+// a fingerprint (used to find the item again if its id changed) and payload.
+// Restore matches by id first; a fingerprint only counts when exactly one
+// item has it. The target's permissions are kept unless asked otherwise.
+
+import { SCHEMA_VERSION } from "./config.js";
+import {
+  getItemTitle,
+  hasNotes,
+  countNotes,
+  loadAnnotatedItems,
+  updateAnnotatedItemIndex,
+} from "./boardIndex.js";
+import {
+  computeChecksum,
+  readAnnotations,
+  writeAnnotations,
+} from "./storage.js";
+import { migrateMetadata } from "./migrations.js";
+import { resolvePermissions } from "./permissions.js";
+import { syncIndicator } from "./indicator.js";
+import { normalizeSections } from "./document.js";
+import { broadcastChanges } from "./changeEvents.js";
+
+export const BACKUP_FORMAT = "annotate-backup";
+export const BACKUP_VERSION = 1;
+
+// Stable-ish identity for an item: type, title and rounded position
+export const getItemFingerprint = (item) =>
+  computeChecksum(
+    JSON.stringify([
+      item.type,
+      getItemTitle(item),
+      Math.round(item.x || 0),
+      Math.round(item.y || 0),
+    ])
+  );
+
+// Collect every annotated item on the board into a backup object
+export async function createBackup({ onProgress = () => {} } = {}) {
+  const items = [];
+  await loadAnnotatedItems({
+    onPage: ({ entries, loaded, total }) => {
+      entries.forEach((entry) => {
+        items.push({
+          itemId: entry.itemId,
+          itemType: entry.item.type,
+          itemName: entry.itemName,
+          fingerprint: getItemFingerprint(entry.item),
+          payload: entry.data,
+        });
+      });
+      onProgress({ loaded, total });
+    },
+  });
+
+  let boardId = null;
+  try {
+    boardId = (await miro.board.getInfo()).id;
+  } catch (error) {
+    console.warn("[Annotate] Could not read board info:", error);
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    boardId,
+    createdAt: new Date().toISOString(),
+    items,
+  };
+}
+
+// What is wrong with a backup entry, or null when it can be restored
+const getEntryProblem = (entry) => {
+  if (!entry || typeof entry !== "object") return "is not an object";
+  if (typeof entry.itemId !== "string" || !entry.itemId) {
+    return "has no item id";
+  }
+  if (typeof entry.itemType !== "string" || !entry.itemType) {
+    return "has no item type";
+  }
+  if (
+    !entry.payload ||
+    typeof entry.payload !== "object" ||
+    Array.isArray(entry.payload)
+  ) {
+    return "has no annotations";
+  }
+  return null;
+};
+
+// Parse and validate a backup file's text
+export const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new Error("Backup file is not valid JSON");
+  }
+
+  if (backup?.format !== BACKUP_FORMAT || !Array.isArray(backup.items)) {
+    throw new Error("Not an Annotate backup file");
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error("Backup was created by a newer version of the app");
+  }
+  backup.items.forEach((entry, index) => {
+    const problem = getEntryProblem(entry);
+    if (problem) {
+      throw new Error(`Backup item ${index + 1} ${problem}`);
+    }
+  });
+  return backup;
+};
+
+// Compare two payloads by their notes, ignoring save timestamps
+const sameSections = (a, b) =>
+  JSON.stringify(a?.sections || []) === JSON.stringify(b?.sections || []);
+
+// Dry run: work out what restoring `backup` would do, without writing.
+// Returns { added, overwritten, unchanged, unmatched, ambiguous }, each a
+// list of { entry, item, currentNotesCount }. Matched entries also carry
+// `matchedBy` ("id" or "fingerprint"); ambiguous ones carry the
+// `candidates` their fingerprint matched and are not restored.
+export async function planRestore(backup) {
+  const plan = {
+    added: [],
+    overwritten: [],
+    unchanged: [],
+    unmatched: [],
+    ambiguous: [],
+  };
+
+  // Match by id first
+  const ids = backup.items.map((entry) => entry.itemId);
+  const itemsById = new Map(
+    (ids.length > 0 ? await miro.board.get({ id: ids }) : []).map((item) => [
+      item.id,
+      item,
+    ])
+  );
+
+  // Fall back to fingerprints, loading each needed item type once. Items
+  // matched by id are not candidates for other entries.
+  const candidatesByFingerprint = new Map();
+  const loadedTypes = new Set();
+  const findCandidates = async (entry) => {
+    if (!loadedTypes.has(entry.itemType)) {
+      loadedTypes.add(entry.itemType);
+      const items = await miro.board.get({ type: entry.itemType });
+      items
+        .filter((item) => !itemsById.has(item.id))
+        .forEach((item) => {
+          const fingerprint = getItemFingerprint(item);
+          candidatesByFingerprint.set(fingerprint, [
+            ...(candidatesByFingerprint.get(fingerprint) || []),
+            item,
+          ]);
+        });
+    }
+    return candidatesByFingerprint.get(entry.fingerprint) || [];
+  };
+
+  // Entries falling back to each fingerprint; two of them sharing one
+  // candidate cannot tell which of them it is
+  const fallbackCounts = new Map();
+  backup.items
+    .filter((entry) => !itemsById.has(entry.itemId))
+    .forEach((entry) =>
+      fallbackCounts.set(
+        entry.fingerprint,
+        (fallbackCounts.get(entry.fingerprint) || 0) + 1
+      )
+    );
+
+  for (const entry of backup.items) {
+    let item = itemsById.get(entry.itemId) || null;
+    const matchedBy = item ? "id" : "fingerprint";
+    if (!item && entry.itemType) {
+      const candidates = await findCandidates(entry);
+      if (
+        candidates.length > 1 ||
+        (candidates.length === 1 && fallbackCounts.get(entry.fingerprint) > 1)
+      ) {
+        plan.ambiguous.push({
+          entry,
+          item: null,
+          candidates,
+          currentNotesCount: 0,
+        });
+        continue;
+      }
+      item = candidates[0] || null;
+    }
+
+    if (!item) {
+      plan.unmatched.push({ entry, item: null, currentNotesCount: 0 });
+      continue;
+    }
+
+    let current = null;
+    try {
+      const storedData = await readAnnotations(item);
+      current = storedData
+        ? migrateMetadata(storedData, {
+            itemId: item.id,
+            itemName: getItemTitle(item),
+            itemType: item.type,
+            createdBy: item.createdBy,
+          }).data
+        : null;
+    } catch (error) {
+      console.warn("[Annotate] Unreadable annotations on", item.id, error);
+    }
+
+    const currentNotesCount = countNotes(current?.sections);
+    const target = {
+      entry,
+      item,
+      matchedBy,
+      currentNotesCount,
+      currentRevision: current?.revision || 0,
+      currentSections: current?.sections || [],
+      currentPermissions: current?.permissions || null,
+    };
+
+    if (!current || !hasNotes(current.sections)) {
+      plan.added.push(target);
+    } else if (sameSections(current, entry.payload)) {
+      plan.unchanged.push(target);
+    } else {
+      plan.overwritten.push(target);
+    }
+  }
+
+  return plan;
+}
+
+// Write the "added" and "overwritten" parts of a plan back to the board.
+// `canWrite(item)` decides per item whether the current user may write.
+// Items keep their current permissions unless `restorePermissions` is set.
+export async function applyRestore(
+  plan,
+  { canWrite, authorId, restorePermissions = false }
+) {
+  const result = { restored: 0, skipped: [], failed: [] };
+
+  for (const {
+    entry,
+    item,
+    currentRevision,
+    currentSections,
+    currentPermissions,
+  } of [...plan.added, ...plan.overwritten]) {
+    if (!(await canWrite(item))) {
+      result.skipped.push(entry);
+      continue;
+    }
+
+    try {
+      const { data, isNewer } = migrateMetadata(entry.payload, {
+        itemId: item.id,
+        itemName: getItemTitle(item),
+        itemType: item.type,
+        createdBy: item.createdBy,
+      });
+      if (isNewer) {
+        result.failed.push({ entry, reason: "Saved by a newer version" });
+        continue;
+      }
+
+      // Rebind notes when the item was matched by fingerprint
+      const sections = normalizeSections(data.sections).map((section) => ({
+        ...section,
+        notes: (section.notes || []).map((note) =>
+          note.itemId === entry.itemId ? { ...note, itemId: item.id } : note
+        ),
+      }));
+      // Bump past the stored revision so open panels see the restore
+      const metadata = {
+        ...data,
+        sections,
+        permissions: restorePermissions
+          ? data.permissions
+          : resolvePermissions(currentPermissions, item),
+        revision: Math.max(data.revision || 0, currentRevision || 0) + 1,
+        updatedAt: Date.now(),
+        authorId,
+      };
+
+      await writeAnnotations(item, metadata);
+      broadcastChanges(
+        item.id,
+        normalizeSections(currentSections),
+        metadata.sections
+      );
+      await updateAnnotatedItemIndex(item.id, hasNotes(metadata.sections));
+      await syncIndicator(item, countNotes(metadata.sections));
+      result.restored++;
+    } catch (error) {
+      console.error("[Annotate] Error restoring item:", item.id, error);
+      result.failed.push({ entry, reason: error.message });
+    }
+  }
+
+  return result;
+}
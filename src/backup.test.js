@@ -0,0 +1,239 @@
+import { describe, expect, it } from "vitest";
+
+import { APP_ID, SCHEMA_VERSION } from "./config.js";
+import {
+  applyRestore,
+  BACKUP_FORMAT,
+  getItemFingerprint,
+  parseBackup,
+  planRestore,
+} from "./backup.js";
+import { readAnnotations, writeAnnotations } from "./storage.js";
+
+const createEntry = (itemId, payload) => ({
+  itemId,
+  itemType: "sticky_note",
+  itemName: itemId,
+  fingerprint: "f",
+  payload,
+});
+
+const toBackupText = (items) =>
+  JSON.stringify({ format: BACKUP_FORMAT, version: 1, items });
+
+// Board item that stores metadata in memory
+const createItem = (id, content = `<p>${id}</p>`) => {
+  const stored = {};
+  return {
+    id,
+    type: "sticky_note",
+    content,
+    createdBy: "u1",
+    getMetadata: async (key) => stored[key],
+    setMetadata: async (key, value) => {
+      stored[key] = value;
+    },
+  };
+};
+
+const createPayload = (permissions, heading = "Restored") => ({
+  schemaVersion: SCHEMA_VERSION,
+  revision: 1,
+  sections: [
+    {
+      id: "s1",
+      name: "General",
+      notes: [{ id: "n1", heading, body: ["text"] }],
+    },
+  ],
+  permissions,
+});
+
+// Board holding `items`, queried by id or type
+const setBoardItems = (items) => {
+  globalThis.miro = {
+    board: {
+      getAppData: async () => undefined,
+      setAppData: async () => {},
+      get: async ({ id, type }) =>
+        id
+          ? items.filter((item) => id.includes(item.id))
+          : items.filter((item) => item.type === type),
+    },
+  };
+};
+
+const ownerOnly = (ownerId) => ({ ownerId, editors: [], mode: "owner" });
+
+describe("parseBackup", () => {
+  it("accepts well-formed entries", () => {
+    const items = [createEntry("a", { sections: [] })];
+    expect(parseBackup(toBackupText(items)).items).toEqual(items);
+  });
+
+  it.each([
+    [null, "is not an object"],
+    ["a", "is not an object"],
+    [{ ...createEntry("a", {}), itemId: 42 }, "has no item id"],
+    [{ ...createEntry("a", {}), itemType: undefined }, "has no item type"],
+    [createEntry("a", null), "has no annotations"],
+    [createEntry("a", "text"), "has no annotations"],
+    [createEntry("a", [1, 2]), "has no annotations"],
+  ])("rejects entry %j", (entry, problem) => {
+    const text = toBackupText([createEntry("ok", {}), entry]);
+    expect(() => parseBackup(text)).toThrow(`Backup item 2 ${problem}`);
+  });
+});
+
+describe("applyRestore", () => {
+  globalThis.miro = {
+    board: {
+      getAppData: async () => undefined,
+      setAppData: async () => {},
+    },
+  };
+
+  it("records entries that cannot be migrated as failed", async () => {
+    const good = createItem("good");
+    const bad = createItem("bad");
+    const plan = {
+      added: [
+        {
+          entry: createEntry("bad", { schemaVersion: "0.5.0" }),
+          item: bad,
+        },
+        {
+          entry: createEntry("good", {
+            schemaVersion: SCHEMA_VERSION,
+            sections: [{ id: "s1", name: "General", notes: [] }],
+          }),
+          item: good,
+        },
+      ],
+      overwritten: [],
+    };
+
+    const result = await applyRestore(plan, {
+      canWrite: async () => true,
+      authorId: "u1",
+    });
+
+    expect(result.restored).toBe(1);
+    expect(result.failed).toEqual([
+      {
+        entry: plan.added[0].entry,
+        reason: "No migration path from schema 0.5.0",
+      },
+    ]);
+    expect(await bad.getMetadata(APP_ID)).toBeUndefined();
+    expect((await readAnnotations(good)).sections).toHaveLength(1);
+  });
+
+  it("keeps the target's current permissions by default", async () => {
+    const item = createItem("a");
+    setBoardItems([item]);
+    await writeAnnotations(
+      item,
+      createPayload(ownerOnly("current"), "Current")
+    );
+    const plan = await planRestore({
+      items: [createEntry("a", createPayload(ownerOnly("backup")))],
+    });
+
+    expect(plan.overwritten).toHaveLength(1);
+
+    await applyRestore(plan, { canWrite: async () => true, authorId: "u1" });
+    const restored = await readAnnotations(item);
+    expect(restored.sections[0].notes[0].heading).toBe("Restored");
+    expect(restored.permissions).toEqual(ownerOnly("current"));
+  });
+
+  it("restores the backup's permissions when asked to", async () => {
+    const item = createItem("a");
+    setBoardItems([item]);
+    await writeAnnotations(
+      item,
+      createPayload(ownerOnly("current"), "Current")
+    );
+    const plan = await planRestore({
+      items: [createEntry("a", createPayload(ownerOnly("backup")))],
+    });
+
+    await applyRestore(plan, {
+      canWrite: async () => true,
+      authorId: "u1",
+      restorePermissions: true,
+    });
+    expect((await readAnnotations(item)).permissions).toEqual(
+      ownerOnly("backup")
+    );
+  });
+});
+
+describe("planRestore", () => {
+  const createEntryFor = (itemId, item) => ({
+    ...createEntry(itemId, createPayload()),
+    fingerprint: getItemFingerprint(item),
+  });
+
+  it("prefers the item id over a matching fingerprint", async () => {
+    const original = createItem("a", "<p>Same</p>");
+    const copy = createItem("b", "<p>Same</p>");
+    setBoardItems([copy, original]);
+
+    const plan = await planRestore({
+      items: [createEntryFor("a", original)],
+    });
+    expect(plan.added).toHaveLength(1);
+    expect(plan.added[0]).toMatchObject({ item: original, matchedBy: "id" });
+  });
+
+  it("matches a single item by fingerprint when the id is gone", async () => {
+    const moved = createItem("new", "<p>Only</p>");
+    setBoardItems([moved, createItem("other")]);
+
+    const plan = await planRestore({
+      items: [createEntryFor("old", moved)],
+    });
+    expect(plan.added).toHaveLength(1);
+    expect(plan.added[0]).toMatchObject({
+      item: moved,
+      matchedBy: "fingerprint",
+    });
+  });
+
+  it("flags fingerprints shared by several items as ambiguous", async () => {
+    const first = createItem("b", "<p>Same</p>");
+    const second = createItem("c", "<p>Same</p>");
+    setBoardItems([first, second]);
+
+    const plan = await planRestore({
+      items: [createEntryFor("a", first)],
+    });
+    expect(plan.added).toEqual([]);
+    expect(plan.ambiguous).toHaveLength(1);
+    expect(plan.ambiguous[0].candidates).toEqual([first, second]);
+  });
+
+  it("flags entries competing for one item by fingerprint", async () => {
+    const survivor = createItem("c", "<p>Same</p>");
+    setBoardItems([survivor]);
+
+    const plan = await planRestore({
+      items: [createEntryFor("a", survivor), createEntryFor("b", survivor)],
+    });
+    expect(plan.added).toEqual([]);
+    expect(plan.ambiguous.map(({ entry }) => entry.itemId)).toEqual(["a", "b"]);
+  });
+
+  it("does not fall back onto an item matched by another entry's id", async () => {
+    const original = createItem("a", "<p>Same</p>");
+    setBoardItems([original]);
+
+    const plan = await planRestore({
+      items: [createEntryFor("a", original), createEntryFor("gone", original)],
+    });
+    expect(plan.added.map(({ entry }) => entry.itemId)).toEqual(["a"]);
+    expect(plan.unmatched.map(({ entry }) => entry.itemId)).toEqual(["gone"]);
+  });
+});
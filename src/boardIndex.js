@@ -0,0 +1,245 @@
+// Board-level index of annotated items
+//
+// The ids of items carrying annotations are kept in board app data, so
+// board-wide views can page through them instead of scanning every item.
+// Each annotated item has its own key, cleared once the item has no notes
+// or is deleted, so panels saving different items at once never overwrite
+// each other's entries. Boards indexed before that keep a list of ids under
+// the bare key, which is still read (and only ever shrinks) until the index
+// is rebuilt.
+
+import {
+  METADATA_KEY,
+  ANNOTATABLE_ITEM_TYPES,
+  BOARD_PAGE_SIZE,
+  INDICATOR_CONTENT_PATTERN,
+} from "./config.js";
+import { readAnnotations } from "./storage.js";
+import { migrateMetadata } from "./migrations.js";
+import { stripHtml } from "./search.js";
+
+// App data key prefix of the index (and key of the legacy id list)
+const INDEX_KEY = `${METADATA_KEY}-items`;
+const INDEX_KEY_PREFIX = `${INDEX_KEY}:`;
+const getIndexKey = (itemId) => `${INDEX_KEY_PREFIX}${itemId}`;
+
+const INDICATOR_CONTENT = new RegExp(INDICATOR_CONTENT_PATTERN, "u");
+
+// True for this app's note-count badges, which are not items to annotate
+export const isIndicatorWidget = (item) =>
+  item?.type === "text" && INDICATOR_CONTENT.test(item.content || "");
+
+// Readable names of item types, for items without a title of their own
+const ITEM_TYPE_LABELS = {
+  shape: "Shape",
+  text: "Text",
+  sticky_note: "Sticky note",
+  card: "Card",
+  app_card: "App card",
+  frame: "Frame",
+  image: "Image",
+  embed: "Embed",
+  connector: "Connector",
+};
+
+export const getItemTypeLabel = (type) =>
+  ITEM_TYPE_LABELS[type] || type || "Untitled";
+
+// Where each item type keeps its (possibly HTML) title
+const TITLE_RESOLVERS = {
+  shape: (item) => item.content,
+  text: (item) => item.content,
+  sticky_note: (item) => item.content,
+  card: (item) => item.title,
+  app_card: (item) => item.title,
+  frame: (item) => item.title,
+  image: (item) => item.title,
+  embed: (item) => item.title || item.url,
+  connector: (item) =>
+    (item.captions || []).map((caption) => caption.content).join(" "),
+};
+
+const readTitle = (item) =>
+  (TITLE_RESOLVERS[item.type] || ((i) => i.title || i.content))(item);
+
+// Display name for a board item
+export const getItemTitle = (item) =>
+  stripHtml(readTitle(item) || item.plainText || "") ||
+  getItemTypeLabel(item.type);
+
+// Display name that may look up other items: connectors without a caption
+// are named after their endpoints ("Start → End")
+export async function resolveItemTitle(item) {
+  if (item.type !== "connector" || stripHtml(readTitle(item))) {
+    return getItemTitle(item);
+  }
+
+  const endpointIds = [item.start?.item, item.end?.item];
+  if (!endpointIds.every(Boolean)) return getItemTitle(item);
+  try {
+    const endpoints = await Promise.all(
+      endpointIds.map((id) => miro.board.getById(id))
+    );
+    return endpoints.map(getItemTitle).join(" → ");
+  } catch (error) {
+    return getItemTitle(item);
+  }
+}
+
+// True when at least one section holds a note
+export const hasNotes = (sections) =>
+  (sections || []).some((section) => (section.notes || []).length > 0);
+
+// Number of notes across all sections
+export const countNotes = (sections) =>
+  (sections || []).reduce(
+    (sum, section) => sum + (section.notes || []).length,
+    0
+  );
+
+export async function getAnnotatedItemIds() {
+  try {
+    const appData = (await miro.board.getAppData()) || {};
+    const ids = new Set(
+      Array.isArray(appData[INDEX_KEY]) ? appData[INDEX_KEY] : []
+    );
+    Object.entries(appData).forEach(([key, isAnnotated]) => {
+      if (key.startsWith(INDEX_KEY_PREFIX) && isAnnotated === true) {
+        ids.add(key.slice(INDEX_KEY_PREFIX.length));
+      }
+    });
+    return [...ids];
+  } catch (error) {
+    console.error("[Annotate] Error reading item index:", error);
+    return [];
+  }
+}
+
+// Clear the index keys of `itemIds` and drop them from the legacy list.
+// The SDK cannot delete app data: a cleared key is set to null, as chunk
+// keys are in storage.js.
+const removeFromIndex = async (itemIds) => {
+  const appData = (await miro.board.getAppData()) || {};
+  for (const itemId of itemIds) {
+    const key = getIndexKey(itemId);
+    if (appData[key] != null) await miro.board.setAppData(key, null);
+  }
+
+  const legacyIds = Array.isArray(appData[INDEX_KEY]) ? appData[INDEX_KEY] : [];
+  if (legacyIds.some((id) => itemIds.includes(id))) {
+    await miro.board.setAppData(
+      INDEX_KEY,
+      legacyIds.filter((id) => !itemIds.includes(id))
+    );
+  }
+};
+
+// Add or remove an item from the index after its annotations changed
+export async function updateAnnotatedItemIndex(itemId, isAnnotated) {
+  if (!isAnnotated) {
+    await removeFromIndex([itemId]);
+    return;
+  }
+  const key = getIndexKey(itemId);
+  if ((await miro.board.getAppData(key)) !== true) {
+    await miro.board.setAppData(key, true);
+  }
+}
+
+// Read one item's annotations as a browser entry (null when it has none)
+const loadEntry = async (item) => {
+  const storedData = await readAnnotations(item);
+  if (!storedData) return null;
+
+  const itemName = await resolveItemTitle(item);
+  const { data } = migrateMetadata(storedData, {
+    itemId: item.id,
+    itemName,
+    itemType: item.type || "item",
+    createdBy: item.createdBy,
+  });
+  if (!hasNotes(data.sections)) return null;
+
+  return { item, itemId: item.id, itemName, sections: data.sections, data };
+};
+
+// Load annotated items one page at a time.
+// `onPage` receives { entries, loaded, total } after every page.
+export async function loadAnnotatedItems({
+  onPage,
+  isCancelled = () => false,
+  pageSize = BOARD_PAGE_SIZE,
+}) {
+  const ids = await getAnnotatedItemIds();
+  const missingIds = new Set(ids);
+
+  for (let start = 0; start < ids.length; start += pageSize) {
+    if (isCancelled()) return;
+
+    const items = await miro.board.get({
+      id: ids.slice(start, start + pageSize),
+    });
+    const entries = [];
+    for (const item of items) {
+      missingIds.delete(item.id);
+      try {
+        const entry = await loadEntry(item);
+        if (entry) entries.push(entry);
+      } catch (error) {
+        console.warn("[Annotate] Skipping unreadable item:", item.id, error);
+      }
+    }
+
+    onPage({
+      entries,
+      loaded: Math.min(start + pageSize, ids.length),
+      total: ids.length,
+    });
+  }
+
+  // Forget items that were deleted from the board
+  if (missingIds.size > 0 && !isCancelled()) {
+    try {
+      await removeFromIndex([...missingIds]);
+    } catch (error) {
+      console.warn("[Annotate] Could not prune item index:", error);
+    }
+  }
+}
+
+// Rebuild the index from the board, one item type and page at a time.
+// Used for boards annotated before the index existed.
+export async function rebuildAnnotatedItemIndex({
+  onProgress = () => {},
+  isCancelled = () => false,
+  pageSize = BOARD_PAGE_SIZE,
+} = {}) {
+  const annotatedIds = [];
+
+  for (const type of ANNOTATABLE_ITEM_TYPES) {
+    const items = (await miro.board.get({ type })).filter(
+      (item) => !isIndicatorWidget(item)
+    );
+    for (let start = 0; start < items.length; start += pageSize) {
+      if (isCancelled()) return annotatedIds;
+
+      const page = items.slice(start, start + pageSize);
+      const entries = await Promise.all(
+        page.map((item) => loadEntry(item).catch(() => null))
+      );
+      entries.forEach((entry) => entry && annotatedIds.push(entry.itemId));
+      onProgress({ type, scanned: start + page.length, total: items.length });
+    }
+  }
+
+  const staleIds = (await getAnnotatedItemIds()).filter(
+    (id) => !annotatedIds.includes(id)
+  );
+  for (const id of annotatedIds) {
+    await updateAnnotatedItemIndex(id, true);
+  }
+  await removeFromIndex(staleIds);
+  // Every id now has its own key: the legacy list is no longer needed
+  await miro.board.setAppData(INDEX_KEY, null);
+  return annotatedIds;
+}
@@ -0,0 +1,90 @@
+import { beforeEach, describe, expect, it } from "vitest";
+
+import {
+  getAnnotatedItemIds,
+  isIndicatorWidget,
+  loadAnnotatedItems,
+  rebuildAnnotatedItemIndex,
+  updateAnnotatedItemIndex,
+} from "./boardIndex.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// App data with network-like latency, so concurrent writes interleave
+let appData;
+beforeEach(() => {
+  appData = {};
+  globalThis.miro = {
+    board: {
+      getAppData: async (key) => {
+        await sleep(5);
+        return key ? appData[key] : { ...appData };
+      },
+      setAppData: async (key, value) => {
+        await sleep(5);
+        appData[key] = value;
+      },
+      get: async ({ id }) =>
+        id
+          .filter((itemId) => itemId !== "deleted")
+          .map((itemId) => ({ id: itemId, getMetadata: async () => null })),
+    },
+  };
+});
+
+describe("annotated item index", () => {
+  it("keeps every item when panels update the index at once", async () => {
+    await Promise.all(
+      ["a", "b", "c", "d"].map((id) => updateAnnotatedItemIndex(id, true))
+    );
+    expect((await getAnnotatedItemIds()).sort()).toEqual(["a", "b", "c", "d"]);
+  });
+
+  it("removes items, including ones from the legacy id list", async () => {
+    appData["annotate-items"] = ["legacy", "kept"];
+    await updateAnnotatedItemIndex("new", true);
+    await Promise.all([
+      updateAnnotatedItemIndex("legacy", false),
+      updateAnnotatedItemIndex("new", false),
+    ]);
+    expect(await getAnnotatedItemIds()).toEqual(["kept"]);
+  });
+
+  it("forgets items deleted from the board", async () => {
+    appData["annotate-items"] = ["deleted"];
+    await updateAnnotatedItemIndex("a", true);
+    await updateAnnotatedItemIndex("deleted", true);
+    await loadAnnotatedItems({ onPage: () => {} });
+    expect(await getAnnotatedItemIds()).toEqual(["a"]);
+  });
+
+  it("leaves no keys behind for items without notes", async () => {
+    await updateAnnotatedItemIndex("a", true);
+    await updateAnnotatedItemIndex("b", true);
+    await updateAnnotatedItemIndex("a", false);
+    await updateAnnotatedItemIndex("never-annotated", false);
+    const liveKeys = Object.keys(appData).filter(
+      (key) => appData[key] !== null
+    );
+    expect(liveKeys).toEqual(["annotate-items:b"]);
+  });
+
+  it("skips note-count badges when rebuilding", async () => {
+    const read = [];
+    const textItem = (id, content) => ({
+      id,
+      type: "text",
+      content,
+      getMetadata: async () => {
+        read.push(id);
+        return null;
+      },
+    });
+    const texts = [textItem("badge", "<p>📝 3</p>"), textItem("t", "📝 notes")];
+    miro.board.get = async ({ type }) => (type === "text" ? texts : []);
+
+    expect(texts.map(isIndicatorWidget)).toEqual([true, false]);
+    await rebuildAnnotatedItemIndex();
+    expect(read).toEqual(["t"]);
+  });
+});
@@ -0,0 +1,149 @@
+// Bulk annotation changes for multi-selection
+//
+// Every item is updated with its own read-modify-write that goes through
+// the checks of a single-item save: schema version, permissions and
+// history, under the same per-item lock. Items failing a check are reported
+// and left unchanged.
+
+import { SCHEMA_VERSION } from "./config.js";
+import {
+  createSection,
+  createNote,
+  createMetadataStructure,
+} from "./models.js";
+import { readAnnotations, writeAnnotations } from "./storage.js";
+import { migrateMetadata } from "./migrations.js";
+import { canEdit, resolvePermissions } from "./permissions.js";
+import { recordNoteHistory, fitHistoryToBudget } from "./history.js";
+import { normalizeSections } from "./document.js";
+import {
+  getItemTitle,
+  resolveItemTitle,
+  hasNotes,
+  countNotes,
+  updateAnnotatedItemIndex,
+} from "./boardIndex.js";
+import { syncIndicator } from "./indicator.js";
+import { broadcastChanges } from "./changeEvents.js";
+import { lockItem } from "./saveQueue.js";
+
+const getMigrationContext = (item) => ({
+  itemId: item.id,
+  itemName: getItemTitle(item),
+  itemType: item.type || "item",
+  createdBy: item.createdBy,
+});
+
+// Annotations of every item for the merged overview:
+// [{ item, itemName, sections, error }]
+export async function loadItemsOverview(items) {
+  return Promise.all(
+    items.map(async (item) => {
+      const itemName = await resolveItemTitle(item);
+      try {
+        const storedData = await readAnnotations(item);
+        const sections = storedData
+          ? normalizeSections(
+              migrateMetadata(storedData, getMigrationContext(item)).data
+                .sections
+            )
+          : [];
+        return { item, itemName, sections, error: null };
+      } catch (error) {
+        console.error("[Annotate] Error reading item:", item.id, error);
+        return { item, itemName, sections: [], error: error.message };
+      }
+    })
+  );
+}
+
+// Apply `transform(sections, item)` to the annotations of every item.
+// Resolves to { updated, skipped: [{ item, reason }], failed: [...] }.
+export async function updateItemsAnnotations(items, transform, { authorId }) {
+  const result = { updated: [], skipped: [], failed: [] };
+
+  for (const item of items) {
+    const release = await lockItem(item.id);
+    try {
+      const storedData = await readAnnotations(item);
+      const { data, isNewer } = storedData
+        ? migrateMetadata(storedData, getMigrationContext(item))
+        : { data: createMetadataStructure(authorId), isNewer: false };
+      if (isNewer) {
+        result.skipped.push({ item, reason: "Saved by a newer version" });
+        continue;
+      }
+
+      const permissions = resolvePermissions(data.permissions, item);
+      if (!canEdit(permissions, authorId)) {
+        result.skipped.push({ item, reason: "No edit access" });
+        continue;
+      }
+
+      const storedSections = storedData ? normalizeSections(data.sections) : [];
+      const sections = transform(normalizeSections(data.sections), item);
+      const metadata = fitHistoryToBudget({
+        ...data,
+        schemaVersion: SCHEMA_VERSION,
+        revision: (data.revision || 0) + 1,
+        sections: normalizeSections(
+          recordNoteHistory(sections, storedSections)
+        ),
+        permissions,
+        updatedAt: Date.now(),
+        authorId,
+      });
+
+      await writeAnnotations(item, metadata);
+      broadcastChanges(item.id, storedSections, metadata.sections);
+      await updateAnnotatedItemIndex(item.id, hasNotes(metadata.sections));
+      await syncIndicator(item, countNotes(metadata.sections));
+      result.updated.push(item);
+    } catch (error) {
+      console.error("[Annotate] Error updating item:", item.id, error);
+      result.failed.push({ item, reason: error.message });
+    } finally {
+      release();
+    }
+  }
+
+  return result;
+}
+
+// Section named `name`, added at the end when the item has none yet
+const ensureSection = (sections, name) => {
+  const existing = sections.find((s) => s.name === name);
+  if (existing) return { sections, section: existing };
+  const section = createSection(name, sections.length);
+  return { sections: [...sections, section], section };
+};
+
+// Transform adding a section (items that already have it are unchanged)
+export const addSection = (name) => (sections) =>
+  ensureSection(sections, name).sections;
+
+// Transform adding a note to the named section of every item
+export const addNote =
+  ({ sectionName, heading, body, authorId }) =>
+  (sections, item) => {
+    const ensured = ensureSection(sections, sectionName);
+    const target = ensured.section;
+    const note = createNote(
+      item.id,
+      getItemTitle(item),
+      item.type || "item",
+      target.id,
+      heading,
+      body,
+      authorId,
+      (target.notes || []).length
+    );
+    return ensured.sections.map((section) =>
+      section.id === target.id
+        ? { ...section, notes: [...(section.notes || []), note] }
+        : section
+    );
+  };
+
+// Transform removing every section and note (items start over empty)
+export const clearAnnotations = () => [createSection("General", 0)];
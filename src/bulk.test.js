@@ -0,0 +1,77 @@
+import { describe, expect, it } from "vitest";
+
+import { SCHEMA_VERSION } from "./config.js";
+import { createSection } from "./models.js";
+import { readAnnotations, writeAnnotations } from "./storage.js";
+import { lockItem } from "./saveQueue.js";
+import { addSection, updateItemsAnnotations } from "./bulk.js";
+
+// Board item that stores metadata in memory
+const createItem = (id) => {
+  const stored = {};
+  return {
+    id,
+    type: "sticky_note",
+    content: `<p>${id}</p>`,
+    createdBy: "u1",
+    getMetadata: async (key) => stored[key],
+    setMetadata: async (key, value) => {
+      stored[key] = value;
+    },
+  };
+};
+
+globalThis.miro = {
+  board: {
+    getInfo: async () => ({ id: "board" }),
+    getAppData: async () => undefined,
+    setAppData: async () => {},
+  },
+};
+
+const sectionNames = async (item) =>
+  (await readAnnotations(item)).sections.map((s) => s.name);
+
+describe("updateItemsAnnotations", () => {
+  it("waits for a save holding the item lock before reading", async () => {
+    const item = createItem("a");
+    await writeAnnotations(item, {
+      schemaVersion: SCHEMA_VERSION,
+      revision: 1,
+      sections: [createSection("General", 0)],
+    });
+
+    // A panel save reads, yields, then writes under the lock
+    const release = await lockItem(item.id);
+    const bulk = updateItemsAnnotations([item], addSection("Review"), {
+      authorId: "u1",
+    });
+    const stored = await readAnnotations(item);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    await writeAnnotations(item, {
+      ...stored,
+      revision: 2,
+      sections: [...stored.sections, createSection("Panel", 1)],
+    });
+    release();
+
+    const result = await bulk;
+    expect(result.updated).toEqual([item]);
+    expect(await sectionNames(item)).toEqual(["General", "Panel", "Review"]);
+  });
+
+  it("releases the lock when an item is skipped", async () => {
+    const item = createItem("b");
+    await writeAnnotations(item, { schemaVersion: "99.0.0", sections: [] });
+
+    const result = await updateItemsAnnotations([item], addSection("Review"), {
+      authorId: "u1",
+    });
+    expect(result.skipped).toEqual([
+      { item, reason: "Saved by a newer version" },
+    ]);
+
+    const release = await lockItem(item.id);
+    release();
+  });
+});
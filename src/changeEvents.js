@@ -0,0 +1,157 @@
+// Change events broadcast to teammates' open panels
+//
+// After every successful save one lightweight event per changed note is
+// sent: { itemId, noteId, action, author: { id, name }, sessionId, at }.
+// Events go through a channel ({ broadcast(event), subscribe(handler) }):
+// the SDK's board events when available, otherwise an in-memory stand-in
+// that only reaches panels in the same window (and tests).
+
+import { generateId } from "./models.js";
+
+const EVENT_NAME = "annotate-change";
+
+// Larger saves are announced as one item-level "updated" event
+const MAX_EVENTS_PER_SAVE = 10;
+
+export const CHANGE_ACTIONS = ["added", "updated", "deleted"];
+
+// Identifies this panel, so it can ignore its own events
+export const SESSION_ID = generateId();
+
+export const createMemoryChannel = () => {
+  const handlers = new Set();
+  return {
+    broadcast: async (event) => {
+      handlers.forEach((handler) => handler(event));
+    },
+    subscribe: (handler) => {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+  };
+};
+
+export const createBoardChannel = () => ({
+  broadcast: (event) => miro.board.events.broadcast(EVENT_NAME, event),
+  subscribe: (handler) => {
+    miro.board.events.on(EVENT_NAME, handler);
+    return () => miro.board.events.off(EVENT_NAME, handler);
+  },
+});
+
+let channel =
+  typeof miro !== "undefined" && miro.board?.events
+    ? createBoardChannel()
+    : createMemoryChannel();
+
+// Replace the channel (e.g. with a memory channel in tests)
+export const setChangeChannel = (nextChannel) => {
+  channel = nextChannel;
+};
+
+// Fields that are not worth announcing
+const IGNORED_NOTE_FIELDS = [
+  "order",
+  "updatedAt",
+  "updatedBy",
+  "history",
+  "sectionId",
+];
+
+const noteSignature = (note) =>
+  JSON.stringify(
+    Object.keys(note)
+      .filter((key) => !IGNORED_NOTE_FIELDS.includes(key))
+      .sort()
+      .map((key) => [key, note[key]])
+  );
+
+const indexNotes = (sections) =>
+  new Map(
+    (sections || []).flatMap((section) =>
+      (section.notes || []).map((note) => [note.id, note])
+    )
+  );
+
+// Note-level changes between two section trees: [{ noteId, action }]
+export const describeChanges = (before, after) => {
+  const beforeNotes = indexNotes(before);
+  const afterNotes = indexNotes(after);
+  const changes = [];
+
+  afterNotes.forEach((note, noteId) => {
+    const previous = beforeNotes.get(noteId);
+    if (!previous) changes.push({ noteId, action: "added" });
+    else if (noteSignature(previous) !== noteSignature(note)) {
+      changes.push({ noteId, action: "updated" });
+    }
+  });
+  beforeNotes.forEach((note, noteId) => {
+    if (!afterNotes.has(noteId)) changes.push({ noteId, action: "deleted" });
+  });
+  return changes;
+};
+
+// Saves are always made by the current user
+let authorPromise = null;
+const getAuthor = () => {
+  if (!authorPromise) {
+    authorPromise = miro.board
+      .getUserInfo()
+      .then((user) => ({ id: String(user.id), name: user.name || null }))
+      .catch(() => {
+        authorPromise = null;
+        return { id: null, name: null };
+      });
+  }
+  return authorPromise;
+};
+
+// Announce a save of `itemId` that turned `before` into `after`.
+// Never throws: teammates missing an event only see changes later.
+export async function broadcastChanges(itemId, before, after) {
+  const changes = describeChanges(before, after);
+  if (changes.length === 0) return;
+  const author = await getAuthor();
+
+  const events = (
+    changes.length > MAX_EVENTS_PER_SAVE
+      ? [{ noteId: null, action: "updated" }]
+      : changes
+  ).map((change) => ({
+    itemId,
+    ...change,
+    author,
+    sessionId: SESSION_ID,
+    at: Date.now(),
+  }));
+
+  try {
+    for (const event of events) {
+      await channel.broadcast(event);
+    }
+  } catch (error) {
+    console.warn("[Annotate] Could not broadcast changes:", error);
+  }
+}
+
+const isChangeEvent = (event) =>
+  Boolean(event) &&
+  typeof event.itemId === "string" &&
+  CHANGE_ACTIONS.includes(event.action) &&
+  (event.noteId === null || typeof event.noteId === "string");
+
+// Listen to teammates' change events (this panel's own are skipped).
+// Returns a function that stops listening.
+export function subscribeToChanges(handler) {
+  try {
+    return channel.subscribe((event) => {
+      if (isChangeEvent(event) && event.sessionId !== SESSION_ID) {
+        handler(event);
+      }
+    });
+  } catch (error) {
+    console.warn("[Annotate] Could not listen for changes:", error);
+    return () => {};
+  }
+}
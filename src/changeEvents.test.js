@@ -0,0 +1,96 @@
+import { beforeAll, describe, expect, it, vi } from "vitest";
+
+// Two panels on the same board: separate module instances (so separate
+// session ids) sharing one in-memory channel
+let panelA;
+let panelB;
+let channel;
+
+const loadPanel = async () => {
+  vi.resetModules();
+  const panel = await import("./changeEvents.js");
+  panel.setChangeChannel(channel);
+  return panel;
+};
+
+const note = (id, heading) => ({ id, heading, body: [heading] });
+const sections = (...notes) => [{ id: "s1", name: "General", notes }];
+
+beforeAll(async () => {
+  globalThis.miro = {
+    board: { getUserInfo: async () => ({ id: "u1", name: "Ada" }) },
+  };
+  const { createMemoryChannel } = await import("./changeEvents.js");
+  channel = createMemoryChannel();
+  panelA = await loadPanel();
+  panelB = await loadPanel();
+});
+
+describe("change events", () => {
+  it("delivers one panel's changes to another", async () => {
+    const received = [];
+    const stop = panelB.subscribeToChanges((event) => received.push(event));
+
+    await panelA.broadcastChanges(
+      "item-1",
+      sections(note("n1", "One"), note("n2", "Two")),
+      sections(note("n1", "One, edited"), note("n3", "Three"))
+    );
+    stop();
+
+    expect(panelA.SESSION_ID).not.toBe(panelB.SESSION_ID);
+    expect(
+      received.map(({ itemId, noteId, action }) => [itemId, noteId, action])
+    ).toEqual([
+      ["item-1", "n1", "updated"],
+      ["item-1", "n3", "added"],
+      ["item-1", "n2", "deleted"],
+    ]);
+    received.forEach((event) => {
+      expect(event.author).toEqual({ id: "u1", name: "Ada" });
+      expect(event.sessionId).toBe(panelA.SESSION_ID);
+    });
+  });
+
+  it("does not deliver a panel's own changes back to it", async () => {
+    const own = vi.fn();
+    const stop = panelA.subscribeToChanges(own);
+    await panelA.broadcastChanges("item-1", [], sections(note("n1", "One")));
+    stop();
+    expect(own).not.toHaveBeenCalled();
+  });
+
+  it("announces large saves as one item-level event", async () => {
+    const received = [];
+    const stop = panelB.subscribeToChanges((event) => received.push(event));
+    const notes = Array.from({ length: 20 }, (_, i) => note(`n${i}`, "x"));
+    await panelA.broadcastChanges("item-2", [], sections(...notes));
+    stop();
+    expect(received).toHaveLength(1);
+    expect(received[0]).toMatchObject({
+      itemId: "item-2",
+      noteId: null,
+      action: "updated",
+    });
+  });
+
+  it("ignores malformed events and stops when unsubscribed", async () => {
+    const handler = vi.fn();
+    const stop = panelB.subscribeToChanges(handler);
+    await channel.broadcast({ itemId: 1, action: "added", noteId: "n1" });
+    await channel.broadcast({ itemId: "i", action: "exploded", noteId: "n" });
+    stop();
+    await panelA.broadcastChanges("item-3", [], sections(note("n1", "One")));
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it("sends nothing when no note changed", async () => {
+    const handler = vi.fn();
+    const stop = panelB.subscribeToChanges(handler);
+    const before = sections(note("n1", "One"));
+    const after = sections({ ...note("n1", "One"), updatedAt: Date.now() });
+    await panelA.broadcastChanges("item-1", before, after);
+    stop();
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
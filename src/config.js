@@ -9,17 +9,72 @@ export const APP_ID = import.meta.env.VITE_MIRO_APP_ID || "annotate-app";
 export const METADATA_KEY = "annotate";
 
 // Schema version for metadata migrations
-export const SCHEMA_VERSION = "1.0.0";
+export const SCHEMA_VERSION = "1.3.0";
 
-// Payload limits (Miro metadata limit is 6KB)
+// Miro's metadata limit: 6 KB per value. It applies to each key, not to
+// the item as a whole, so annotation trees larger than one value are split
+// across several keys ("chunks", see storage.js) and have no cap of their own.
 export const MAX_PAYLOAD_SIZE = 6 * 1024; // 6 KB in bytes
 
+// Saves above this size drop their oldest note revisions. Only history is
+// trimmed to fit; notes themselves are never refused.
+export const HISTORY_BUDGET_SIZE = 48 * 1024;
+
 // Autosave debounce (300-500ms recommended)
 export const AUTOSAVE_DEBOUNCE_MS = 400;
 
+// Saves that fail are kept in browser storage and retried after this
+// delay, doubling per attempt up to the maximum
+export const SAVE_RETRY_BASE_MS = 2000;
+export const SAVE_RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Prior versions kept per note (oldest are dropped first, also when the
+// item runs out of storage)
+export const MAX_NOTE_HISTORY = 20;
+
+// Saves by the same author within this window of their first save count as
+// one revision
+export const NOTE_HISTORY_WINDOW_MS = 5 * 60 * 1000;
+
+// Who can edit an item until its owner restricts it: "owner", "editors" or
+// "anyone". Also applies to items annotated before permissions were stored.
+export const DEFAULT_EDIT_MODE = "anyone";
+
+// Items whose annotations the panel keeps in memory (least recently
+// viewed are dropped first)
+export const METADATA_CACHE_SIZE = 50;
+
+// The open item is checked for changes made by others on this interval,
+// and at most this often when the board reports it was updated
+export const METADATA_REFRESH_INTERVAL_MS = 30 * 1000;
+export const METADATA_REFRESH_THROTTLE_MS = 1000;
+
+// How long the "updated by" notice for teammates' changes stays visible
+export const CHANGE_NOTICE_MS = 4000;
+
 // Selection debounce to prevent re-render storms
 export const SELECTION_DEBOUNCE_MS = 150;
 
+// Note-count badges (see indicator.js) are text widgets whose whole content
+// matches this pattern. They never carry annotations themselves.
+export const INDICATOR_CONTENT_PATTERN = "^(<p>)?📝 \\d+(</p>)?$";
+
+// Item types that can carry annotations
+export const ANNOTATABLE_ITEM_TYPES = [
+  "shape",
+  "text",
+  "sticky_note",
+  "card",
+  "app_card",
+  "frame",
+  "image",
+  "embed",
+  "connector",
+];
+
+// Board-wide views load annotated items in pages of this size
+export const BOARD_PAGE_SIZE = 20;
+
 // Environment flags
 export const IS_DEVELOPMENT = import.meta.env.DEV;
 export const IS_PRODUCTION = import.meta.env.PROD;
@@ -27,3 +82,8 @@ export const IS_PRODUCTION = import.meta.env.PROD;
 // Logging enabled (for development)
 export const ENABLE_LOGGING =
   IS_DEVELOPMENT || import.meta.env.VITE_ENABLE_LOGGING === "true";
+
+// Use made-up board users for @-mentions (development only, e.g. when
+// running outside a board with collaborators)
+export const USE_FAKE_USERS =
+  IS_DEVELOPMENT && import.meta.env.VITE_FAKE_USERS === "true";
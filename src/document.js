@@ -0,0 +1,609 @@
+// Structured document model for note bodies
+//
+// A body is a list of blocks, kept compact because it counts against the
+// item's storage budget:
+// - "text"                     paragraph of plain text
+// - [type, content, attr]      any other block, where `type` is one of
+//   "p" (paragraph), "h" (heading), "q" (quote), "pre" (code block, content
+//   is a string), "ul" / "ol" (list item, attr = depth) or "todo" (checklist
+//   item, attr = 1 when checked)
+// Content is a plain string or a list of spans. A span is a plain string or
+// [text, marks, href], with marks as letters from MARK_ORDER ("b" bold,
+// "i" italic, "s" strike, "u" underline, "c" code). An href of "@<userId>"
+// makes the span a mention of that board user, and "#<itemId>" a link to
+// that board item. Line breaks are "\n".
+//
+// Rendering escapes all text and only emits safe links, so a normalized
+// document is always safe to show.
+//
+// The model is the storage and rendering format, not the editing one: the
+// editor edits its DOM with contentEditable and execCommand, and domToDoc
+// reads the whole DOM back into a document on every input.
+
+import { isSafeUrl, sanitizeHtml } from "./sanitize.js";
+import { normalizeTags } from "./tags.js";
+
+const MARK_ORDER = "bisuc";
+const BLOCK_TYPES = new Set(["p", "h", "q", "pre", "ul", "ol", "todo"]);
+const LIST_TYPES = new Set(["ul", "ol"]);
+const MAX_LIST_DEPTH = 5;
+const TOKEN_ID_PATTERN = /^[\w-]{1,64}$/;
+
+// Spans referring to board users and items, by the prefix of their href
+const TOKEN_TYPES = [
+  { prefix: "@", attribute: "data-user-id", className: "note-mention" },
+  { prefix: "#", attribute: "data-item-id", className: "note-item-link" },
+];
+
+// Marks and the tags they render as (outermost first)
+const MARK_TAGS = { b: "b", i: "i", s: "s", u: "u", c: "code" };
+const TAG_MARKS = {
+  B: "b",
+  STRONG: "b",
+  I: "i",
+  EM: "i",
+  S: "s",
+  STRIKE: "s",
+  DEL: "s",
+  U: "u",
+  CODE: "c",
+};
+
+const HEADING_TAGS = new Set(["H1", "H2", "H3", "H4", "H5", "H6"]);
+const CONTAINER_TAGS = new Set([
+  "P",
+  "DIV",
+  "SECTION",
+  "ARTICLE",
+  "HEADER",
+  "FOOTER",
+  "MAIN",
+]);
+const SKIPPED_TAGS = new Set([
+  "SCRIPT",
+  "STYLE",
+  "IFRAME",
+  "OBJECT",
+  "EMBED",
+  "TEMPLATE",
+  "NOSCRIPT",
+  "SVG",
+  "MATH",
+  "TEXTAREA",
+  "SELECT",
+  "BUTTON",
+  "HEAD",
+  "TITLE",
+]);
+
+const isBlockElement = (node) =>
+  node.nodeType === Node.ELEMENT_NODE &&
+  (CONTAINER_TAGS.has(node.tagName) ||
+    HEADING_TAGS.has(node.tagName) ||
+    LIST_TYPES.has(node.tagName.toLowerCase()) ||
+    ["BLOCKQUOTE", "PRE", "LI"].includes(node.tagName));
+
+const isCheckbox = (node) =>
+  node?.nodeType === Node.ELEMENT_NODE &&
+  node.tagName === "INPUT" &&
+  (node.getAttribute("type") || "").toLowerCase() === "checkbox";
+
+// ---------------------------------------------------------------------------
+// Normalization
+
+const sortMarks = (marks) =>
+  [...new Set(String(marks || ""))]
+    .filter((mark) => MARK_ORDER.includes(mark))
+    .sort((a, b) => MARK_ORDER.indexOf(a) - MARK_ORDER.indexOf(b))
+    .join("");
+
+// A valid token href ("@<userId>" or "#<itemId>"), or null
+const readToken = (target) => {
+  const value = String(target ?? "");
+  return TOKEN_TYPES.some((t) => value.startsWith(t.prefix)) &&
+    TOKEN_ID_PATTERN.test(value.slice(1))
+    ? value
+    : null;
+};
+
+const getTokenType = (token) =>
+  TOKEN_TYPES.find((t) => token.startsWith(t.prefix));
+
+// Span as { text, marks, href, token }
+const readSpan = (span) => {
+  if (typeof span === "string") {
+    return { text: span, marks: "", href: null, token: null };
+  }
+  const token = readToken(span?.[2]);
+  return {
+    text: String(span?.[0] ?? ""),
+    marks: sortMarks(span?.[1]),
+    href: !token && isSafeUrl(span?.[2]) ? String(span[2]).trim() : null,
+    token,
+  };
+};
+
+const writeSpan = ({ text, marks, href, token }) => {
+  if (token || href) return [text, marks, token || href];
+  return marks ? [text, marks] : text;
+};
+
+// Canonical content: merged spans, a plain string when unformatted
+const normalizeContent = (content) => {
+  const spans = [];
+  const rawSpans =
+    typeof content === "string"
+      ? [content]
+      : Array.isArray(content)
+      ? content
+      : [];
+  rawSpans.forEach((raw) => {
+    const span = readSpan(raw);
+    if (!span.text) return;
+    // Mentions and item links stay separate, even next to one another
+    const last = spans[spans.length - 1];
+    if (
+      last &&
+      !last.token &&
+      !span.token &&
+      last.marks === span.marks &&
+      last.href === span.href
+    ) {
+      last.text += span.text;
+    } else {
+      spans.push(span);
+    }
+  });
+
+  if (spans.length === 0) return "";
+  if (
+    spans.length === 1 &&
+    !spans[0].marks &&
+    !spans[0].href &&
+    !spans[0].token
+  ) {
+    return spans[0].text;
+  }
+  return spans.map(writeSpan);
+};
+
+// Block as { type, content, attr }
+const readBlock = (block) => {
+  if (typeof block === "string") return { type: "p", content: block, attr: 0 };
+  if (!Array.isArray(block) || !BLOCK_TYPES.has(block[0])) return null;
+  return { type: block[0], content: block[1], attr: Number(block[2]) || 0 };
+};
+
+const writeBlock = ({ type, content, attr }) => {
+  if (type === "p" && typeof content === "string") return content;
+  return attr ? [type, content, attr] : [type, content];
+};
+
+// Validate and canonicalize a document. Unknown blocks, marks and unsafe
+// links are dropped, so stored bodies from any source are safe to render.
+export const normalizeDoc = (doc) => {
+  let previousDepth = -1;
+  return (Array.isArray(doc) ? doc : [])
+    .map(readBlock)
+    .filter(Boolean)
+    .map((block) => {
+      if (block.type === "pre") {
+        previousDepth = -1;
+        return writeBlock({ ...block, content: String(block.content ?? "") });
+      }
+
+      const content = normalizeContent(block.content);
+      let { attr } = block;
+      if (LIST_TYPES.has(block.type)) {
+        // A list item can only be nested one level below the previous one
+        attr = Math.max(0, Math.min(attr, previousDepth + 1, MAX_LIST_DEPTH));
+        previousDepth = attr;
+      } else {
+        previousDepth = -1;
+        attr = block.type === "todo" && attr ? 1 : 0;
+      }
+      return writeBlock({ type: block.type, content, attr });
+    });
+};
+
+// ---------------------------------------------------------------------------
+// HTML / DOM -> document
+
+// Collect the inline content of `node` as spans
+const collectInline = (node, spans, marks = "", href = null) => {
+  if (node.nodeType === Node.TEXT_NODE) {
+    const text = node.nodeValue
+      .replace(/\u00A0/g, " ")
+      .replace(/\s*\n\s*/g, " ");
+    if (text) spans.push({ text, marks, href });
+    return;
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE || SKIPPED_TAGS.has(node.tagName)) {
+    return;
+  }
+  if (node.tagName === "BR") {
+    spans.push({ text: "\n", marks, href });
+    return;
+  }
+  if (node.tagName === "INPUT") return;
+
+  // Mentions and item links are read whole, keeping the id
+  const tokenType = TOKEN_TYPES.find((t) => node.hasAttribute(t.attribute));
+  const token =
+    tokenType &&
+    readToken(tokenType.prefix + node.getAttribute(tokenType.attribute));
+  if (token) {
+    const text = node.textContent.replace(/\s+/g, " ");
+    if (text) spans.push({ text, marks, href: null, token });
+    return;
+  }
+
+  // Nested blocks inside inline content start a new line
+  if (isBlockElement(node) && spans.length > 0) {
+    spans.push({ text: "\n", marks, href });
+  }
+
+  const mark = TAG_MARKS[node.tagName];
+  const nextMarks = mark ? sortMarks(marks + mark) : marks;
+  const nextHref =
+    node.tagName === "A" && isSafeUrl(node.getAttribute("href"))
+      ? node.getAttribute("href").trim()
+      : href;
+  node.childNodes.forEach((child) =>
+    collectInline(child, spans, nextMarks, nextHref)
+  );
+};
+
+// Spans to content, without the trailing line break contentEditable leaves
+const toContent = (spans, { trimStart = false } = {}) => {
+  const trimmed = spans.map((span) => ({ ...span }));
+  if (trimStart && trimmed.length > 0) {
+    trimmed[0].text = trimmed[0].text.replace(/^\s+/, "");
+  }
+  while (trimmed.length > 0) {
+    const last = trimmed[trimmed.length - 1];
+    last.text = last.text.replace(/\n+$/, "");
+    if (last.text) break;
+    trimmed.pop();
+  }
+  return normalizeContent(trimmed.map(writeSpan));
+};
+
+// First checkbox of a block, when the block starts with one
+const getLeadingCheckbox = (element) => {
+  let node = element.firstChild;
+  while (node) {
+    if (node.nodeType === Node.TEXT_NODE && !node.nodeValue.trim()) {
+      node = node.nextSibling;
+    } else if (isCheckbox(node)) {
+      return node;
+    } else if (node.nodeType === Node.ELEMENT_NODE && !isBlockElement(node)) {
+      node = node.firstChild;
+    } else {
+      return null;
+    }
+  }
+  return null;
+};
+
+// Block for an element's inline content: a checklist item when it starts
+// with a checkbox (read from the live `checked` state)
+const inlineBlock = (element, type) => {
+  const spans = [];
+  element.childNodes.forEach((child) => collectInline(child, spans));
+  const checkbox = getLeadingCheckbox(element);
+  if (checkbox) {
+    return [
+      "todo",
+      toContent(spans, { trimStart: true }),
+      checkbox.checked ? 1 : 0,
+    ];
+  }
+  return [type, toContent(spans)];
+};
+
+const collectList = (list, blocks, depth) => {
+  const type = list.tagName.toLowerCase();
+  list.childNodes.forEach((child) => {
+    if (child.nodeType !== Node.ELEMENT_NODE) return;
+    if (LIST_TYPES.has(child.tagName.toLowerCase())) {
+      collectList(child, blocks, depth + 1);
+      return;
+    }
+
+    // Item text first, then any nested lists
+    const nested = [];
+    const spans = [];
+    child.childNodes.forEach((node) => {
+      if (
+        node.nodeType === Node.ELEMENT_NODE &&
+        LIST_TYPES.has(node.tagName.toLowerCase())
+      ) {
+        nested.push(node);
+      } else {
+        collectInline(node, spans);
+      }
+    });
+    const checkbox = getLeadingCheckbox(child);
+    blocks.push(
+      checkbox
+        ? [
+            "todo",
+            toContent(spans, { trimStart: true }),
+            checkbox.checked ? 1 : 0,
+          ]
+        : [type, toContent(spans), depth]
+    );
+    nested.forEach((nestedList) => collectList(nestedList, blocks, depth + 1));
+  });
+};
+
+const collectBlocks = (parent, blocks) => {
+  let loose = null;
+  const flushLoose = () => {
+    if (loose && (loose.textContent.trim() || loose.querySelector("input"))) {
+      blocks.push(inlineBlock(loose, "p"));
+    }
+    loose = null;
+  };
+
+  parent.childNodes.forEach((node) => {
+    if (node.nodeType === Node.ELEMENT_NODE && SKIPPED_TAGS.has(node.tagName)) {
+      return;
+    }
+    if (!isBlockElement(node)) {
+      // Inline content outside any block (the editor's first line)
+      loose = loose || node.ownerDocument.createElement("div");
+      loose.appendChild(node.cloneNode(true));
+      return;
+    }
+
+    flushLoose();
+    const tag = node.tagName;
+    if (LIST_TYPES.has(tag.toLowerCase())) {
+      collectList(node, blocks, 0);
+    } else if (tag === "PRE") {
+      blocks.push(["pre", node.textContent.replace(/\n$/, "")]);
+    } else if (HEADING_TAGS.has(tag)) {
+      blocks.push(inlineBlock(node, "h"));
+    } else if (tag === "BLOCKQUOTE") {
+      blocks.push(inlineBlock(node, "q"));
+    } else if ([...node.childNodes].some(isBlockElement)) {
+      collectBlocks(node, blocks);
+    } else {
+      blocks.push(inlineBlock(node, "p"));
+    }
+  });
+  flushLoose();
+};
+
+// Read a document from a DOM element (e.g. the live editor)
+export const domToDoc = (root) => {
+  const blocks = [];
+  collectBlocks(root, blocks);
+  return normalizeDoc(blocks);
+};
+
+// Read a document from an HTML string (parsed inertly)
+export const htmlToDoc = (html) => {
+  if (!html) return [];
+  const parsed = new DOMParser().parseFromString(String(html), "text/html");
+  return domToDoc(parsed.body);
+};
+
+// A body in any stored form (document or legacy HTML) as a document
+export const toDoc = (body) =>
+  typeof body === "string" ? htmlToDoc(sanitizeHtml(body)) : normalizeDoc(body);
+
+// ---------------------------------------------------------------------------
+// Document -> HTML / text
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const renderContent = (content) =>
+  (typeof content === "string" ? [content] : content)
+    .map((raw) => {
+      const { text, marks, href, token } = readSpan(raw);
+      let html = escapeHtml(text).replace(/\n/g, "<br>");
+      if (token) {
+        const { attribute, className } = getTokenType(token);
+        html = `<span class="${className}" ${attribute}="${escapeHtml(
+          token.slice(1)
+        )}" contenteditable="false">${html}</span>`;
+      }
+      [...marks].reverse().forEach((mark) => {
+        html = `<${MARK_TAGS[mark]}>${html}</${MARK_TAGS[mark]}>`;
+      });
+      return href
+        ? `<a href="${escapeHtml(
+            href
+          )}" target="_blank" rel="noopener noreferrer">${html}</a>`
+        : html;
+    })
+    .join("");
+
+// Render a document as editor HTML. With `readOnly`, checklist boxes
+// cannot be toggled.
+export const docToHtml = (body, { readOnly = false } = {}) => {
+  const html = [];
+  const openLists = []; // tags of open lists, innermost last
+
+  const closeLists = (depth) => {
+    while (openLists.length > depth) {
+      html.push(`</li></${openLists.pop()}>`);
+    }
+  };
+
+  toDoc(body)
+    .map(readBlock)
+    .forEach(({ type, content, attr }) => {
+      if (LIST_TYPES.has(type)) {
+        closeLists(attr + 1);
+        if (openLists.length === attr + 1) {
+          if (openLists[attr] === type) {
+            html.push("</li>");
+          } else {
+            closeLists(attr);
+          }
+        }
+        while (openLists.length < attr + 1) {
+          html.push(`<${type}>`);
+          openLists.push(type);
+        }
+        html.push(`<li>${renderContent(content) || "<br>"}`);
+        return;
+      }
+
+      closeLists(0);
+      const inner = renderContent(content);
+      switch (type) {
+        case "h":
+          html.push(`<h4>${inner || "<br>"}</h4>`);
+          break;
+        case "q":
+          html.push(`<blockquote>${inner || "<br>"}</blockquote>`);
+          break;
+        case "pre":
+          html.push(`<pre>${escapeHtml(content)}</pre>`);
+          break;
+        case "todo":
+          html.push(
+            `<div><input type="checkbox"${attr ? " checked" : ""}${
+              readOnly ? " disabled" : ""
+            }> ${inner}</div>`
+          );
+          break;
+        default:
+          html.push(`<div>${inner || "<br>"}</div>`);
+      }
+    });
+
+  closeLists(0);
+  return html.join("");
+};
+
+// HTML for inserting a document at the caret. A lone paragraph is
+// inserted inline, so pasting a few words does not split the line.
+export const docToFragmentHtml = (body) => {
+  const doc = toDoc(body);
+  if (doc.length === 1 && readBlock(doc[0]).type === "p") {
+    return renderContent(readBlock(doc[0]).content);
+  }
+  return docToHtml(doc);
+};
+
+const contentToText = (content) =>
+  typeof content === "string"
+    ? content
+    : content.map((span) => readSpan(span).text).join("");
+
+// Plain text of a body on one line (for previews, search and diffs)
+export const docToText = (body) =>
+  toDoc(body)
+    .map((block) => contentToText(readBlock(block).content))
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Document with `replace` applied to all its text. Mentions and item links
+// keep their text, which names their target.
+export const mapDocText = (body, replace) =>
+  normalizeDoc(
+    toDoc(body)
+      .map(readBlock)
+      .map(({ type, content, attr }) =>
+        writeBlock({
+          type,
+          attr,
+          content:
+            typeof content === "string"
+              ? replace(content)
+              : content.map((span) => {
+                  const parsed = readSpan(span);
+                  return writeSpan(
+                    parsed.token
+                      ? parsed
+                      : { ...parsed, text: replace(parsed.text) }
+                  );
+                }),
+        })
+      )
+  );
+
+// Ids referenced by a body's tokens with the given prefix
+const getTokenIds = (body, prefix) => {
+  const ids = new Set();
+  toDoc(body)
+    .map(readBlock)
+    .filter((block) => block.type !== "pre" && Array.isArray(block.content))
+    .forEach((block) =>
+      block.content.forEach((span) => {
+        const { token } = readSpan(span);
+        if (token?.startsWith(prefix)) ids.add(token.slice(1));
+      })
+    );
+  return [...ids];
+};
+
+// Ids of the users mentioned in a body
+export const getMentionedUserIds = (body) => getTokenIds(body, "@");
+
+// ---------------------------------------------------------------------------
+// Checklists
+
+// Checklist items of a body, in order: [{ text, checked }]
+export const getChecklistItems = (body) =>
+  toDoc(body)
+    .map(readBlock)
+    .filter((block) => block.type === "todo")
+    .map((block) => ({
+      text: contentToText(block.content),
+      checked: Boolean(block.attr),
+    }));
+
+// { done, total } checklist items across one or more bodies
+export const getChecklistProgress = (...bodies) =>
+  bodies.flatMap(getChecklistItems).reduce(
+    (progress, item) => ({
+      done: progress.done + (item.checked ? 1 : 0),
+      total: progress.total + 1,
+    }),
+    { done: 0, total: 0 }
+  );
+
+// Tick or untick the checklist item at `index` (counting checklist items)
+export const toggleChecklistItem = (body, index) => {
+  let todoIndex = -1;
+  return toDoc(body).map((block) => {
+    const parsed = readBlock(block);
+    if (parsed.type !== "todo" || ++todoIndex !== index) return block;
+    return writeBlock({ ...parsed, attr: parsed.attr ? 0 : 1 });
+  });
+};
+
+export const isSameDoc = (a, b) =>
+  JSON.stringify(toDoc(a)) === JSON.stringify(toDoc(b));
+
+// Normalize every note body (and its history) and tag list in a section
+// tree. Bodies are converted from legacy HTML where needed; this is also
+// what keeps stored bodies safe to render.
+export const normalizeSections = (sections) =>
+  (sections || []).map((section) => ({
+    ...section,
+    notes: (section.notes || []).map((note) => ({
+      ...note,
+      body: toDoc(note.body),
+      ...(note.tags !== undefined && { tags: normalizeTags(note.tags) }),
+      ...(note.history && {
+        history: note.history.map((version) => ({
+          ...version,
+          body: toDoc(version.body),
+        })),
+      }),
+    })),
+  }));
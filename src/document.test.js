@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+
+import { docToHtml, docToText, normalizeDoc, toDoc } from "./document.js";
+
+// Stored bodies come from any client, so malformed shapes must not throw
+const MALFORMED_DOCS = [
+  null,
+  undefined,
+  42,
+  { p: "x" },
+  [["p", 42]],
+  [["p", { text: "x" }]],
+  [["h", true]],
+  [["ul", { 0: "x", length: 1 }, 1]],
+  [["p", [42, null, { 0: "x" }, ["ok"]]]],
+];
+
+describe("normalizeDoc", () => {
+  // Wrapped, as it.each spreads array rows into arguments
+  it.each(MALFORMED_DOCS.map((doc) => [doc]))("accepts %j", (doc) => {
+    expect(() => normalizeDoc(doc)).not.toThrow();
+    expect(() => docToHtml(doc)).not.toThrow();
+    expect(() => docToText(doc)).not.toThrow();
+  });
+
+  it("drops content that is not text or a list of spans", () => {
+    expect(normalizeDoc([["p", 42], ["h", { text: "x" }], "kept"])).toEqual([
+      "",
+      ["h", ""],
+      "kept",
+    ]);
+  });
+
+  it("keeps the valid spans of a block", () => {
+    expect(toDoc([["p", [null, "a", ["b", "b"]]]])).toEqual([
+      ["p", ["a", ["b", "b"]]],
+    ]);
+  });
+});
@@ -0,0 +1,233 @@
+// Per-note revision history
+//
+// Each note keeps `history`: prior versions as { heading, body, author,
+// updatedAt, replacedAt }, oldest first. A version is recorded when a save
+// replaces it, except while the same author keeps editing within
+// NOTE_HISTORY_WINDOW_MS of the session's first save. Saves that empty a
+// note or remove most of its text are always recorded.
+
+import {
+  MAX_NOTE_HISTORY,
+  NOTE_HISTORY_WINDOW_MS,
+  HISTORY_BUDGET_SIZE,
+} from "./config.js";
+import { getPayloadSize } from "./storage.js";
+import { docToText, isSameDoc } from "./document.js";
+
+// Diffs above this many token comparisons fall back to replace-all
+const MAX_DIFF_CELLS = 250000;
+
+// A save keeping less than this share of a body's text counts as a wipe
+// (bodies shorter than SHRINK_MIN_LENGTH only count when emptied)
+const SHRINK_RATIO = 0.5;
+const SHRINK_MIN_LENGTH = 40;
+
+// Who last changed a note ({ id, name }), falling back to its creator
+const getNoteAuthor = (note) =>
+  note.updatedBy || { id: note.authorId || null, name: null };
+
+const toRevision = (note) => ({
+  heading: note.heading || "",
+  body: note.body || [],
+  author: getNoteAuthor(note),
+  updatedAt: note.updatedAt,
+});
+
+const isSameContent = (a, b) =>
+  Boolean(a && b) && a.heading === b.heading && isSameDoc(a.body, b.body);
+
+// True when `note` empties `stored`'s body or drops most of its text
+const isSharpShrink = (note, stored) => {
+  const before = docToText(stored.body).trim().length;
+  const after = docToText(note.body).trim().length;
+  if (before === 0) return false;
+  return (
+    after === 0 ||
+    (before >= SHRINK_MIN_LENGTH && after < before * SHRINK_RATIO)
+  );
+};
+
+// When the current editing session began: the save that recorded the last
+// revision, or the note's creation when it has none
+const getSessionStart = (stored) => {
+  const history = stored.history || [];
+  const last = history[history.length - 1];
+  if (last) return last.replacedAt || last.updatedAt || 0;
+  return stored.createdAt || 0;
+};
+
+// Add the stored version of every changed note to its history.
+// `storedSections` is what the save is about to replace.
+export const recordNoteHistory = (
+  sections,
+  storedSections,
+  now = Date.now()
+) => {
+  const storedNotes = new Map();
+  (storedSections || []).forEach((section) =>
+    (section.notes || []).forEach((note) => storedNotes.set(note.id, note))
+  );
+
+  return sections.map((section) => ({
+    ...section,
+    notes: (section.notes || []).map((note) => {
+      const stored = storedNotes.get(note.id);
+      if (!stored || isSameContent(note, stored)) return note;
+
+      // Still the same editing session: keep only its starting point
+      const author = getNoteAuthor(note);
+      if (
+        author.id &&
+        getNoteAuthor(stored).id === author.id &&
+        now - getSessionStart(stored) < NOTE_HISTORY_WINDOW_MS &&
+        !isSharpShrink(note, stored)
+      ) {
+        return note;
+      }
+
+      const history = note.history || [];
+      if (isSameContent(history[history.length - 1], stored)) return note;
+      return {
+        ...note,
+        history: [...history, { ...toRevision(stored), replacedAt: now }].slice(
+          -MAX_NOTE_HISTORY
+        ),
+      };
+    }),
+  }));
+};
+
+// Drop the oldest revisions across all notes until the payload fits
+// HISTORY_BUDGET_SIZE. The payload is measured once per pass and as many
+// revisions as needed are dropped at once, going by their own sizes.
+export const fitHistoryToBudget = (metadata) => {
+  let fitted = metadata;
+  let excess = getPayloadSize(fitted) - HISTORY_BUDGET_SIZE;
+
+  // Revision sizes are estimates (separators, emptied lists): measure again
+  while (excess > 0) {
+    const revisions = fitted.sections.flatMap((section) =>
+      (section.notes || []).flatMap((note) =>
+        (note.history || []).map((version) => ({
+          noteId: note.id,
+          updatedAt: version.updatedAt || 0,
+          size: getPayloadSize(version) + 1,
+        }))
+      )
+    );
+    if (revisions.length === 0) break;
+
+    // Oldest first; each note's history is already oldest first
+    revisions.sort((a, b) => a.updatedAt - b.updatedAt);
+    const dropCounts = new Map();
+    let freed = 0;
+    for (const { noteId, size } of revisions) {
+      if (freed >= excess) break;
+      dropCounts.set(noteId, (dropCounts.get(noteId) || 0) + 1);
+      freed += size;
+    }
+
+    fitted = {
+      ...fitted,
+      sections: fitted.sections.map((section) => ({
+        ...section,
+        notes: (section.notes || []).map((note) =>
+          dropCounts.has(note.id)
+            ? { ...note, history: note.history.slice(dropCounts.get(note.id)) }
+            : note
+        ),
+      })),
+    };
+    excess = getPayloadSize(fitted) - HISTORY_BUDGET_SIZE;
+  }
+  return fitted;
+};
+
+// Snapshot of a note's current version
+export const snapshotNote = toRevision;
+
+// Note updates that bring back `version`, keeping the current version in
+// the history
+export const restoreRevision = (note, version) => ({
+  heading: version.heading,
+  body: version.body,
+  history: [...(note.history || []), toRevision(note)].slice(-MAX_NOTE_HISTORY),
+});
+
+// Word-level diff between two texts.
+// Returns [{ type: "equal" | "added" | "removed", text }].
+export const diffWords = (oldText, newText) => {
+  const a = (oldText || "").split(/(\s+)/).filter(Boolean);
+  const b = (newText || "").split(/(\s+)/).filter(Boolean);
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      { type: "removed", text: a.join("") },
+      { type: "added", text: b.join("") },
+    ].filter((part) => part.text);
+  }
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("equal", a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push("removed", a[i++]);
+    } else {
+      push("added", b[j++]);
+    }
+  }
+  while (i < a.length) push("removed", a[i++]);
+  while (j < b.length) push("added", b[j++]);
+  return parts;
+};
+
+// Diff two revisions' plain text (heading and body)
+export const diffRevisions = (older, newer) => ({
+  heading: diffWords(older.heading, newer.heading),
+  body: diffWords(docToText(older.body), docToText(newer.body)),
+});
+
+// Copy the histories recorded by a save onto the panel's sections, leaving
+// any edits made while the save was running untouched
+export const applySavedHistory = (sections, savedSections) => {
+  const saved = new Map();
+  savedSections.forEach((section) =>
+    (section.notes || []).forEach((note) => saved.set(note.id, note.history))
+  );
+
+  let changed = false;
+  const next = sections.map((section) => ({
+    ...section,
+    notes: (section.notes || []).map((note) => {
+      const history = saved.get(note.id);
+      if (!history || history === note.history) return note;
+      changed = true;
+      return { ...note, history };
+    }),
+  }));
+  return changed ? next : sections;
+};
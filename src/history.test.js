@@ -0,0 +1,199 @@
+import { describe, expect, it } from "vitest";
+
+import {
+  HISTORY_BUDGET_SIZE,
+  MAX_NOTE_HISTORY,
+  NOTE_HISTORY_WINDOW_MS,
+} from "./config.js";
+import { getPayloadSize } from "./storage.js";
+import { fitHistoryToBudget, recordNoteHistory } from "./history.js";
+
+// Annotations whose notes carry `revisionsPerNote` revisions of ~`size`
+// characters each, revision timestamps interleaved across notes
+const createAnnotations = (notesCount, revisionsPerNote, size = 200) => ({
+  schemaVersion: "1.3.0",
+  revision: 1,
+  sections: [
+    {
+      id: "s1",
+      name: "General",
+      notes: Array.from({ length: notesCount }, (_, n) => ({
+        id: `n${n}`,
+        heading: `Note ${n}`,
+        body: ["current"],
+        history: Array.from({ length: revisionsPerNote }, (_, r) => ({
+          heading: `Note ${n}`,
+          body: [`${r} ${"x".repeat(size)}`],
+          author: { id: "u1", name: null },
+          updatedAt: 1000 + r * notesCount + n,
+        })),
+      })),
+    },
+  ],
+});
+
+const allRevisions = (metadata) =>
+  metadata.sections.flatMap((section) =>
+    section.notes.flatMap((note) => note.history)
+  );
+
+describe("fitHistoryToBudget", () => {
+  it("leaves payloads within the budget untouched", () => {
+    const metadata = createAnnotations(3, 3);
+    expect(fitHistoryToBudget(metadata)).toBe(metadata);
+  });
+
+  it("drops the oldest revisions across notes until the payload fits", () => {
+    const metadata = createAnnotations(10, 40);
+    expect(getPayloadSize(metadata)).toBeGreaterThan(HISTORY_BUDGET_SIZE);
+
+    const fitted = fitHistoryToBudget(metadata);
+    expect(getPayloadSize(fitted)).toBeLessThanOrEqual(HISTORY_BUDGET_SIZE);
+
+    const kept = allRevisions(fitted);
+    const dropped = allRevisions(metadata).filter((r) => !kept.includes(r));
+    expect(dropped.length).toBeGreaterThan(0);
+    const newestDropped = Math.max(...dropped.map((r) => r.updatedAt));
+    expect(Math.min(...kept.map((r) => r.updatedAt))).toBeGreaterThan(
+      newestDropped
+    );
+  });
+
+  it("drops no more than needed", () => {
+    const metadata = createAnnotations(10, 40);
+    const fitted = fitHistoryToBudget(metadata);
+    const oneMore = allRevisions(metadata).find(
+      (r) => !allRevisions(fitted).includes(r)
+    );
+    // Keeping a revision of this size again would go over the budget
+    expect(getPayloadSize(fitted) + getPayloadSize(oneMore)).toBeGreaterThan(
+      HISTORY_BUDGET_SIZE
+    );
+  });
+
+  it("trims large payloads in a few passes", () => {
+    const metadata = createAnnotations(40, 20, 400);
+    const start = performance.now();
+    const fitted = fitHistoryToBudget(metadata);
+    expect(getPayloadSize(fitted)).toBeLessThanOrEqual(HISTORY_BUDGET_SIZE);
+    expect(performance.now() - start).toBeLessThan(500);
+  });
+
+  it("keeps notes without history when history alone cannot fit", () => {
+    const metadata = createAnnotations(1, 0, 0);
+    metadata.sections[0].notes[0].body = ["x".repeat(HISTORY_BUDGET_SIZE)];
+    expect(fitHistoryToBudget(metadata)).toEqual(metadata);
+  });
+});
+
+describe("recordNoteHistory", () => {
+  const SECOND = 1000;
+  const TEXT = "A paragraph long enough to count as real work in a note.";
+
+  // Simulate autosaves: each call saves `body` by `authorId` at `at`, on
+  // top of what the previous save stored. The note was created long ago
+  // unless `createdAt` says otherwise.
+  const createNoteStore = (body = [TEXT], createdAt = -1e9) => {
+    let stored = [
+      {
+        id: "s1",
+        name: "General",
+        notes: [
+          {
+            id: "n1",
+            heading: "Note",
+            body,
+            createdAt,
+            updatedAt: createdAt,
+            updatedBy: { id: "u1", name: null },
+          },
+        ],
+      },
+    ];
+    return {
+      save: (nextBody, at, authorId = "u1") => {
+        const [note] = stored[0].notes;
+        const edited = [
+          {
+            ...stored[0],
+            notes: [
+              {
+                ...note,
+                body: nextBody,
+                updatedAt: at,
+                updatedBy: { id: authorId, name: null },
+              },
+            ],
+          },
+        ];
+        stored = recordNoteHistory(edited, stored, at);
+        return stored[0].notes[0];
+      },
+    };
+  };
+
+  it("keeps one revision per editing session", () => {
+    const store = createNoteStore();
+    let note;
+    for (let at = SECOND; at < 60 * SECOND; at += 400) {
+      note = store.save([`${TEXT} ${at}`], at);
+    }
+    expect(note.history).toHaveLength(1);
+    expect(note.history[0].body).toEqual([TEXT]);
+  });
+
+  it("records a revision once the session outlasts the window, even with constant autosaves", () => {
+    const store = createNoteStore([TEXT], 0);
+    let note;
+    for (let at = 400; at <= NOTE_HISTORY_WINDOW_MS * 2.5; at += 400) {
+      note = store.save([`${TEXT} ${at}`], at);
+    }
+    expect(note.history).toHaveLength(2);
+    expect(note.history[1].replacedAt - note.history[0].replacedAt).toBe(
+      NOTE_HISTORY_WINDOW_MS
+    );
+  });
+
+  it("keeps the text before a body is wiped within a session", () => {
+    const store = createNoteStore();
+    store.save([`${TEXT} more`], SECOND);
+    const note = store.save([], 2 * SECOND);
+    expect(note.history.map((version) => version.body)).toEqual([
+      [TEXT],
+      [`${TEXT} more`],
+    ]);
+  });
+
+  it("keeps the text before most of it is deleted within a session", () => {
+    const store = createNoteStore();
+    store.save([`${TEXT} ${TEXT}`], SECOND);
+    const note = store.save(["A"], 2 * SECOND);
+    expect(note.history.at(-1).body).toEqual([`${TEXT} ${TEXT}`]);
+  });
+
+  it("does not treat small deletions as wipes", () => {
+    const store = createNoteStore();
+    store.save([`${TEXT} more`], SECOND);
+    const note = store.save([TEXT.slice(0, -5)], 2 * SECOND);
+    expect(note.history).toHaveLength(1);
+  });
+
+  it("records a revision when another author takes over", () => {
+    const store = createNoteStore();
+    store.save([`${TEXT} u1`], SECOND);
+    const note = store.save([`${TEXT} u2`], 2 * SECOND, "u2");
+    expect(note.history.map((version) => version.author.id)).toEqual([
+      "u1",
+      "u1",
+    ]);
+  });
+
+  it(`keeps at most ${MAX_NOTE_HISTORY} revisions`, () => {
+    const store = createNoteStore();
+    let note;
+    for (let i = 1; i <= MAX_NOTE_HISTORY + 5; i++) {
+      note = store.save([`${TEXT} ${i}`], i * NOTE_HISTORY_WINDOW_MS);
+    }
+    expect(note.history).toHaveLength(MAX_NOTE_HISTORY);
+  });
+});
@@ -1,3 +1,6 @@
+import { ANNOTATABLE_ITEM_TYPES, INDICATOR_CONTENT_PATTERN } from "./config.js";
+import { initIndicators } from "./indicator.js";
+
 export async function init() {
   miro.board.ui.on("icon:click", async () => {
     await miro.board.ui.openPanel({ url: "app.html" });
@@ -17,8 +20,16 @@ export async function init() {
         icon: "calendar-blank", // Custom SVG icon as data URI
         description: "Open the notes panel for this item",
       },
+      // Every annotatable item except the app's own note-count badges
       predicate: {
-        $or: [{ type: "shape" }, { type: "text" }, { type: "sticky_note" }],
+        $or: ANNOTATABLE_ITEM_TYPES.map((type) =>
+          type === "text"
+            ? {
+                type,
+                content: { $not: { $regex: INDICATOR_CONTENT_PATTERN } },
+              }
+            : { type }
+        ),
       },
       contexts: {
         item: {},
@@ -27,6 +38,12 @@ export async function init() {
   } catch (error) {
     console.error("Error registering custom action:", error);
   }
+
+  try {
+    await initIndicators();
+  } catch (error) {
+    console.error("Error setting up note indicators:", error);
+  }
 }
 
 init();
@@ -1,170 +1,271 @@
-const APP_ID = "notes-app";
+// On-canvas badges for annotated items
+//
+// Each annotated item gets a small text widget showing its note count. The
+// item -> badge mapping and the per-board on/off setting live in board app
+// data, so badges can be moved and cleaned up after their item is gone.
+
+import { METADATA_KEY } from "./config.js";
+import { readAnnotations } from "./storage.js";
+import { migrateMetadata } from "./migrations.js";
+import {
+  getAnnotatedItemIds,
+  getItemTitle,
+  updateAnnotatedItemIndex,
+  countNotes,
+} from "./boardIndex.js";
+
+const INDICATORS_KEY = `${METADATA_KEY}-indicators`;
+const SETTINGS_KEY = `${METADATA_KEY}-settings`;
 const INDICATOR_SIZE = 24;
+const INDICATOR_WIDTH = 48;
 const INDICATOR_OFFSET = 8;
+const MOVE_THROTTLE_MS = 100;
 
-async function isEditor(item) {
-  if (!item) {
-    return false;
-  }
+// App data writes are read-modify-write: run them one at a time
+let queue = Promise.resolve();
+const enqueue = (task) => {
+  const run = queue.then(task, task);
+  queue = run.catch(() => {});
+  return run;
+};
 
+const getIndicatorMap = async () => {
   try {
-    const currentUserInfo = await miro.board.getUserInfo();
-    const currentUserId = currentUserInfo.id;
-    const createdBy = item.createdBy;
-
-    return currentUserId && createdBy === currentUserId;
+    const map = await miro.board.getAppData(INDICATORS_KEY);
+    return map && typeof map === "object" ? map : {};
   } catch (error) {
-    console.error("Error checking editor status:", error);
-    return false;
+    console.error("[Annotate] Error reading indicators:", error);
+    return {};
   }
-}
+};
 
-function calculateIndicatorPosition(item) {
-  const bounds = item.bounds;
-  if (!bounds) {
+const setIndicatorId = async (itemId, widgetId) => {
+  const map = await getIndicatorMap();
+  if ((map[itemId] || null) === widgetId) return;
+
+  const next = { ...map };
+  if (widgetId) next[itemId] = widgetId;
+  else delete next[itemId];
+  await miro.board.setAppData(INDICATORS_KEY, next);
+};
+
+// Badge widget for an item, or null when it was removed from the board
+const getWidget = async (widgetId) => {
+  if (!widgetId) return null;
+  try {
+    return (await miro.board.getById(widgetId)) || null;
+  } catch (error) {
     return null;
   }
+};
 
-  const x = bounds.x + bounds.width - INDICATOR_SIZE / 2 - INDICATOR_OFFSET;
-  const y =
-    bounds.y - bounds.height / 2 + INDICATOR_SIZE / 2 + INDICATOR_OFFSET;
+const getBadgeContent = (notesCount) => `📝 ${notesCount}`;
 
-  return { x, y };
-}
-
-export async function createIndicator(item) {
-  if (!(await isEditor(item))) {
+// Top-right corner of the item (SDK coordinates are item centres)
+const calculateIndicatorPosition = (item) => {
+  if (typeof item.x !== "number" || typeof item.y !== "number") {
     return null;
   }
 
+  return {
+    x: item.x + (item.width || 0) / 2 - INDICATOR_WIDTH / 2 + INDICATOR_OFFSET,
+    y: item.y - (item.height || 0) / 2 - INDICATOR_SIZE / 2 - INDICATOR_OFFSET,
+  };
+};
+
+export async function getIndicatorSettings() {
   try {
-    const metadata = await item.getMetadata(APP_ID);
-    if (metadata?.indicatorWidgetId) {
-      try {
-        const existingWidget = await miro.board.getById(
-          metadata.indicatorWidgetId
-        );
-        if (existingWidget) {
-          return metadata.indicatorWidgetId;
-        }
-      } catch (error) {}
-    }
+    const settings = await miro.board.getAppData(SETTINGS_KEY);
+    return { showIndicators: settings?.showIndicators !== false };
+  } catch (error) {
+    console.error("[Annotate] Error reading board settings:", error);
+    return { showIndicators: true };
+  }
+}
 
+// Create the item's badge, or refresh the count on an existing one
+export function createIndicator(item, notesCount) {
+  return enqueue(async () => {
     const position = calculateIndicatorPosition(item);
     if (!position) {
-      console.warn("Cannot calculate indicator position for item:", item.id);
+      console.warn("[Annotate] Cannot position indicator for item:", item.id);
       return null;
     }
 
+    const map = await getIndicatorMap();
+    const existingWidget = await getWidget(map[item.id]);
+    if (existingWidget) {
+      const content = getBadgeContent(notesCount);
+      if (existingWidget.content !== content) {
+        existingWidget.content = content;
+        await existingWidget.sync();
+      }
+      return existingWidget.id;
+    }
+
     const indicatorWidget = await miro.board.createText({
-      content: "📝",
+      content: getBadgeContent(notesCount),
       style: {
         fillColor: "transparent",
         textAlign: "center",
-        textAlignVertical: "middle",
       },
       x: position.x,
       y: position.y,
-      width: INDICATOR_SIZE,
-      height: INDICATOR_SIZE,
+      width: INDICATOR_WIDTH,
     });
 
-    await item.setMetadata(APP_ID, {
-      ...metadata,
-      indicatorWidgetId: indicatorWidget.id,
-    });
-
-    return indicatorWidget.id;
-  } catch (error) {
-    console.error("Error creating indicator:", error);
-    return null;
-  }
+    // Another panel may have added a badge in the meantime: keep the one
+    // that ends up recorded and drop the other
+    const keepRecorded = async () => {
+      const recorded = await getWidget((await getIndicatorMap())[item.id]);
+      if (!recorded || recorded.id === indicatorWidget.id) return null;
+      await miro.board.remove(indicatorWidget);
+      return recorded.id;
+    };
+    const recordedFirst = await keepRecorded();
+    if (recordedFirst) return recordedFirst;
+    await setIndicatorId(item.id, indicatorWidget.id);
+    return (await keepRecorded()) || indicatorWidget.id;
+  });
 }
 
-export async function updateIndicatorPosition(item) {
-  if (!(await isEditor(item))) {
-    return;
-  }
-
-  try {
-    const metadata = await item.getMetadata(APP_ID);
-    if (!metadata?.indicatorWidgetId) {
-      return;
-    }
+// Remove an item's badge; works after the item itself was deleted
+export function deleteIndicator(itemId) {
+  return enqueue(async () => {
+    const map = await getIndicatorMap();
+    if (!map[itemId]) return;
 
-    let indicatorWidget;
-    try {
-      indicatorWidget = await miro.board.getById(metadata.indicatorWidgetId);
-    } catch (error) {
-      const updatedMetadata = { ...metadata };
-      delete updatedMetadata.indicatorWidgetId;
-      await item.setMetadata(APP_ID, updatedMetadata);
-      return;
+    const indicatorWidget = await getWidget(map[itemId]);
+    if (indicatorWidget) {
+      await miro.board.remove(indicatorWidget);
     }
+    await setIndicatorId(itemId, null);
+  });
+}
 
+export async function updateIndicatorPosition(item) {
+  try {
+    const map = await getIndicatorMap();
+    const indicatorWidget = await getWidget(map[item.id]);
     const position = calculateIndicatorPosition(item);
-    if (!position) {
-      return;
-    }
+    if (!indicatorWidget || !position) return;
 
-    await indicatorWidget.set({ x: position.x, y: position.y });
+    indicatorWidget.x = position.x;
+    indicatorWidget.y = position.y;
+    await indicatorWidget.sync();
   } catch (error) {
-    console.error("Error updating indicator position:", error);
+    console.error("[Annotate] Error updating indicator position:", error);
   }
 }
 
-export async function deleteIndicator(item) {
-  if (!(await isEditor(item))) {
-    return;
-  }
-
+// Show, update or remove an item's badge after its notes changed
+export async function syncIndicator(item, notesCount) {
   try {
-    const metadata = await item.getMetadata(APP_ID);
-    if (!metadata?.indicatorWidgetId) {
-      return;
+    const { showIndicators } = await getIndicatorSettings();
+    if (showIndicators && notesCount > 0) {
+      await createIndicator(item, notesCount);
+    } else {
+      await deleteIndicator(item.id);
     }
-
-    try {
-      const indicatorWidget = await miro.board.getById(
-        metadata.indicatorWidgetId
-      );
-      await miro.board.remove([indicatorWidget]);
-    } catch (error) {}
-
-    const updatedMetadata = { ...metadata };
-    delete updatedMetadata.indicatorWidgetId;
-    await item.setMetadata(APP_ID, updatedMetadata);
   } catch (error) {
-    console.error("Error deleting indicator:", error);
+    console.error("[Annotate] Error syncing indicator:", error);
   }
 }
 
-export async function syncIndicator(item, notes) {
-  if (!(await isEditor(item))) {
+// Turn badges on or off for the whole board
+export async function setIndicatorsEnabled(showIndicators) {
+  const settings = (await miro.board.getAppData(SETTINGS_KEY)) || {};
+  await miro.board.setAppData(SETTINGS_KEY, { ...settings, showIndicators });
+
+  if (!showIndicators) {
+    const map = await getIndicatorMap();
+    for (const itemId of Object.keys(map)) {
+      await deleteIndicator(itemId);
+    }
     return;
   }
 
-  const hasNotes = notes && notes.trim().length > 0;
-
-  if (hasNotes) {
-    await createIndicator(item);
-  } else {
-    await deleteIndicator(item);
+  const ids = await getAnnotatedItemIds();
+  const items = ids.length > 0 ? await miro.board.get({ id: ids }) : [];
+  for (const item of items) {
+    try {
+      const storedData = await readAnnotations(item);
+      const { data, isNewer } = storedData
+        ? migrateMetadata(storedData, {
+            itemId: item.id,
+            itemName: getItemTitle(item),
+            itemType: item.type,
+            createdBy: item.createdBy,
+          })
+        : { data: null, isNewer: false };
+      // Notes saved by a newer version cannot be counted: keep their badge
+      if (isNewer) continue;
+      await syncIndicator(item, countNotes(data?.sections));
+    } catch (error) {
+      console.warn("[Annotate] Skipping indicator for item:", item.id, error);
+    }
   }
 }
 
-function throttle(func, limit) {
-  let inThrottle;
-  return function (...args) {
-    if (!inThrottle) {
-      func.apply(this, args);
-      inThrottle = true;
-      setTimeout(() => (inThrottle = false), limit);
+// Throttle per key, so moving several items keeps every badge in step.
+// The last call in a burst still runs, so badges end where the item stops.
+const throttleByKey = (func, limit) => {
+  const timers = new Map();
+  const trailingArgs = new Map();
+  return (key, ...args) => {
+    if (timers.has(key)) {
+      trailingArgs.set(key, args);
+      return;
     }
+    func(...args);
+    timers.set(
+      key,
+      setTimeout(() => {
+        timers.delete(key);
+        const trailing = trailingArgs.get(key);
+        trailingArgs.delete(key);
+        if (trailing) func(...trailing);
+      }, limit)
+    );
   };
-}
+};
+
+const throttledMove = throttleByKey(updateIndicatorPosition, MOVE_THROTTLE_MS);
 
-export const throttledUpdateIndicatorPosition = throttle(
-  updateIndicatorPosition,
-  100
-);
+export const throttledUpdateIndicatorPosition = (item) =>
+  throttledMove(item.id, item);
+
+// Keep badges next to their items and drop them with deleted items
+export async function initIndicators() {
+  miro.board.ui.on("experimental:items:update", async ({ items }) => {
+    try {
+      const map = await getIndicatorMap();
+      (items || [])
+        .filter((item) => map[item.id])
+        .forEach((item) => throttledUpdateIndicatorPosition(item));
+    } catch (error) {
+      console.error("[Annotate] Error moving indicators:", error);
+    }
+  });
+
+  miro.board.ui.on("items:delete", async ({ items }) => {
+    try {
+      const map = await getIndicatorMap();
+      const badgeOwners = new Map(
+        Object.entries(map).map(([itemId, widgetId]) => [widgetId, itemId])
+      );
+
+      for (const { id } of items || []) {
+        if (map[id]) {
+          await deleteIndicator(id);
+          await updateAnnotatedItemIndex(id, false);
+        } else if (badgeOwners.has(id)) {
+          // The badge itself was deleted: forget it until the next sync
+          await enqueue(() => setIndicatorId(badgeOwners.get(id), null));
+        }
+      }
+    } catch (error) {
+      console.error("[Annotate] Error cleaning up deleted items:", error);
+    }
+  });
+}
@@ -0,0 +1,125 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+import { APP_ID } from "./config.js";
+import {
+  createIndicator,
+  initIndicators,
+  setIndicatorsEnabled,
+} from "./indicator.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Board with app data, items holding raw metadata and text badges
+let appData;
+let widgets;
+let widgetCount = 0;
+let handlers;
+const createItem = (id, annotations) => ({
+  id,
+  type: "sticky_note",
+  content: `<p>Item ${id}</p>`,
+  createdBy: "u1",
+  x: 0,
+  y: 0,
+  width: 100,
+  height: 100,
+  getMetadata: async (key) =>
+    key === APP_ID && annotations ? { annotate: annotations } : undefined,
+});
+
+beforeEach(() => {
+  appData = {};
+  widgets = {};
+  handlers = {};
+  globalThis.miro = {
+    board: {
+      getAppData: async (key) => (key ? appData[key] : { ...appData }),
+      setAppData: async (key, value) => {
+        appData[key] = value;
+      },
+      get: async ({ id }) => id.map((itemId) => items[itemId]),
+      getById: async (id) => widgets[id] || items[id],
+      createText: async ({ content }) => {
+        const widget = {
+          id: `badge-${++widgetCount}`,
+          content,
+          sync: async () => {},
+        };
+        widgets[widget.id] = widget;
+        return widget;
+      },
+      remove: async ({ id }) => {
+        delete widgets[id];
+      },
+      ui: {
+        on: (event, handler) => {
+          handlers[event] = handler;
+        },
+      },
+    },
+  };
+});
+
+const items = {
+  legacy: createItem("legacy", { content: "Written before sections" }),
+  newer: createItem("newer", { schemaVersion: "99.0.0", notes: {} }),
+};
+
+describe("indicators", () => {
+  it("counts notes of payloads saved by older versions", async () => {
+    appData["annotate-items"] = ["legacy"];
+    await setIndicatorsEnabled(true);
+    expect(Object.values(widgets).map((w) => w.content)).toEqual(["📝 1"]);
+  });
+
+  it("leaves badges of payloads saved by newer versions alone", async () => {
+    appData["annotate-items"] = ["newer"];
+    appData["annotate-indicators"] = { newer: "badge-kept" };
+    widgets["badge-kept"] = { id: "badge-kept", content: "📝 3" };
+    await setIndicatorsEnabled(true);
+    expect(Object.keys(widgets)).toEqual(["badge-kept"]);
+  });
+
+  it("keeps a single badge when two panels add one at once", async () => {
+    const withLatency =
+      (call) =>
+      async (...args) => {
+        await sleep(5);
+        return call(...args);
+      };
+    ["getAppData", "setAppData", "createText", "remove"].forEach((name) => {
+      miro.board[name] = withLatency(miro.board[name]);
+    });
+    vi.resetModules();
+    const otherPanel = await import("./indicator.js");
+
+    await Promise.all([
+      createIndicator(items.legacy, 1),
+      otherPanel.createIndicator(items.legacy, 1),
+    ]);
+    expect(Object.keys(widgets)).toEqual([
+      appData["annotate-indicators"].legacy,
+    ]);
+  });
+
+  it("logs failures in board event handlers instead of rejecting", async () => {
+    const error = vi.spyOn(console, "error").mockImplementation(() => {});
+    await initIndicators();
+    appData["annotate-indicators"] = { legacy: "badge-x" };
+    miro.board.setAppData = async () => {
+      throw new Error("Network error");
+    };
+
+    await expect(
+      handlers["items:delete"]({ items: [{ id: "legacy" }] })
+    ).resolves.toBeUndefined();
+    await expect(
+      handlers["experimental:items:update"]({ items: [items.legacy] })
+    ).resolves.toBeUndefined();
+    expect(error).toHaveBeenCalledWith(
+      "[Annotate] Error cleaning up deleted items:",
+      expect.any(Error)
+    );
+    error.mockRestore();
+  });
+});
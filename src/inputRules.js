@@ -0,0 +1,211 @@
+// Markdown-style input rules and keyboard shortcuts for RichTextEditor
+//
+// Block rules fire when a marker followed by a space is typed at the start
+// of a line ("# ", "- ", "1. ", ...). Inline rules fire when the closing
+// delimiter of `code` or **bold** is typed. Typing "@" starts a mention.
+
+// Markers typed at the start of a line, converted on the following space
+export const BLOCK_RULES = [
+  { marker: "#", label: "Heading", command: "formatBlock", value: "h4" },
+  { marker: "-", label: "Bulleted list", command: "insertUnorderedList" },
+  { marker: "*", label: "Bulleted list", command: "insertUnorderedList" },
+  { marker: "1.", label: "Numbered list", command: "insertOrderedList" },
+  { marker: "[]", label: "Checkbox", command: "insertCheckbox" },
+];
+
+// Inline patterns matched against the text just before the caret
+export const INLINE_RULES = [
+  {
+    example: "`code`",
+    label: "Inline code",
+    pattern: /`([^`]+)`$/,
+    tag: "code",
+  },
+  {
+    example: "**bold**",
+    label: "Bold",
+    pattern: /\*\*([^*]+)\*\*$/,
+    tag: "b",
+  },
+];
+
+// Keyboard shortcuts ("Mod" is Ctrl, or Cmd on macOS)
+export const SHORTCUTS = [
+  { keys: "Mod+B", label: "Bold", command: "bold", code: "KeyB" },
+  { keys: "Mod+I", label: "Italic", command: "italic", code: "KeyI" },
+  { keys: "Mod+U", label: "Underline", command: "underline", code: "KeyU" },
+  { keys: "Mod+K", label: "Link", command: "createLink", code: "KeyK" },
+  {
+    keys: "Mod+Shift+7",
+    label: "Numbered list",
+    command: "insertOrderedList",
+    code: "Digit7",
+    shift: true,
+  },
+  {
+    keys: "Mod+Shift+8",
+    label: "Bulleted list",
+    command: "insertUnorderedList",
+    code: "Digit8",
+    shift: true,
+  },
+  {
+    keys: "Mod+Shift+V",
+    label: "Paste as plain text",
+    command: "pastePlainText",
+    code: "KeyV",
+    shift: true,
+  },
+  {
+    keys: "Mod+/",
+    label: "Show shortcuts",
+    command: "showShortcuts",
+    code: "Slash",
+  },
+];
+
+export const IS_MAC =
+  typeof navigator !== "undefined" &&
+  /Mac|iP(hone|ad)/.test(navigator.platform);
+
+// Shortcut keys as shown to the user on this platform
+export const formatShortcutKeys = (keys) =>
+  keys.replace("Mod", IS_MAC ? "⌘" : "Ctrl");
+
+// Shortcut matching a keydown event, or null.
+// Uses `code` so Shift+7 matches on every keyboard layout.
+export const matchShortcut = (event) => {
+  if (!(IS_MAC ? event.metaKey : event.ctrlKey) || event.altKey) return null;
+  return (
+    SHORTCUTS.find(
+      (shortcut) =>
+        shortcut.code === event.code &&
+        Boolean(shortcut.shift) === event.shiftKey
+    ) || null
+  );
+};
+
+const BLOCK_TAGS = new Set(["P", "DIV", "LI", "H4", "BLOCKQUOTE", "PRE"]);
+
+// Nearest block element holding the caret, up to the editor itself
+const getCaretBlock = (editor, node) => {
+  let current = node;
+  while (current && current !== editor) {
+    if (
+      current.nodeType === Node.ELEMENT_NODE &&
+      BLOCK_TAGS.has(current.tagName)
+    ) {
+      return current;
+    }
+    current = current.parentNode;
+  }
+  return editor;
+};
+
+// Range from the start of the caret's line to the caret, or null when the
+// selection is not a collapsed caret inside the editor
+const getLineRange = (editor) => {
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0 || !selection.isCollapsed) {
+    return null;
+  }
+  const caret = selection.getRangeAt(0);
+  if (!editor.contains(caret.startContainer)) return null;
+
+  const block = getCaretBlock(editor, caret.startContainer);
+  const range = document.createRange();
+  range.selectNodeContents(block);
+  range.setEnd(caret.startContainer, caret.startOffset);
+
+  // Lines separated by <br> share a block: start after the last one
+  const lineBreaks = [...block.querySelectorAll("br")].filter((br) =>
+    range.intersectsNode(br)
+  );
+  if (lineBreaks.length > 0) {
+    range.setStartAfter(lineBreaks[lineBreaks.length - 1]);
+  }
+  return range;
+};
+
+// Apply a block rule when space is typed after a line-start marker.
+// Returns the rule applied, or null (the space is then typed as usual).
+export const applyBlockRule = (editor, runCommand) => {
+  const range = getLineRange(editor);
+  if (!range) return null;
+
+  const rule = BLOCK_RULES.find((r) => r.marker === range.toString());
+  if (!rule) return null;
+
+  // Remove the marker, then format the now-empty line
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+  document.execCommand("delete", false);
+  runCommand(rule.command, rule.value);
+  return rule;
+};
+
+// Apply an inline rule after its closing delimiter was typed.
+// Returns the rule applied, or null.
+export const applyInlineRule = (editor) => {
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0 || !selection.isCollapsed) {
+    return null;
+  }
+  const { startContainer: node, startOffset: offset } = selection.getRangeAt(0);
+  if (node.nodeType !== Node.TEXT_NODE || !editor.contains(node)) return null;
+
+  // Never nest formatting inside code
+  if (node.parentElement?.closest("code, pre")) return null;
+
+  const before = node.nodeValue.slice(0, offset);
+  for (const rule of INLINE_RULES) {
+    const match = before.match(rule.pattern);
+    if (!match) continue;
+
+    const range = document.createRange();
+    range.setStart(node, offset - match[0].length);
+    range.setEnd(node, offset);
+    range.deleteContents();
+
+    const element = document.createElement(rule.tag);
+    element.textContent = match[1];
+    range.insertNode(element);
+
+    // Continue typing after the formatted text, outside of it
+    const after = document.createTextNode("");
+    element.after(after);
+    const caret = document.createRange();
+    caret.setStart(after, 0);
+    selection.removeAllRanges();
+    selection.addRange(caret);
+    return rule;
+  }
+  return null;
+};
+
+// "@" at the start of a word, followed by the (possibly empty) query
+const MENTION_QUERY_PATTERN = /(^|\s)@([^\s@]{0,40})$/;
+
+// The @-query being typed before the caret as { query, range }, where
+// `range` covers "@query", or null when no mention is being typed
+export const getMentionQuery = (editor) => {
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0 || !selection.isCollapsed) {
+    return null;
+  }
+  const { startContainer: node, startOffset: offset } = selection.getRangeAt(0);
+  if (node.nodeType !== Node.TEXT_NODE || !editor.contains(node)) return null;
+  if (node.parentElement?.closest("code, pre, [data-user-id]")) return null;
+
+  const match = node.nodeValue
+    .slice(0, offset)
+    .replace(/\u00A0/g, " ")
+    .match(MENTION_QUERY_PATTERN);
+  if (!match) return null;
+
+  const range = document.createRange();
+  range.setStart(node, offset - match[2].length - 1);
+  range.setEnd(node, offset);
+  return { query: match[2], range };
+};
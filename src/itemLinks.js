@@ -0,0 +1,107 @@
+// Links from notes to other board items
+//
+// Item links are document spans holding the target's item id (see
+// document.js). The editor shows them as chips with the item's current
+// name; chips whose item was deleted are flagged instead.
+
+import { ANNOTATABLE_ITEM_TYPES } from "./config.js";
+import { getItemTitle, isIndicatorWidget } from "./boardIndex.js";
+
+// Longest item name shown on a chip
+const MAX_CHIP_TITLE_LENGTH = 40;
+
+// How long "Pick on board" waits for a selection
+const PICK_TIMEOUT_MS = 30 * 1000;
+
+// Ends the pick in progress, if any
+let finishPick = null;
+
+export const getItemLinkTitle = (item) => {
+  const title = getItemTitle(item);
+  return title.length > MAX_CHIP_TITLE_LENGTH
+    ? `${title.slice(0, MAX_CHIP_TITLE_LENGTH - 1)}…`
+    : title;
+};
+
+// Board item for an id, or null when it no longer exists
+const getLinkedItem = async (itemId) => {
+  try {
+    return (await miro.board.getById(itemId)) || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Items that can be linked to, as [{ item, title }]
+export async function loadLinkableItems() {
+  const items = (await miro.board.get({ type: ANNOTATABLE_ITEM_TYPES })).filter(
+    (item) => !isIndicatorWidget(item)
+  );
+  return items.map((item) => ({ item, title: getItemLinkTitle(item) }));
+}
+
+// Show current names on the item-link chips inside `root`, and flag links
+// to deleted items
+export async function refreshItemLinks(root) {
+  const chips = [...root.querySelectorAll("[data-item-id]")];
+  const ids = [...new Set(chips.map((chip) => chip.dataset.itemId))];
+  const items = new Map(
+    await Promise.all(ids.map(async (id) => [id, await getLinkedItem(id)]))
+  );
+
+  chips.forEach((chip) => {
+    const item = items.get(chip.dataset.itemId);
+    chip.classList.toggle("note-item-link-missing", !item);
+    chip.title = item
+      ? "Select and zoom to this item"
+      : "The linked item was deleted";
+    if (item) {
+      const title = getItemLinkTitle(item);
+      if (chip.textContent !== title) chip.textContent = title;
+    }
+  });
+}
+
+// Select a linked item and zoom the viewport to it
+export async function openItemLink(itemId) {
+  const item = await getLinkedItem(itemId);
+  if (!item) {
+    miro.board.notifications.showError("The linked item was deleted");
+    return;
+  }
+  try {
+    await miro.board.deselect();
+    await miro.board.select({ id: item.id });
+    await miro.board.viewport.zoomTo(item);
+  } catch (error) {
+    console.error("[Annotate] Error opening item link:", error);
+    miro.board.notifications.showError("Could not go to the linked item");
+  }
+}
+
+// True while "Pick on board" waits for a selection; the panel should not
+// follow the selection meanwhile
+export const isPickingItem = () => finishPick !== null;
+
+// Wait for the user to select a single board item.
+// Resolves with the item, or null when cancelled or timed out.
+export function pickItemOnBoard() {
+  cancelItemPick();
+  return new Promise((resolve) => {
+    const handleSelection = ({ items }) => {
+      if ((items || []).length === 1) finish(items[0]);
+    };
+    const timer = setTimeout(() => finish(null), PICK_TIMEOUT_MS);
+    const finish = (item) => {
+      clearTimeout(timer);
+      miro.board.ui.off("selection:update", handleSelection);
+      finishPick = null;
+      resolve(item);
+    };
+
+    finishPick = finish;
+    miro.board.ui.on("selection:update", handleSelection);
+  });
+}
+
+export const cancelItemPick = () => finishPick?.(null);
@@ -0,0 +1,427 @@
+// Markdown export and import for an item's sections and notes
+//
+// Document layout: "# Item name", then "## Section" per section and
+// "### Note heading" per note, followed by the note body in Markdown.
+
+import {
+  createSection,
+  createNote,
+  sortSections,
+  sortNotes,
+} from "./models.js";
+import { isSafeUrl } from "./sanitize.js";
+import { docToHtml, htmlToDoc } from "./document.js";
+
+// ---------------------------------------------------------------------------
+// HTML -> Markdown
+
+// Escape characters that would otherwise be read as Markdown syntax
+const escapeMarkdown = (text) => text.replace(/([\\`*_~[\]<])/g, "\\$1");
+
+// Escape what would start a heading, quote or list at the start of a line
+const escapeBlockStart = (line) =>
+  line
+    .replace(/^([#>])/, "\\$1")
+    .replace(/^([-+])(?=\s)/, "\\$1")
+    .replace(/^(\d+)([.)])(?=\s)/, "$1\\$2");
+
+// Escape what would end an inline link's target early (spaces cannot be
+// escaped, so they are percent-encoded)
+const escapeHref = (href) =>
+  href.replace(/([\\)])/g, "\\$1").replace(/\s/g, encodeURIComponent);
+
+// Wrap inline content in a marker, keeping surrounding whitespace outside
+const wrapInline = (content, marker, closingMarker = marker) => {
+  const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!match[2]) return content;
+  return `${match[1]}${marker}${match[2]}${closingMarker}${match[3]}`;
+};
+
+const inlineToMarkdown = (node) => {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return escapeMarkdown(node.textContent.replace(/\s+/g, " "));
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) return "";
+
+  const tag = node.tagName.toLowerCase();
+  const content = Array.from(node.childNodes).map(inlineToMarkdown).join("");
+
+  switch (tag) {
+    case "b":
+    case "strong":
+      return wrapInline(content, "**");
+    case "i":
+    case "em":
+      return wrapInline(content, "*");
+    case "u":
+      return wrapInline(content, "<u>", "</u>");
+    case "s":
+    case "strike":
+    case "del":
+      return wrapInline(content, "~~");
+    case "code":
+      return `\`${node.textContent}\``;
+    case "a": {
+      const href = node.getAttribute("href");
+      return href ? `[${content}](${escapeHref(href)})` : content;
+    }
+    case "input":
+      if (node.getAttribute("type") === "checkbox") {
+        return node.hasAttribute("checked") || node.checked ? "[x] " : "[ ] ";
+      }
+      return "";
+    case "br":
+      return "\n";
+    default:
+      return content;
+  }
+};
+
+const BLOCK_TAGS = new Set([
+  "div",
+  "p",
+  "ul",
+  "ol",
+  "li",
+  "pre",
+  "blockquote",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+]);
+
+// Append finished inline text as lines; a leading checkbox becomes a task item
+const pushLines = (lines, text, prefix = "") => {
+  text.split("\n").forEach((line, index) => {
+    const trimmed = line.trim().replace(/^\[( |x)\]\s+/, "[$1] ");
+    if (!trimmed) return;
+    const linePrefix = index === 0 ? prefix : " ".repeat(prefix.length);
+    const isTask = /^\[( |x)\] /.test(trimmed) && !prefix;
+    const content = isTask ? `- ${trimmed}` : escapeBlockStart(trimmed);
+    lines.push(`${linePrefix}${content}`);
+  });
+};
+
+const blockToLines = (node, lines, indent = "") => {
+  let buffer = "";
+  const flush = () => {
+    pushLines(lines, buffer, indent);
+    buffer = "";
+  };
+
+  Array.from(node.childNodes).forEach((child) => {
+    const tag =
+      child.nodeType === Node.ELEMENT_NODE ? child.tagName.toLowerCase() : null;
+
+    if (!tag || !BLOCK_TAGS.has(tag)) {
+      buffer += inlineToMarkdown(child);
+      return;
+    }
+
+    flush();
+    if (tag === "ul" || tag === "ol") {
+      Array.from(child.children).forEach((li, index) => {
+        const marker = tag === "ol" ? `${index + 1}. ` : "- ";
+        const nested = Array.from(li.children).filter((el) =>
+          ["ul", "ol"].includes(el.tagName.toLowerCase())
+        );
+        const inline = Array.from(li.childNodes)
+          .filter((el) => !nested.includes(el))
+          .map(inlineToMarkdown)
+          .join("")
+          .trim();
+        lines.push(`${indent}${marker}${inline}`);
+        nested.forEach((list) => {
+          const wrapper = li.ownerDocument.createElement("div");
+          wrapper.appendChild(list.cloneNode(true));
+          blockToLines(wrapper, lines, `${indent}  `);
+        });
+      });
+    } else if (/^h[1-6]$/.test(tag)) {
+      // Levels 1-3 are taken by the item, sections and notes
+      lines.push(`#### ${inlineToMarkdown(child).trim()}`);
+    } else if (tag === "pre") {
+      lines.push(
+        "```",
+        ...child.textContent.replace(/\n$/, "").split("\n"),
+        "```"
+      );
+    } else if (tag === "blockquote") {
+      const quoted = [];
+      blockToLines(child, quoted);
+      quoted.forEach((line) => lines.push(`> ${line}`));
+    } else {
+      blockToLines(child, lines, indent);
+    }
+  });
+
+  flush();
+};
+
+// Convert a note body (editor HTML) to Markdown
+export const htmlToMarkdown = (html) => {
+  if (!html) return "";
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  const lines = [];
+  blockToLines(doc.body, lines);
+  return lines.join("\n");
+};
+
+// ---------------------------------------------------------------------------
+// Markdown -> HTML
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Convert inline Markdown (bold, italic, strike, code, links) to HTML
+export const inlineMarkdownToHtml = (text) => {
+  const tokens = [];
+  const protect = (html) => {
+    tokens.push(html);
+    return `\u0000${tokens.length - 1}\u0000`;
+  };
+
+  // Escapes and code spans in one pass, so an escaped backtick never opens
+  // a code span
+  let html = text.replace(
+    /\\([\\`*_~[\]<>#+\-.)])|`([^`]+)`/g,
+    (_, char, code) =>
+      protect(
+        char !== undefined
+          ? escapeHtml(char)
+          : `<code>${escapeHtml(code)}</code>`
+      )
+  );
+
+  html = escapeHtml(html)
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) =>
+      isSafeUrl(href) ? `<a href="${href}">${label}</a>` : label
+    )
+    .replace(/\*\*(.+?)\*\*/g, "<b>$1</b>")
+    .replace(/__(.+?)__/g, "<b>$1</b>")
+    .replace(/\*(.+?)\*/g, "<i>$1</i>")
+    .replace(/(^|\W)_(.+?)_(?=\W|$)/g, "$1<i>$2</i>")
+    .replace(/~~(.+?)~~/g, "<strike>$1</strike>")
+    .replace(/&lt;u&gt;(.+?)&lt;\/u&gt;/g, "<u>$1</u>");
+
+  return html.replace(/\u0000(\d+)\u0000/g, (_, index) => tokens[index]);
+};
+
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TASK_PATTERN = /^\[( |x|X)\]\s+(.*)$/;
+
+// Convert a note body in Markdown to editor HTML
+export const markdownToHtml = (markdown) => {
+  const lines = (markdown || "").replace(/\r\n?/g, "\n").split("\n");
+  const html = [];
+  // Open lists, innermost last: { tag, indent }
+  const listStack = [];
+  let codeLines = null;
+
+  const closeList = () => {
+    while (listStack.length > 0) {
+      html.push(`</li></${listStack.pop().tag}>`);
+    }
+  };
+
+  const pushListItem = (tag, indent, content) => {
+    while (
+      listStack.length > 0 &&
+      listStack[listStack.length - 1].indent > indent
+    ) {
+      html.push(`</li></${listStack.pop().tag}>`);
+    }
+
+    const current = listStack[listStack.length - 1];
+    if (current && current.indent === indent && current.tag !== tag) {
+      html.push(`</li></${listStack.pop().tag}>`);
+    } else if (current && current.indent === indent) {
+      html.push("</li>");
+    }
+
+    const parent = listStack[listStack.length - 1];
+    if (!parent || parent.indent < indent) {
+      html.push(`<${tag}>`);
+      listStack.push({ tag, indent });
+    }
+    html.push(`<li>${content}`);
+  };
+
+  lines.forEach((line) => {
+    if (codeLines) {
+      if (line.trim().startsWith("```")) {
+        html.push(`<pre>${escapeHtml(codeLines.join("\n"))}</pre>`);
+        codeLines = null;
+      } else {
+        codeLines.push(line);
+      }
+      return;
+    }
+
+    if (line.trim().startsWith("```")) {
+      closeList();
+      codeLines = [];
+      return;
+    }
+
+    if (!line.trim()) {
+      closeList();
+      return;
+    }
+
+    const listMatch = line.match(LIST_ITEM_PATTERN);
+    if (listMatch) {
+      const taskMatch = listMatch[3].match(TASK_PATTERN);
+      if (taskMatch) {
+        closeList();
+        const checked = taskMatch[1].toLowerCase() === "x" ? " checked" : "";
+        html.push(
+          `<div><input type="checkbox"${checked}> ${inlineMarkdownToHtml(
+            taskMatch[2]
+          )}</div>`
+        );
+        return;
+      }
+
+      pushListItem(
+        /^\d/.test(listMatch[2]) ? "ol" : "ul",
+        Math.floor(listMatch[1].length / 2),
+        inlineMarkdownToHtml(listMatch[3])
+      );
+      return;
+    }
+
+    closeList();
+    const headingMatch = line.match(/^(#{1,6})\s+(.*)$/);
+    if (headingMatch) {
+      html.push(`<h4>${inlineMarkdownToHtml(headingMatch[2])}</h4>`);
+    } else if (line.startsWith(">")) {
+      html.push(
+        `<blockquote>${inlineMarkdownToHtml(
+          line.replace(/^>\s?/, "")
+        )}</blockquote>`
+      );
+    } else {
+      html.push(`<div>${inlineMarkdownToHtml(line.trim())}</div>`);
+    }
+  });
+
+  closeList();
+  if (codeLines) {
+    html.push(`<pre>${escapeHtml(codeLines.join("\n"))}</pre>`);
+  }
+  return html.join("");
+};
+
+// ---------------------------------------------------------------------------
+// Document export / import
+
+// Export an item's sections and notes as one Markdown document
+export const exportSectionsToMarkdown = (sections, itemName) => {
+  const parts = [`# ${itemName || "Untitled"}`];
+
+  sortSections(sections || []).forEach((section) => {
+    parts.push(`## ${section.name}`);
+    sortNotes(section.notes || []).forEach((note) => {
+      parts.push(`### ${note.heading || "Untitled"}`);
+      const body = htmlToMarkdown(docToHtml(note.body));
+      if (body) parts.push(body);
+    });
+  });
+
+  return `${parts.join("\n\n")}\n`;
+};
+
+// Import a Markdown document into existing sections.
+// Sections with a matching name receive the imported notes; others are created.
+// `context` is { itemId, itemName, itemType, authorId }.
+export const importSectionsFromMarkdown = (markdown, sections, context) => {
+  const imported = [];
+  let currentSection = null;
+  let currentNote = null;
+  let inCode = false;
+
+  const finishNote = () => {
+    if (currentNote) {
+      currentNote.body = htmlToDoc(
+        markdownToHtml(currentNote.lines.join("\n"))
+      );
+      delete currentNote.lines;
+      currentNote = null;
+    }
+  };
+
+  const startSection = (name) => {
+    finishNote();
+    currentSection = { name: name || "New Section", notes: [] };
+    imported.push(currentSection);
+  };
+
+  (markdown || "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .forEach((line) => {
+      if (line.trim().startsWith("```")) inCode = !inCode;
+      const headingMatch = !inCode && line.match(/^(#{1,3})\s+(.*)$/);
+
+      if (headingMatch && headingMatch[1].length === 1) {
+        return; // Document title
+      }
+      if (headingMatch && headingMatch[1].length === 2) {
+        startSection(headingMatch[2].trim());
+        return;
+      }
+      if (headingMatch && headingMatch[1].length === 3) {
+        finishNote();
+        if (!currentSection) startSection("General");
+        currentNote = { heading: headingMatch[2].trim(), lines: [] };
+        currentSection.notes.push(currentNote);
+        return;
+      }
+      if (currentNote) {
+        currentNote.lines.push(line);
+      }
+    });
+  finishNote();
+
+  const updatedSections = [...(sections || [])];
+  imported.forEach((importedSection) => {
+    let target = updatedSections.find((s) => s.name === importedSection.name);
+    if (!target) {
+      target = createSection(importedSection.name, updatedSections.length);
+      updatedSections.push(target);
+    } else {
+      target = { ...target, notes: [...(target.notes || [])] };
+      updatedSections[updatedSections.findIndex((s) => s.id === target.id)] =
+        target;
+    }
+
+    importedSection.notes.forEach((note) => {
+      target.notes.push(
+        createNote(
+          context.itemId,
+          context.itemName,
+          context.itemType,
+          target.id,
+          note.heading,
+          note.body,
+          context.authorId,
+          target.notes.length
+        )
+      );
+    });
+  });
+
+  return {
+    sections: updatedSections,
+    sectionsCount: imported.length,
+    notesCount: imported.reduce((sum, s) => sum + s.notes.length, 0),
+  };
+};
@@ -0,0 +1,121 @@
+import { describe, expect, it } from "vitest";
+
+import {
+  exportSectionsToMarkdown,
+  importSectionsFromMarkdown,
+} from "./markdown.js";
+
+const context = {
+  itemId: "i1",
+  itemName: "Item",
+  itemType: "sticky_note",
+  authorId: "u1",
+};
+
+const createSections = (...bodies) => [
+  {
+    id: "s1",
+    name: "General",
+    order: 0,
+    notes: bodies.map((body, index) => ({
+      id: `n${index}`,
+      heading: `Note ${index}`,
+      body,
+      order: index,
+    })),
+  },
+];
+
+// Export, then import into an empty item: [{ name, notes: [{ heading, body }] }]
+const roundTrip = (sections) => {
+  const markdown = exportSectionsToMarkdown(sections, "Item");
+  return importSectionsFromMarkdown(markdown, [], context).sections.map(
+    (section) => ({
+      name: section.name,
+      notes: section.notes.map(({ heading, body }) => ({ heading, body })),
+    })
+  );
+};
+
+const expectRoundTrip = (...bodies) => {
+  const sections = createSections(...bodies);
+  expect(roundTrip(sections)).toEqual(
+    sections.map((section) => ({
+      name: section.name,
+      notes: section.notes.map(({ heading, body }) => ({ heading, body })),
+    }))
+  );
+};
+
+describe("Markdown round trip", () => {
+  it("keeps text that looks like Markdown block syntax", () => {
+    expectRoundTrip([
+      "## not a section",
+      "- not a list",
+      "1. nope",
+      "2) nope either",
+      "> no quote",
+      "+ plus",
+      "# hash",
+      "### not a note",
+      "```",
+    ]);
+  });
+
+  it("keeps inline syntax as text", () => {
+    expectRoundTrip(["*stars* _underscores_ `ticks` [brackets] <tags> \\"]);
+  });
+
+  it("keeps formatting, lists, checklists, quotes and code", () => {
+    expectRoundTrip([
+      ["p", [["bold", "b"], " and ", ["italic", "i"]]],
+      ["ul", "first"],
+      ["ul", "- nested text", 1],
+      ["ol", "one"],
+      ["ol", "two"],
+      ["todo", "done", 1],
+      ["todo", "# open"],
+      ["q", "quoted"],
+      ["pre", "code\n  # indented"],
+    ]);
+  });
+
+  it("keeps links whose targets contain parentheses", () => {
+    expectRoundTrip([
+      [
+        "p",
+        [
+          ["Wiki", "", "https://en.wikipedia.org/wiki/Foo_(bar)"],
+          " and ",
+          ["escaped", "", "https://example.com/a\\)b"],
+        ],
+      ],
+    ]);
+  });
+
+  it("percent-encodes spaces in link targets", () => {
+    const [section] = roundTrip(
+      createSections([["p", [["spaced", "", "https://example.com/a b"]]]])
+    );
+    expect(section.notes[0].body).toEqual([
+      ["p", [["spaced", "", "https://example.com/a%20b"]]],
+    ]);
+  });
+
+  it("keeps several notes and sections apart", () => {
+    const sections = [
+      ...createSections(["first"], ["second"]),
+      {
+        id: "s2",
+        name: "Other",
+        order: 1,
+        notes: [{ id: "n9", heading: "Last", body: ["- still text"] }],
+      },
+    ];
+    expect(roundTrip(sections).map((section) => section.name)).toEqual([
+      "General",
+      "Other",
+    ]);
+    expect(roundTrip(sections)[1].notes[0].body).toEqual(["- still text"]);
+  });
+});
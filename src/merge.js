@@ -0,0 +1,181 @@
+// Three-way merge of section trees for concurrent edits
+//
+// `base` is the tree the panel last loaded or saved, `local` the panel's
+// version and `remote` what is stored on the item now. Changes made on only
+// one side are kept; a note changed differently on both sides is a conflict.
+
+import { generateId } from "./models.js";
+
+// Fields that do not count as content changes
+const IGNORED_NOTE_FIELDS = ["order", "updatedAt", "updatedBy", "history"];
+
+// Comparable signature of a note's content (null when deleted)
+const noteSignature = (note) => {
+  if (!note) return "null";
+  return JSON.stringify(
+    Object.keys(note)
+      .filter((key) => !IGNORED_NOTE_FIELDS.includes(key))
+      .sort()
+      .map((key) => [key, note[key]])
+  );
+};
+
+const sectionSignature = (section) => (section ? section.name : "null");
+
+// Pick the order that moved, preferring the local one
+const pickOrder = (base, local, remote) =>
+  local && (!base || local.order !== base.order) ? local.order : remote.order;
+
+// Map of note id -> note across all sections
+const indexNotes = (sections) => {
+  const notes = new Map();
+  (sections || []).forEach((section) =>
+    (section.notes || []).forEach((note) =>
+      notes.set(note.id, { ...note, sectionId: section.id })
+    )
+  );
+  return notes;
+};
+
+const indexSections = (sections) =>
+  new Map((sections || []).map((section) => [section.id, section]));
+
+// Resolve one entity three ways. Returns { value } or { conflict: true }.
+const mergeEntity = (base, local, remote, signature) => {
+  const localChanged = signature(base) !== signature(local);
+  const remoteChanged = signature(base) !== signature(remote);
+
+  if (localChanged && remoteChanged && signature(local) !== signature(remote)) {
+    return { conflict: true };
+  }
+
+  const value = localChanged || !remoteChanged ? local : remote;
+  if (value && local && remote) {
+    return { value: { ...value, order: pickOrder(base, local, remote) } };
+  }
+  return { value };
+};
+
+// Rebuild a section tree from sections and a flat list of notes.
+// Orders are renumbered; notes without a section go to the first one.
+export const buildSectionTree = (sections, notes) => {
+  const ordered = [...sections].sort((a, b) => a.order - b.order);
+  if (ordered.length === 0 && notes.length > 0) {
+    ordered.push({
+      id: generateId(),
+      name: "General",
+      order: 0,
+      notes: [],
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+    });
+  }
+
+  const sectionIds = new Set(ordered.map((section) => section.id));
+  return ordered.map((section, sectionIndex) => ({
+    ...section,
+    order: sectionIndex,
+    notes: notes
+      .map((note) =>
+        sectionIds.has(note.sectionId)
+          ? note
+          : { ...note, sectionId: ordered[0].id }
+      )
+      .filter((note) => note.sectionId === section.id)
+      .sort((a, b) => a.order - b.order)
+      .map((note, noteIndex) => ({ ...note, order: noteIndex })),
+  }));
+};
+
+// Merge three versions of a section tree.
+// Returns { sections, conflicts }; conflicting notes keep the local version
+// in `sections` until resolved with applyResolutions.
+export const mergeSections = (base, local, remote) => {
+  const baseNotes = indexNotes(base);
+  const localNotes = indexNotes(local);
+  const remoteNotes = indexNotes(remote);
+
+  const notes = [];
+  const conflicts = [];
+  new Set([...localNotes.keys(), ...remoteNotes.keys()]).forEach((noteId) => {
+    const baseNote = baseNotes.get(noteId);
+    const localNote = localNotes.get(noteId);
+    const remoteNote = remoteNotes.get(noteId);
+    const result = mergeEntity(baseNote, localNote, remoteNote, noteSignature);
+
+    if (result.conflict) {
+      conflicts.push({
+        noteId,
+        base: baseNote || null,
+        local: localNote || null,
+        remote: remoteNote || null,
+      });
+      if (localNote) notes.push(localNote);
+    } else if (result.value) {
+      notes.push(result.value);
+    }
+  });
+
+  const baseSections = indexSections(base);
+  const localSections = indexSections(local);
+  const remoteSections = indexSections(remote);
+  const referenced = new Set(notes.map((note) => note.sectionId));
+
+  const sections = [];
+  new Set([...localSections.keys(), ...remoteSections.keys()]).forEach(
+    (sectionId) => {
+      const baseSection = baseSections.get(sectionId);
+      const localSection = localSections.get(sectionId);
+      const remoteSection = remoteSections.get(sectionId);
+      const result = mergeEntity(
+        baseSection,
+        localSection,
+        remoteSection,
+        sectionSignature
+      );
+
+      // Rename clashes keep the local name; sections still holding notes
+      // survive a delete on the other side
+      const value = result.conflict
+        ? localSection
+        : result.value ||
+          (referenced.has(sectionId) && (localSection || remoteSection));
+      if (value) sections.push(value);
+    }
+  );
+
+  return { sections: buildSectionTree(sections, notes), conflicts };
+};
+
+// Apply the user's choice for each conflict: "local", "remote" or "both".
+// `choices` maps note id -> choice.
+export const applyResolutions = (sections, conflicts, choices) => {
+  const notes = sections.flatMap((section) =>
+    (section.notes || []).map((note) => ({ ...note, sectionId: section.id }))
+  );
+  const conflictIds = new Set(conflicts.map((c) => c.noteId));
+  const resolved = notes.filter((note) => !conflictIds.has(note.id));
+
+  conflicts.forEach(({ noteId, local, remote }) => {
+    const choice = choices[noteId] || "local";
+    if (choice === "remote" || choice === "both") {
+      if (remote) resolved.push(remote);
+    }
+    if (choice === "local" && local) {
+      resolved.push(local);
+    }
+    if (choice === "both" && local) {
+      resolved.push({
+        ...local,
+        id: remote ? generateId() : local.id,
+        heading: remote ? `${local.heading} (my copy)` : local.heading,
+        order: (remote?.order ?? local.order) + 0.5,
+      });
+    }
+  });
+
+  return buildSectionTree(
+    sections.map(({ notes, ...section }) => section),
+    resolved
+  );
+};
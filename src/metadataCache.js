@@ -0,0 +1,33 @@
+// Bounded in-memory cache of item annotations for the panel
+//
+// Entries are { sections, syncedSections, permissions, revision, isNewer,
+// stamp }, where `stamp` identifies the stored version they were read from
+// (see getAnnotationsStamp) so they can be checked against the item before
+// being trusted. Once full, the least recently used entry is dropped.
+
+import { METADATA_CACHE_SIZE } from "./config.js";
+
+export function createMetadataCache(maxEntries = METADATA_CACHE_SIZE) {
+  // Map iteration order is insertion order: oldest first
+  const entries = new Map();
+
+  return {
+    has: (itemId) => entries.has(itemId),
+    get(itemId) {
+      if (!entries.has(itemId)) return undefined;
+      const entry = entries.get(itemId);
+      entries.delete(itemId);
+      entries.set(itemId, entry);
+      return entry;
+    },
+    set(itemId, entry) {
+      entries.delete(itemId);
+      entries.set(itemId, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete: (itemId) => entries.delete(itemId),
+    clear: () => entries.clear(),
+  };
+}
@@ -0,0 +1,141 @@
+// Schema migrations for stored annotations
+//
+// Payloads are upgraded on read, one registered step at a time, until they
+// reach SCHEMA_VERSION. Payloads from a newer version are never rewritten.
+
+import { SCHEMA_VERSION } from "./config.js";
+import { generateId } from "./models.js";
+import { normalizeSections } from "./document.js";
+
+// Version assumed for payloads written before schemaVersion existed
+export const LEGACY_SCHEMA_VERSION = "0.0.0";
+
+// Compare two "major.minor.patch" strings (-1, 0 or 1)
+export const compareVersions = (a, b) => {
+  const partsA = String(a).split(".").map(Number);
+  const partsB = String(b).split(".").map(Number);
+  for (let i = 0; i < 3; i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff > 0 ? 1 : -1;
+  }
+  return 0;
+};
+
+export const getSchemaVersion = (data) =>
+  data?.schemaVersion || LEGACY_SCHEMA_VERSION;
+
+// True when the payload was written by a newer version of the app
+export const isNewerSchema = (data) =>
+  compareVersions(getSchemaVersion(data), SCHEMA_VERSION) > 0;
+
+// Registered migration steps, keyed by the version they upgrade from.
+// `context` carries the item the payload belongs to
+// ({ itemId, itemName, itemType, createdBy }).
+// Steps write literal shapes instead of calling the model factories, so
+// they stay valid as the models evolve. The one exception is converting
+// note bodies to documents, which reuses normalizeSections.
+const migrations = [
+  {
+    // Legacy single-annotation shape: { content, updatedAt, authorId }
+    from: LEGACY_SCHEMA_VERSION,
+    to: "1.0.0",
+    migrate: (data, context) => {
+      // Payloads that already have sections only lacked the version stamp
+      if (Array.isArray(data.sections)) {
+        return data;
+      }
+
+      const now = Date.now();
+      const general = {
+        id: generateId(),
+        name: "General",
+        order: 0,
+        notes: [],
+        createdAt: now,
+        updatedAt: now,
+      };
+      const content = typeof data.content === "string" ? data.content : "";
+
+      if (content.trim()) {
+        const itemName = context.itemName || context.itemType || "Untitled";
+        general.notes.push({
+          id: generateId(),
+          heading: itemName,
+          body: content,
+          itemId: context.itemId,
+          itemName,
+          itemType: context.itemType,
+          sectionId: general.id,
+          order: 0,
+          createdAt: data.updatedAt || now,
+          updatedAt: data.updatedAt || now,
+          authorId: data.authorId || null,
+          tags: [],
+        });
+      }
+
+      return {
+        sections: [general],
+        updatedAt: data.updatedAt || Date.now(),
+        authorId: data.authorId || null,
+      };
+    },
+  },
+  {
+    // Permissions: the item's creator owns existing annotations, which
+    // stay open to everyone until the owner restricts them
+    from: "1.0.0",
+    to: "1.1.0",
+    migrate: (data, context) => ({
+      ...data,
+      permissions: data.permissions || {
+        ownerId: context.createdBy || data.authorId || null,
+        editors: [],
+        mode: "anyone",
+      },
+    }),
+  },
+  {
+    // Revision counter for optimistic concurrency
+    from: "1.1.0",
+    to: "1.2.0",
+    migrate: (data) => ({ ...data, revision: data.revision || 0 }),
+  },
+  {
+    // Note bodies (and their history) move from editor HTML to documents
+    from: "1.2.0",
+    to: "1.3.0",
+    migrate: (data) => ({
+      ...data,
+      sections: normalizeSections(data.sections),
+    }),
+  },
+];
+
+// Upgrade a stored payload to SCHEMA_VERSION.
+// Returns { data, fromVersion, migrated, isNewer }; newer payloads are returned untouched.
+export const migrateMetadata = (data, context = {}) => {
+  const fromVersion = getSchemaVersion(data);
+
+  if (isNewerSchema(data)) {
+    return { data, fromVersion, migrated: false, isNewer: true };
+  }
+
+  let current = data;
+  let version = fromVersion;
+  while (compareVersions(version, SCHEMA_VERSION) < 0) {
+    const step = migrations.find((m) => m.from === version);
+    if (!step) {
+      throw new Error(`No migration path from schema ${version}`);
+    }
+    current = { ...step.migrate(current, context), schemaVersion: step.to };
+    version = step.to;
+  }
+
+  return {
+    data: current,
+    fromVersion,
+    migrated: version !== fromVersion,
+    isNewer: false,
+  };
+};
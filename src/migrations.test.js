@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+
+import { SCHEMA_VERSION } from "./config.js";
+import { migrateMetadata } from "./migrations.js";
+
+const context = {
+  itemId: "i1",
+  itemName: "Sticky",
+  itemType: "sticky_note",
+  createdBy: "creator",
+};
+
+describe("migrateMetadata", () => {
+  it("upgrades a legacy single annotation to one note", () => {
+    const { data, fromVersion, migrated } = migrateMetadata(
+      { content: "<p>Hello</p>", updatedAt: 1000, authorId: "author" },
+      context
+    );
+    expect(fromVersion).toBe("0.0.0");
+    expect(migrated).toBe(true);
+    expect(data).toMatchObject({
+      schemaVersion: SCHEMA_VERSION,
+      authorId: "author",
+      revision: 0,
+      permissions: { ownerId: "creator", editors: [] },
+    });
+
+    const [section] = data.sections;
+    expect(section).toMatchObject({ name: "General", order: 0 });
+    expect(section.notes).toEqual([
+      {
+        id: expect.any(String),
+        heading: "Sticky",
+        body: ["Hello"],
+        itemId: "i1",
+        itemName: "Sticky",
+        itemType: "sticky_note",
+        sectionId: section.id,
+        order: 0,
+        createdAt: 1000,
+        updatedAt: 1000,
+        authorId: "author",
+        tags: [],
+      },
+    ]);
+  });
+
+  it("gives an empty legacy annotation no notes", () => {
+    const { data } = migrateMetadata({ content: "  " }, context);
+    expect(data.sections).toHaveLength(1);
+    expect(data.sections[0].notes).toEqual([]);
+  });
+
+  it("leaves payloads from newer versions untouched", () => {
+    const payload = { schemaVersion: "99.0.0", sections: 5 };
+    expect(migrateMetadata(payload, context)).toMatchObject({
+      data: payload,
+      isNewer: true,
+      migrated: false,
+    });
+  });
+});
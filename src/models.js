@@ -21,13 +21,14 @@ export const createNote = (
   itemType,
   sectionId,
   heading = "",
-  body = "",
+  body = [],
   authorId = null,
-  order = 0
+  order = 0,
+  tags = []
 ) => ({
   id: generateId(),
   heading: heading || itemName || itemType || "Untitled",
-  body: body || "",
+  body: body || [],
   itemId,
   itemName: itemName || itemType || "Untitled",
   itemType,
@@ -36,6 +37,7 @@ export const createNote = (
   createdAt: Date.now(),
   updatedAt: Date.now(),
   authorId,
+  tags,
 });
 
 // Metadata schema
@@ -0,0 +1,77 @@
+// Paste pipeline for RichTextEditor
+//
+// HTML from the clipboard is reduced to the formatting notes support,
+// Markdown in plain text is converted, and anything else is pasted as text.
+// Everything goes through the document model, so pasted markup is as
+// deterministic (and as safe) as typed markup.
+
+import { domToDoc, htmlToDoc, docToFragmentHtml } from "./document.js";
+import { markdownToHtml } from "./markdown.js";
+
+// Line-level Markdown: headings, lists, task items, quotes, code fences
+const MARKDOWN_BLOCK_PATTERN =
+  /^(\s{0,3}#{1,6}\s|\s*([-*+]|\d+[.)])\s+\S|\s*>\s?|\s*```)/m;
+
+// Inline Markdown: **bold**, `code`, [label](https://...), ~~strike~~
+const MARKDOWN_INLINE_PATTERN =
+  /(\*\*[^*\n]+\*\*|`[^`\n]+`|\[[^\]\n]+\]\((https?:|mailto:)[^)\s]+\)|~~[^~\n]+~~)/;
+
+export const looksLikeMarkdown = (text) =>
+  MARKDOWN_BLOCK_PATTERN.test(text) || MARKDOWN_INLINE_PATTERN.test(text);
+
+// Word processors express formatting with inline styles (Google Docs even
+// wraps whole documents in <b style="font-weight:normal">). Turn styles
+// into tags before reading the document model, which ignores styles.
+const convertInlineStyles = (root) => {
+  root.querySelectorAll("[style]").forEach((element) => {
+    const { fontWeight, fontStyle, textDecorationLine, textDecoration } =
+      element.style;
+    const decoration = `${textDecorationLine} ${textDecoration}`;
+    const weight = fontWeight === "bold" ? 700 : Number(fontWeight) || 0;
+
+    if (element.tagName === "B" && fontWeight && weight < 600) {
+      element.replaceWith(...element.childNodes);
+      return;
+    }
+
+    const wrappers = [];
+    if (weight >= 600 && element.tagName !== "B") wrappers.push("b");
+    if (fontStyle === "italic") wrappers.push("i");
+    if (decoration.includes("underline")) wrappers.push("u");
+    if (decoration.includes("line-through")) wrappers.push("s");
+
+    wrappers.forEach((tag) => {
+      const wrapper = root.ownerDocument.createElement(tag);
+      wrapper.append(...element.childNodes);
+      element.appendChild(wrapper);
+    });
+  });
+};
+
+// Clipboard HTML reduced to the supported formatting (parsed inertly)
+export const htmlToPasteHtml = (html) => {
+  const parsed = new DOMParser().parseFromString(html, "text/html");
+  convertInlineStyles(parsed.body);
+  return docToFragmentHtml(domToDoc(parsed.body));
+};
+
+export const markdownToPasteHtml = (markdown) =>
+  docToFragmentHtml(htmlToDoc(markdownToHtml(markdown)));
+
+// Decide how to paste clipboard contents.
+// Returns { html } to insert as markup or { text } to insert as plain text.
+export const preparePaste = (clipboardData, { plainText = false } = {}) => {
+  const text = clipboardData.getData("text/plain");
+  if (plainText) return { text };
+
+  const html = clipboardData.getData("text/html");
+  if (html) {
+    const pasteHtml = htmlToPasteHtml(html);
+    if (pasteHtml) return { html: pasteHtml };
+  }
+
+  if (text && looksLikeMarkdown(text)) {
+    return { html: markdownToPasteHtml(text) };
+  }
+  return { text };
+};
@@ -0,0 +1,57 @@
+// Permission model for an item's annotations
+//
+// Stored alongside the annotations as { ownerId, editors, mode }:
+// - "owner":   only the owner can edit
+// - "editors": the owner and everyone in `editors` ([{ id, name }])
+// - "anyone":  anyone on the board can edit
+
+import { DEFAULT_EDIT_MODE } from "./config.js";
+import { readAnnotations } from "./storage.js";
+import { isNewerSchema } from "./migrations.js";
+
+export const EDIT_MODES = [
+  { value: "owner", label: "Only me" },
+  { value: "editors", label: "Me and chosen editors" },
+  { value: "anyone", label: "Anyone on the board" },
+];
+
+export const createPermissions = (ownerId, mode = DEFAULT_EDIT_MODE) => ({
+  ownerId: ownerId || null,
+  editors: [],
+  mode,
+});
+
+// Permissions stored with the annotations, or the defaults for the item
+// (its creator owns it, anyone can edit until the owner restricts it)
+export const resolvePermissions = (permissions, item) =>
+  permissions || createPermissions(item?.createdBy);
+
+export const isOwner = (permissions, userId) =>
+  Boolean(userId && permissions && permissions.ownerId === userId);
+
+export const canEdit = (permissions, userId) => {
+  if (!userId || !permissions) return false;
+  if (permissions.mode === "anyone") return true;
+  if (isOwner(permissions, userId)) return true;
+  return (
+    permissions.mode === "editors" &&
+    (permissions.editors || []).some((editor) => editor.id === userId)
+  );
+};
+
+// Check whether the current user may edit an item's annotations
+export async function checkCanEditItem(item) {
+  if (!item) return false;
+  try {
+    const currentUserInfo = await miro.board.getUserInfo();
+    const storedData = await readAnnotations(item);
+    if (storedData && isNewerSchema(storedData)) return false;
+    return canEdit(
+      resolvePermissions(storedData?.permissions, item),
+      currentUserInfo.id
+    );
+  } catch (error) {
+    console.error("[Annotate] Error checking editor status:", error);
+    return false;
+  }
+}
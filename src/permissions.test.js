@@ -0,0 +1,42 @@
+import { describe, expect, it } from "vitest";
+
+import { migrateMetadata } from "./migrations.js";
+import {
+  canEdit,
+  createPermissions,
+  resolvePermissions,
+} from "./permissions.js";
+
+describe("permissions", () => {
+  const item = { id: "i1", createdBy: "creator" };
+
+  it("lets collaborators edit items without stored permissions", () => {
+    const permissions = resolvePermissions(undefined, item);
+    expect(permissions.ownerId).toBe("creator");
+    expect(canEdit(permissions, "creator")).toBe(true);
+    expect(canEdit(permissions, "someone-else")).toBe(true);
+  });
+
+  it("follows the owner's restrictions once stored", () => {
+    const permissions = resolvePermissions(
+      {
+        ...createPermissions("creator", "editors"),
+        editors: [{ id: "editor", name: "Editor" }],
+      },
+      item
+    );
+    expect(canEdit(permissions, "creator")).toBe(true);
+    expect(canEdit(permissions, "editor")).toBe(true);
+    expect(canEdit(permissions, "someone-else")).toBe(false);
+    expect(canEdit({ ...permissions, mode: "owner" }, "editor")).toBe(false);
+  });
+
+  it("lets collaborators edit notes written before permissions existed", () => {
+    const { data } = migrateMetadata(
+      { schemaVersion: "1.0.0", sections: [] },
+      { createdBy: "creator" }
+    );
+    expect(data.permissions.ownerId).toBe("creator");
+    expect(canEdit(data.permissions, "someone-else")).toBe(true);
+  });
+});
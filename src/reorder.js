@@ -0,0 +1,96 @@
+// Drag-and-drop reordering of sections and notes
+//
+// Drop positions are indices into the target list with the dragged entry
+// taken out, so pointer and keyboard drags share one model. Moves return
+// new sections with `order` renumbered in every list they touched, or the
+// same sections when nothing moved.
+
+import { sortNotes } from "./models.js";
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const renumber = (list) =>
+  list.map((entry, order) =>
+    entry.order === order ? entry : { ...entry, order }
+  );
+
+// Drop index for inserting before position `index` of a list of ids that
+// may still contain the dragged id
+export const toDropIndex = (ids, draggedId, index) => {
+  const from = ids.indexOf(draggedId);
+  return from !== -1 && index > from ? index - 1 : index;
+};
+
+// Move a section to drop index `toIndex`
+export const moveSectionTo = (sections, sectionId, toIndex) => {
+  const from = sections.findIndex((s) => s.id === sectionId);
+  if (from === -1) return sections;
+
+  const rest = sections.filter((s) => s.id !== sectionId);
+  const index = clamp(toIndex, 0, rest.length);
+  if (index === from) return sections;
+
+  return renumber([
+    ...rest.slice(0, index),
+    sections[from],
+    ...rest.slice(index),
+  ]);
+};
+
+// Move a note to drop index `toIndex` of a section (its own or another)
+export const moveNoteTo = (
+  sections,
+  noteId,
+  toSectionId,
+  toIndex,
+  now = Date.now()
+) => {
+  const fromSection = sections.find((s) =>
+    (s.notes || []).some((n) => n.id === noteId)
+  );
+  if (!fromSection || !sections.some((s) => s.id === toSectionId)) {
+    return sections;
+  }
+
+  const fromNotes = sortNotes(fromSection.notes);
+  const from = fromNotes.findIndex((n) => n.id === noteId);
+  const isSameSection = fromSection.id === toSectionId;
+  if (isSameSection && clamp(toIndex, 0, fromNotes.length - 1) === from) {
+    return sections;
+  }
+
+  const note = fromNotes[from];
+  const movedNote = isSameSection
+    ? note
+    : { ...note, sectionId: toSectionId, updatedAt: now };
+
+  return sections.map((section) => {
+    if (section.id !== fromSection.id && section.id !== toSectionId) {
+      return section;
+    }
+    const rest = sortNotes(section.notes || []).filter((n) => n.id !== noteId);
+    if (section.id !== toSectionId) {
+      return { ...section, notes: renumber(rest) };
+    }
+    const index = clamp(toIndex, 0, rest.length);
+    return {
+      ...section,
+      notes: renumber([
+        ...rest.slice(0, index),
+        movedNote,
+        ...rest.slice(index),
+      ]),
+    };
+  });
+};
+
+// Drop positions a keyboard drag of a note steps through, in list order:
+// every position of expanded sections and the end of collapsed ones
+export const getNoteDropSlots = (sections, noteId, isExpanded) =>
+  sections.flatMap((section) => {
+    const count = (section.notes || []).filter((n) => n.id !== noteId).length;
+    const indices = isExpanded(section.id)
+      ? Array.from({ length: count + 1 }, (_, index) => index)
+      : [count];
+    return indices.map((index) => ({ sectionId: section.id, index }));
+  });
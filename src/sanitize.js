@@ -0,0 +1,119 @@
+// Allowlist sanitizer for rich-text note bodies
+//
+// Notes stored before the document model (see document.js) hold HTML
+// written by any collaborator (or anything with access to the item's
+// metadata). It is cleaned before being converted, so only the formatting
+// the editor supports survives. Links anywhere must pass isSafeUrl.
+
+// Elements kept as-is (with their allowed attributes)
+const ALLOWED_TAGS = new Set([
+  "P",
+  "DIV",
+  "BR",
+  "B",
+  "STRONG",
+  "I",
+  "EM",
+  "U",
+  "S",
+  "STRIKE",
+  "DEL",
+  "CODE",
+  "PRE",
+  "H4",
+  "BLOCKQUOTE",
+  "UL",
+  "OL",
+  "LI",
+  "A",
+  "INPUT",
+]);
+
+// Elements dropped together with their content; anything else that is not
+// allowed is unwrapped and keeps its text
+const DROPPED_TAGS = new Set([
+  "SCRIPT",
+  "STYLE",
+  "IFRAME",
+  "FRAME",
+  "FRAMESET",
+  "OBJECT",
+  "EMBED",
+  "APPLET",
+  "TEMPLATE",
+  "NOSCRIPT",
+  "SVG",
+  "MATH",
+  "TEXTAREA",
+  "SELECT",
+  "BUTTON",
+  "HEAD",
+  "TITLE",
+  "META",
+  "LINK",
+  "BASE",
+]);
+
+// Link schemes allowed in note bodies
+const SAFE_LINK_PATTERN = /^(https?:|mailto:)/i;
+
+// True for absolute http(s) and mailto URLs. Control characters and
+// whitespace are ignored, as browsers do ("java\tscript:" is javascript:).
+export const isSafeUrl = (url) =>
+  SAFE_LINK_PATTERN.test(
+    String(url || "").replace(/[\u0000- \u007F-\u009F]/g, "")
+  );
+
+const cleanLink = (source, target) => {
+  const href = (source.getAttribute("href") || "").trim();
+  if (isSafeUrl(href)) {
+    target.setAttribute("href", href);
+    target.setAttribute("target", "_blank");
+    target.setAttribute("rel", "noopener noreferrer");
+  }
+};
+
+// Copy a node's allowed parts into `parent` of the output document
+const cleanNode = (node, parent, doc) => {
+  if (node.nodeType === Node.TEXT_NODE) {
+    parent.appendChild(doc.createTextNode(node.nodeValue));
+    return;
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+  const tagName = node.tagName.toUpperCase();
+  if (DROPPED_TAGS.has(tagName)) return;
+
+  if (!ALLOWED_TAGS.has(tagName)) {
+    node.childNodes.forEach((child) => cleanNode(child, parent, doc));
+    return;
+  }
+
+  // Checkboxes are the only inputs notes can hold
+  if (tagName === "INPUT") {
+    if ((node.getAttribute("type") || "").toLowerCase() !== "checkbox") return;
+    const checkbox = doc.createElement("input");
+    checkbox.setAttribute("type", "checkbox");
+    if (node.hasAttribute("checked")) checkbox.setAttribute("checked", "");
+    parent.appendChild(checkbox);
+    return;
+  }
+
+  const element = doc.createElement(tagName.toLowerCase());
+  if (tagName === "A") cleanLink(node, element);
+  node.childNodes.forEach((child) => cleanNode(child, element, doc));
+  parent.appendChild(element);
+};
+
+// Sanitize an HTML fragment, returning HTML with allowed markup only
+export const sanitizeHtml = (html) => {
+  if (!html) return "";
+
+  // Parsed documents are inert: no scripts run and no resources load
+  const source = new DOMParser().parseFromString(String(html), "text/html");
+  const output = document.implementation.createHTMLDocument("");
+  source.body.childNodes.forEach((child) =>
+    cleanNode(child, output.body, output)
+  );
+  return output.body.innerHTML;
+};
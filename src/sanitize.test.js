@@ -0,0 +1,164 @@
+import { describe, expect, it } from "vitest";
+
+import { isSafeUrl, sanitizeHtml } from "./sanitize.js";
+import { docToHtml, htmlToDoc, toDoc } from "./document.js";
+
+// Rendered HTML as a live fragment, to inspect what a browser would build
+const parse = (html) => {
+  const template = document.createElement("template");
+  template.innerHTML = html;
+  return template.content;
+};
+
+// Elements carrying event handlers, script or unsafe links
+const findUnsafe = (html) =>
+  [...parse(html).querySelectorAll("*")].filter(
+    (element) =>
+      ["SCRIPT", "SVG", "IFRAME", "IMG", "OBJECT", "EMBED"].includes(
+        element.tagName.toUpperCase()
+      ) ||
+      [...element.attributes].some(
+        ({ name, value }) =>
+          name.startsWith("on") ||
+          (["href", "src", "action", "formaction"].includes(name) &&
+            !isSafeUrl(value))
+      )
+  );
+
+const UNSAFE_URLS = [
+  "javascript:alert(1)",
+  "JavaScript:alert(1)",
+  "JAVASCRIPT:alert(1)",
+  " javascript:alert(1)",
+  "java\tscript:alert(1)",
+  "java\nscript:alert(1)",
+  "java\u0000script:alert(1)",
+  "\u0001javascript:alert(1)",
+  "javascript&#58;alert(1)",
+  "&#106;avascript:alert(1)",
+  "&#x6A;avascript:alert(1)",
+  "data:text/html,<script>alert(1)</script>",
+  "DaTa:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==",
+  "vbscript:msgbox(1)",
+  "VBScript:msgbox(1)",
+  "//evil.example/",
+  "/relative",
+  "",
+  null,
+];
+
+const XSS_PAYLOADS = [
+  '<img src=x onerror="alert(1)">',
+  "<IMG SRC=x OnErRoR=alert(1)>",
+  '<svg onload="alert(1)"><circle r="1"/></svg>',
+  "<svg><script>alert(1)</script></svg>",
+  "<script>alert(1)</script>",
+  '<iframe src="javascript:alert(1)"></iframe>',
+  '<a href="javascript:alert(1)">x</a>',
+  '<a href="java&#x09;script:alert(1)">x</a>',
+  '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">x</a>',
+  '<a href="data:text/html,<script>alert(1)</script>">x</a>',
+  '<a href="vbscript:msgbox(1)">x</a>',
+  '<div onclick="alert(1)" style="background:url(javascript:alert(1))">x</div>',
+  '<p title="x" onmouseover="alert(1)">hover</p>',
+  '<a href="https://ok.example/" onclick="alert(1)">x</a>',
+  '<input type="checkbox" onfocus="alert(1)" autofocus>',
+  '<input type="image" src="x" onerror="alert(1)">',
+  '<form action="javascript:alert(1)"><button>go</button></form>',
+  '<math><mtext><img src=x onerror="alert(1)"></mtext></math>',
+  "<details open ontoggle=alert(1)>",
+];
+
+describe("isSafeUrl", () => {
+  it.each(UNSAFE_URLS)("rejects %j", (url) => {
+    expect(isSafeUrl(url)).toBe(false);
+  });
+
+  it.each([
+    "https://example.com/",
+    "HTTP://example.com/",
+    " https://example.com/ ",
+    "mailto:someone@example.com",
+  ])("accepts %j", (url) => {
+    expect(isSafeUrl(url)).toBe(true);
+  });
+});
+
+describe("sanitizeHtml", () => {
+  it.each(XSS_PAYLOADS)("neutralizes %s", (payload) => {
+    expect(findUnsafe(sanitizeHtml(payload))).toEqual([]);
+  });
+
+  it("keeps supported formatting, checkboxes and safe links", () => {
+    const html = sanitizeHtml(
+      '<p><b>bold</b> <i>it</i> <a href="https://example.com/">link</a></p>' +
+        '<div><input type="checkbox" checked> done</div>'
+    );
+    const fragment = parse(html);
+    expect(fragment.querySelector("b").textContent).toBe("bold");
+    expect(fragment.querySelector("i").textContent).toBe("it");
+    expect(fragment.querySelector("a").getAttribute("href")).toBe(
+      "https://example.com/"
+    );
+    expect(fragment.querySelector("input").hasAttribute("checked")).toBe(true);
+  });
+
+  it("drops unsafe links but keeps their text", () => {
+    const html = sanitizeHtml('<a href=" JavaScript:alert(1)">click</a>');
+    expect(parse(html).querySelector("a").hasAttribute("href")).toBe(false);
+    expect(parse(html).textContent).toBe("click");
+  });
+});
+
+describe("rendering note bodies", () => {
+  it.each(XSS_PAYLOADS)("renders legacy HTML %s safely", (payload) => {
+    expect(findUnsafe(docToHtml(payload))).toEqual([]);
+  });
+
+  it.each(XSS_PAYLOADS)("converts pasted HTML %s safely", (payload) => {
+    expect(findUnsafe(docToHtml(htmlToDoc(payload)))).toEqual([]);
+  });
+
+  it.each(UNSAFE_URLS.filter(Boolean))(
+    "drops stored link %j from documents",
+    (url) => {
+      const html = docToHtml([["p", [["click", "", url]]]]);
+      expect(parse(html).querySelector("a")).toBeNull();
+      expect(parse(html).textContent).toBe("click");
+    }
+  );
+
+  it('keeps " from breaking out of attributes', () => {
+    const html = docToHtml([
+      [
+        "p",
+        [
+          ['x" onmouseover="alert(1)', "b", 'https://ok.example/" onclick="x'],
+          ["y", "", '@u1" onclick="alert(1)'],
+        ],
+      ],
+    ]);
+    expect(findUnsafe(html)).toEqual([]);
+    const link = parse(html).querySelector("a");
+    expect(link.getAttribute("href")).toBe('https://ok.example/" onclick="x');
+    expect(link.textContent).toBe('x" onmouseover="alert(1)');
+  });
+
+  it("escapes markup stored as text", () => {
+    const html = docToHtml([
+      '<img src=x onerror="alert(1)">',
+      ["pre", "<script>alert(1)</script>"],
+    ]);
+    expect(findUnsafe(html)).toEqual([]);
+    expect(parse(html).textContent).toContain("<script>alert(1)</script>");
+  });
+
+  it("ignores unknown block types and marks", () => {
+    expect(
+      toDoc([
+        ["script", "alert(1)"],
+        ["p", [["x", "<>zz"]]],
+      ])
+    ).toEqual(["x"]);
+  });
+});
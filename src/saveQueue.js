@@ -0,0 +1,392 @@
+// Durable save queue for annotation writes
+//
+// Edits are kept in localStorage, one entry per board and item, from the
+// moment they are made until they are written to the item. Writes that fail
+// are retried with exponential backoff, also after the panel was closed and
+// opened again. A queued write is three-way merged with whatever is on the
+// item when it finally lands; notes changed on both sides keep both
+// versions, since nobody is there to pick one.
+//
+// Entry: { itemId, sections, permissions, base: { revision, sections },
+//          authorId, queuedAt, attempts, nextAttemptAt, lastError, held }
+// `permissions` is null unless the edit changed them. `held` entries wait
+// for the panel (e.g. while its conflict resolver is open).
+
+import {
+  METADATA_KEY,
+  SCHEMA_VERSION,
+  SAVE_RETRY_BASE_MS,
+  SAVE_RETRY_MAX_MS,
+} from "./config.js";
+import { readAnnotations, writeAnnotations } from "./storage.js";
+import { migrateMetadata } from "./migrations.js";
+import { mergeSections, applyResolutions } from "./merge.js";
+import { canEdit, resolvePermissions } from "./permissions.js";
+import { recordNoteHistory, fitHistoryToBudget } from "./history.js";
+import { normalizeSections } from "./document.js";
+import {
+  getItemTitle,
+  hasNotes,
+  countNotes,
+  updateAnnotatedItemIndex,
+} from "./boardIndex.js";
+import { syncIndicator } from "./indicator.js";
+import { broadcastChanges } from "./changeEvents.js";
+
+const KEY_PREFIX = `${METADATA_KEY}-pending`;
+
+const listeners = new Set();
+let timer = null;
+let isFlushing = false;
+
+// Queued entries are stored per board
+let boardIdPromise = null;
+const getKeyPrefix = async () => {
+  if (!boardIdPromise) {
+    boardIdPromise = miro.board.getInfo().then((info) => info.id);
+  }
+  return `${KEY_PREFIX}:${await boardIdPromise}:`;
+};
+
+const emit = (event) => {
+  listeners.forEach((listener) => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error("[Annotate] Error in save queue listener:", error);
+    }
+  });
+};
+
+// One read-modify-write per item at a time, across the panel's own saves
+// and queued writes
+const locks = new Map();
+export function lockItem(itemId) {
+  const previous = locks.get(itemId) || Promise.resolve();
+  let release;
+  const current = new Promise((resolve) => {
+    release = resolve;
+  });
+  const chained = previous.then(() => current);
+  locks.set(itemId, chained);
+  chained.then(() => {
+    if (locks.get(itemId) === chained) locks.delete(itemId);
+  });
+  return previous.then(() => release);
+}
+
+// Delay before retry number `attempts` (1-based), with ±20% jitter
+export const getRetryDelay = (attempts) =>
+  Math.round(
+    Math.min(SAVE_RETRY_BASE_MS * 2 ** (attempts - 1), SAVE_RETRY_MAX_MS) *
+      (0.8 + Math.random() * 0.4)
+  );
+
+const readEntry = (key) => {
+  try {
+    const entry = JSON.parse(localStorage.getItem(key));
+    return entry && entry.itemId && Array.isArray(entry.sections)
+      ? entry
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const writeEntry = (key, entry) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(entry));
+    return true;
+  } catch (error) {
+    console.error("[Annotate] Error storing pending save:", error);
+    return false;
+  }
+};
+
+const readAllEntries = (prefix) => {
+  const entries = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && key.startsWith(prefix)) {
+      const entry = readEntry(key);
+      if (entry) entries.push(entry);
+    }
+  }
+  return entries;
+};
+
+// Pending saves of this board, for status display
+export async function getPendingSaves() {
+  try {
+    return readAllEntries(await getKeyPrefix());
+  } catch (error) {
+    console.error("[Annotate] Error reading pending saves:", error);
+    return [];
+  }
+}
+
+const emitChange = async () => {
+  emit({ type: "change", entries: await getPendingSaves() });
+};
+
+export async function getPendingSave(itemId) {
+  try {
+    return readEntry((await getKeyPrefix()) + itemId);
+  } catch (error) {
+    console.error("[Annotate] Error reading pending save:", error);
+    return null;
+  }
+}
+
+// Keep an edit until it is written. Replaces the item's previous entry,
+// keeping its retry state. Resolves to the stored entry, or null when
+// browser storage is unavailable.
+export async function queuePendingSave({
+  itemId,
+  sections,
+  permissions = null,
+  base,
+  authorId,
+}) {
+  try {
+    const key = (await getKeyPrefix()) + itemId;
+    const previous = readEntry(key);
+    const now = Date.now();
+    const entry = {
+      itemId,
+      sections,
+      permissions: permissions || previous?.permissions || null,
+      base: base || previous?.base || { revision: 0, sections: [] },
+      authorId,
+      queuedAt: now,
+      attempts: previous?.attempts || 0,
+      // First attempt once the panel's own save had its chance
+      nextAttemptAt: Math.max(
+        previous?.nextAttemptAt || 0,
+        now + SAVE_RETRY_BASE_MS
+      ),
+      lastError: previous?.lastError || null,
+      held: false,
+    };
+    if (!writeEntry(key, entry)) return null;
+    scheduleFlush();
+    return entry;
+  } catch (error) {
+    console.error("[Annotate] Error queueing save:", error);
+    return null;
+  }
+}
+
+// Update an entry in place, unless it was replaced by a newer edit
+const updateEntry = async (itemId, queuedAt, changes) => {
+  const key = (await getKeyPrefix()) + itemId;
+  const entry = readEntry(key);
+  if (!entry || entry.queuedAt > queuedAt) return null;
+  const next = { ...entry, ...changes };
+  return writeEntry(key, next) ? next : null;
+};
+
+// Record a failed write; resolves to the updated entry or null
+export async function markSaveFailed(itemId, queuedAt, error) {
+  try {
+    const key = (await getKeyPrefix()) + itemId;
+    const attempts = (readEntry(key)?.attempts || 0) + 1;
+    const entry = await updateEntry(itemId, queuedAt, {
+      attempts,
+      nextAttemptAt: Date.now() + getRetryDelay(attempts),
+      lastError: error?.message || String(error),
+    });
+    scheduleFlush();
+    emitChange();
+    return entry;
+  } catch (storageError) {
+    console.error("[Annotate] Error recording failed save:", storageError);
+    return null;
+  }
+}
+
+// Keep the item's entry out of automatic retries until the next session
+export async function holdPendingSave(itemId) {
+  try {
+    await updateEntry(itemId, Infinity, { held: true });
+  } catch (error) {
+    console.error("[Annotate] Error holding pending save:", error);
+  }
+}
+
+// Drop the item's entry once a write made at or after `queuedAt` landed.
+// Resolves to true when nothing newer is waiting.
+export async function removePendingSave(itemId, queuedAt) {
+  try {
+    const key = (await getKeyPrefix()) + itemId;
+    const entry = readEntry(key);
+    if (entry && entry.queuedAt > queuedAt) return false;
+    if (entry) {
+      localStorage.removeItem(key);
+      emitChange();
+    }
+    return true;
+  } catch (error) {
+    console.error("[Annotate] Error removing pending save:", error);
+    return false;
+  }
+}
+
+const getMigrationContext = (item) => ({
+  itemId: item.id,
+  itemName: getItemTitle(item),
+  itemType: item.type || "item",
+  createdBy: item.createdBy,
+});
+
+// Write a queued entry, merged with what is on the item now.
+// Resolves to { metadata, merged } or { dropped: reason }.
+const writeEntryToItem = async (entry) => {
+  const item = await miro.board.getById(entry.itemId).catch(() => null);
+  if (!item) return { dropped: "The item was deleted" };
+
+  const storedData = await readAnnotations(item);
+  const { data: remote, isNewer } = storedData
+    ? migrateMetadata(storedData, getMigrationContext(item))
+    : { data: null, isNewer: false };
+  if (isNewer) return { dropped: "Saved by a newer version" };
+
+  const remoteRevision = remote?.revision || 0;
+  const remoteSections = normalizeSections(remote?.sections);
+  const permissions = resolvePermissions(
+    entry.permissions || remote?.permissions,
+    item
+  );
+  if (!canEdit(permissions, entry.authorId)) {
+    return { dropped: "No edit access" };
+  }
+
+  let sections = normalizeSections(entry.sections);
+  const merged = remote && remoteRevision > entry.base.revision;
+  if (merged) {
+    const result = mergeSections(
+      normalizeSections(entry.base.sections),
+      sections,
+      remoteSections
+    );
+    const keepBoth = Object.fromEntries(
+      result.conflicts.map(({ noteId }) => [noteId, "both"])
+    );
+    sections = applyResolutions(result.sections, result.conflicts, keepBoth);
+  }
+
+  const metadata = fitHistoryToBudget({
+    schemaVersion: SCHEMA_VERSION,
+    revision: Math.max(entry.base.revision, remoteRevision) + 1,
+    sections: normalizeSections(recordNoteHistory(sections, remoteSections)),
+    permissions,
+    updatedAt: Date.now(),
+    authorId: entry.authorId,
+  });
+
+  await writeAnnotations(item, metadata);
+  broadcastChanges(item.id, remoteSections, metadata.sections);
+  try {
+    await updateAnnotatedItemIndex(item.id, hasNotes(metadata.sections));
+  } catch (error) {
+    console.warn("[Annotate] Could not update item index:", error);
+  }
+  syncIndicator(item, countNotes(metadata.sections));
+  return { metadata, merged };
+};
+
+// Retry one item's entry if it is still due
+const flushItem = async (itemId) => {
+  const release = await lockItem(itemId);
+  try {
+    const entry = await getPendingSave(itemId);
+    if (!entry || entry.held || entry.nextAttemptAt > Date.now()) return;
+
+    try {
+      const result = await writeEntryToItem(entry);
+      const isLatest = await removePendingSave(itemId, entry.queuedAt);
+      if (result.dropped) {
+        emit({ type: "dropped", itemId, reason: result.dropped });
+      } else {
+        emit({ type: "landed", itemId, ...result, isLatest });
+      }
+    } catch (error) {
+      console.error("[Annotate] Error retrying save:", itemId, error);
+      await markSaveFailed(itemId, entry.queuedAt, error);
+    }
+  } finally {
+    release();
+  }
+};
+
+// Retry every due entry, then wait for the next one
+async function flushDue() {
+  if (isFlushing) return;
+  isFlushing = true;
+  try {
+    const now = Date.now();
+    const due = (await getPendingSaves()).filter(
+      (entry) => !entry.held && entry.nextAttemptAt <= now
+    );
+    for (const entry of due) {
+      await flushItem(entry.itemId);
+    }
+  } finally {
+    isFlushing = false;
+    scheduleFlush();
+  }
+}
+
+async function scheduleFlush() {
+  if (listeners.size === 0) return;
+  const next = (await getPendingSaves())
+    .filter((entry) => !entry.held)
+    .reduce(
+      (soonest, entry) => Math.min(soonest, entry.nextAttemptAt),
+      Infinity
+    );
+
+  clearTimeout(timer);
+  timer = null;
+  if (next !== Infinity) {
+    timer = setTimeout(flushDue, Math.max(next - Date.now(), 0));
+  }
+}
+
+// Retry every entry now (e.g. when the browser comes back online)
+export async function retryPendingSaves() {
+  const entries = await getPendingSaves();
+  for (const entry of entries) {
+    await updateEntry(entry.itemId, entry.queuedAt, {
+      nextAttemptAt: Date.now(),
+    });
+  }
+  flushDue();
+}
+
+// Listen to queue events: { type: "change", entries },
+// { type: "landed", itemId, metadata, merged, isLatest } and
+// { type: "dropped", itemId, reason }. Retries run while anyone listens.
+export function subscribeSaveQueue(listener) {
+  listeners.add(listener);
+  emitChange();
+  scheduleFlush();
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
+
+// Entries held in an earlier session are retried again
+export async function startSaveQueue() {
+  const entries = await getPendingSaves();
+  for (const entry of entries.filter((e) => e.held)) {
+    await updateEntry(entry.itemId, entry.queuedAt, { held: false });
+  }
+  window.addEventListener("online", retryPendingSaves);
+  emitChange();
+  scheduleFlush();
+}
@@ -0,0 +1,168 @@
+// Full-text search over notes from many board items
+
+import { docToText, getMentionedUserIds } from "./document.js";
+
+// Block-level tags that should separate words once markup is removed
+const BLOCK_BREAK_PATTERN = /<(br|\/p|\/div|\/li|\/h[1-6])[^>]*>/gi;
+
+// Convert note HTML to plain text (entities decoded, whitespace collapsed)
+export const stripHtml = (html) => {
+  if (!html) return "";
+  const spaced = String(html).replace(BLOCK_BREAK_PATTERN, " ");
+  const doc = new DOMParser().parseFromString(spaced, "text/html");
+  return (doc.body.textContent || "").replace(/\s+/g, " ").trim();
+};
+
+// Lower-case `text` one character at a time. Lowering can change a
+// string's length ("İ" becomes two characters), so when it does, `ends`
+// maps each lowered character to the end of the original one it came from.
+const toSearchText = (text) => {
+  let lower = "";
+  const ends = [];
+  let index = 0;
+  for (const char of text) {
+    const lowered = char.toLowerCase();
+    index += char.length;
+    lower += lowered;
+    for (let i = 0; i < lowered.length; i++) ends.push(index);
+  }
+  return {
+    lower,
+    ends: ends.some((end, i) => end !== i + 1) ? ends : null,
+  };
+};
+
+// Build a flat search index from loaded items.
+// `entries` is a list of { itemId, itemName, sections }.
+export const buildNoteIndex = (entries) =>
+  entries.flatMap(({ itemId, itemName, sections }) =>
+    (sections || []).flatMap((section) =>
+      (section.notes || []).map((note) => {
+        const heading = note.heading || "Untitled";
+        const text = docToText(note.body);
+        const headingSearch = toSearchText(heading);
+        const textSearch = toSearchText(text);
+        return {
+          itemId,
+          itemName,
+          sectionName: section.name,
+          noteId: note.id,
+          heading,
+          text,
+          headingLower: headingSearch.lower,
+          headingEnds: headingSearch.ends,
+          textLower: textSearch.lower,
+          textEnds: textSearch.ends,
+          mentions: getMentionedUserIds(note.body),
+          updatedAt: note.updatedAt || 0,
+        };
+      })
+    )
+  );
+
+// Split a query into lower-case terms
+const tokenize = (query) =>
+  toSearchText(query).lower.split(/\s+/).filter(Boolean);
+
+// Find every [start, end) range of `terms` in lowered `text`, merged,
+// sorted and mapped back onto the original text through `ends`
+const findRanges = (text, terms, ends) => {
+  const ranges = [];
+  terms.forEach((term) => {
+    let index = text.indexOf(term);
+    while (index !== -1) {
+      ranges.push([index, index + term.length]);
+      index = text.indexOf(term, index + term.length);
+    }
+  });
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const matches = ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+
+  if (!ends) return matches;
+  // A range starts where the original character before it ends
+  return matches.map(([start, end]) => [
+    start > 0 ? ends[start - 1] : 0,
+    ends[end - 1],
+  ]);
+};
+
+// Search the index. Every term must appear in the heading or body.
+// Results carry match ranges for highlighting, best matches first.
+export const searchNotes = (index, query) => {
+  const terms = tokenize(query);
+  if (terms.length === 0) return [];
+
+  return index
+    .filter((doc) =>
+      terms.every(
+        (term) =>
+          doc.headingLower.includes(term) || doc.textLower.includes(term)
+      )
+    )
+    .map((doc) => {
+      const headingRanges = findRanges(
+        doc.headingLower,
+        terms,
+        doc.headingEnds
+      );
+      const textRanges = findRanges(doc.textLower, terms, doc.textEnds);
+      return {
+        ...doc,
+        headingRanges,
+        textRanges,
+        // Heading hits count more than body hits
+        score: headingRanges.length * 3 + textRanges.length,
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.updatedAt - a.updatedAt);
+};
+
+// Cut a window of `text` around its first match, shifting ranges to match
+export const getSnippet = (text, ranges, length = 120) => {
+  if (text.length <= length) {
+    return { text, ranges };
+  }
+
+  const firstMatch = ranges[0]?.[0] || 0;
+  const start = Math.max(0, Math.min(firstMatch - 30, text.length - length));
+  const end = start + length;
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < text.length ? "…" : "";
+  const offset = prefix.length - start;
+
+  return {
+    text: prefix + text.slice(start, end) + suffix,
+    ranges: ranges
+      .filter(([s, e]) => s < end && e > start)
+      .map(([s, e]) => [
+        Math.max(s, start) + offset,
+        Math.min(e, end) + offset,
+      ]),
+  };
+};
+
+// Split text into [{ text, isMatch }] segments for rendering highlights
+export const splitHighlights = (text, ranges) => {
+  const segments = [];
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > cursor) {
+      segments.push({ text: text.slice(cursor, start), isMatch: false });
+    }
+    segments.push({ text: text.slice(start, end), isMatch: true });
+    cursor = end;
+  });
+  if (cursor < text.length) {
+    segments.push({ text: text.slice(cursor), isMatch: false });
+  }
+  return segments;
+};
@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+
+import {
+  buildNoteIndex,
+  getSnippet,
+  searchNotes,
+  splitHighlights,
+} from "./search.js";
+
+const index = (...notes) =>
+  buildNoteIndex([
+    {
+      itemId: "i1",
+      itemName: "Item",
+      sections: [{ id: "s1", name: "General", notes }],
+    },
+  ]);
+
+const highlighted = (text, ranges) =>
+  splitHighlights(text, ranges)
+    .filter((segment) => segment.isMatch)
+    .map((segment) => segment.text);
+
+describe("searchNotes", () => {
+  it("matches terms in any case and highlights them", () => {
+    const [result] = searchNotes(
+      index({ id: "n1", heading: "Launch Plan", body: ["The PLAN is set"] }),
+      "plan"
+    );
+    expect(highlighted(result.heading, result.headingRanges)).toEqual(["Plan"]);
+    expect(highlighted(result.text, result.textRanges)).toEqual(["PLAN"]);
+  });
+
+  it("highlights the right text when lowercasing changes its length", () => {
+    const [result] = searchNotes(
+      index({
+        id: "n1",
+        heading: "İİ İstanbul",
+        body: ["İzmir and İstanbul, then Istanbul"],
+      }),
+      "istanbul"
+    );
+    expect(highlighted(result.text, result.textRanges)).toEqual(["Istanbul"]);
+
+    const [dotted] = searchNotes(
+      index({ id: "n2", heading: "İİ İstanbul", body: [] }),
+      "i̇stanbul"
+    );
+    expect(highlighted(dotted.heading, dotted.headingRanges)).toEqual([
+      "İstanbul",
+    ]);
+  });
+
+  it("keeps highlights aligned in snippets", () => {
+    const text = `${"İ".repeat(100)} needle ${"x".repeat(100)}`;
+    const [result] = searchNotes(
+      index({ id: "n1", heading: "Note", body: [text] }),
+      "needle"
+    );
+    const snippet = getSnippet(result.text, result.textRanges);
+    expect(highlighted(snippet.text, snippet.ranges)).toEqual(["needle"]);
+  });
+
+  it("requires every term", () => {
+    const notes = index(
+      { id: "n1", heading: "Alpha", body: ["beta"] },
+      { id: "n2", heading: "Alpha", body: ["gamma"] }
+    );
+    expect(searchNotes(notes, "alpha beta").map((r) => r.noteId)).toEqual([
+      "n1",
+    ]);
+  });
+});
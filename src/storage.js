@@ -0,0 +1,224 @@
+// Chunked metadata storage for annotations
+//
+// Small payloads are stored inline under APP_ID -> METADATA_KEY, exactly as
+// before. Once the serialized tree no longer fits a single metadata value it is
+// split into chunks stored under their own keys, and METADATA_KEY holds a
+// manifest (chunk count, size and checksum) used to reassemble and verify it.
+// Every chunked save writes a new generation of chunk keys (named after its
+// checksum), so the chunks a stored manifest points at are never changed.
+
+import { APP_ID, METADATA_KEY, MAX_PAYLOAD_SIZE } from "./config.js";
+import { isNewerSchema } from "./migrations.js";
+
+// Bump when the manifest/chunk layout changes
+const STORAGE_VERSION = 2;
+
+// Room left in each metadata value for the chunk envelope and sibling keys
+const CHUNK_ENVELOPE_BYTES = 256;
+const CHUNK_DATA_SIZE = MAX_PAYLOAD_SIZE - CHUNK_ENVELOPE_BYTES;
+
+const encoder = new TextEncoder();
+
+// Metadata key holding chunk number `index` of a generation. Manifests
+// without a generation (storage version 1) used unsuffixed keys.
+export const getChunkKey = (index, generation = null) =>
+  generation
+    ? `${APP_ID}:${METADATA_KEY}:${generation}:${index}`
+    : `${APP_ID}:${METADATA_KEY}:${index}`;
+
+// Size in bytes of a value once stored as JSON
+const byteSize = (value) => encoder.encode(JSON.stringify(value)).length;
+
+// Size in bytes of the annotations once stored, chunked or not
+export const getPayloadSize = byteSize;
+
+// FNV-1a hash, used to detect torn or tampered chunk sets
+export const computeChecksum = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+};
+
+// Bytes a code point of JSON text takes once stored inside a JSON string:
+// quotes and backslashes are escaped again, the rest is UTF-8
+const storedCodePointSize = (codePoint) => {
+  if (codePoint === 0x22 || codePoint === 0x5c) return 2;
+  if (codePoint < 0x20) return 6;
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  return codePoint < 0x10000 ? 3 : 4;
+};
+
+// Split a JSON string into pieces that each fit in one metadata value.
+// Splits on code points so surrogate pairs are never cut in half.
+const splitIntoChunks = (json) => {
+  const chunks = [];
+  let start = 0;
+  let currentSize = 0;
+
+  for (let i = 0; i < json.length; ) {
+    const codePoint = json.codePointAt(i);
+    const length = codePoint > 0xffff ? 2 : 1;
+    const size = storedCodePointSize(codePoint);
+    if (currentSize + size > CHUNK_DATA_SIZE) {
+      chunks.push(json.slice(start, i));
+      start = i;
+      currentSize = 0;
+    }
+    currentSize += size;
+    i += length;
+  }
+
+  if (start < json.length || chunks.length === 0) {
+    chunks.push(json.slice(start));
+  }
+  return chunks;
+};
+
+// Serialize annotations and work out how they would be stored
+const serializeAnnotations = (metadata) => {
+  const json = JSON.stringify(metadata);
+  const size = encoder.encode(json).length;
+  const isInline = size <= CHUNK_DATA_SIZE;
+  return {
+    json,
+    size,
+    isInline,
+    chunks: isInline ? [] : splitIntoChunks(json),
+  };
+};
+
+// Read the raw APP_ID metadata, tolerating items without any
+const readAppMetadata = async (item) => {
+  try {
+    return (await item.getMetadata(APP_ID)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// Identifies a stored version of the annotations (null when there are
+// none). Works on full annotations and on chunk manifests alike.
+export const getAnnotationsStamp = (record) =>
+  record ? `${record.revision || 0}:${record.updatedAt || 0}` : null;
+
+// Stamp of the annotations stored on an item, reading no chunks
+export async function readAnnotationsStamp(item) {
+  const rawMetadata = await item.getMetadata(APP_ID);
+  return getAnnotationsStamp(
+    rawMetadata?.[METADATA_KEY] || rawMetadata?.annotate || null
+  );
+}
+
+// Read annotations from an item, reassembling chunks when needed.
+// Returns null when the item has no annotations.
+export async function readAnnotations(item) {
+  const rawMetadata = await item.getMetadata(APP_ID);
+  const record = rawMetadata?.[METADATA_KEY] || rawMetadata?.annotate || null;
+
+  if (!record || !record.chunked) {
+    return record;
+  }
+
+  if (record.storageVersion > STORAGE_VERSION) {
+    throw new Error("Annotations were saved by a newer version of the app");
+  }
+
+  if (!Number.isInteger(record.chunkCount) || record.chunkCount < 1) {
+    throw new Error("Annotation manifest is invalid");
+  }
+  const chunks = await Promise.all(
+    Array.from({ length: record.chunkCount }, (_, index) =>
+      item.getMetadata(getChunkKey(index, record.generation))
+    )
+  );
+
+  chunks.forEach((chunk, index) => {
+    if (
+      !chunk ||
+      chunk.index !== index ||
+      chunk.checksum !== record.checksum ||
+      typeof chunk.data !== "string"
+    ) {
+      throw new Error(`Annotation chunk ${index + 1} is missing or stale`);
+    }
+  });
+
+  const json = chunks.map((chunk) => chunk.data).join("");
+  if (computeChecksum(json) !== record.checksum) {
+    throw new Error("Annotation data failed its integrity check");
+  }
+
+  return JSON.parse(json);
+}
+
+// Keys of the chunks a stored manifest points at
+const getRecordChunkKeys = (record) =>
+  record?.chunked && Number.isInteger(record.chunkCount)
+    ? Array.from({ length: record.chunkCount }, (_, index) =>
+        getChunkKey(index, record.generation)
+      )
+    : [];
+
+// Write annotations to an item, chunking them when they exceed one key.
+// Every chunk fits one value, so there is no size to check beforehand.
+export async function writeAnnotations(item, metadata) {
+  // Preserve other keys stored under APP_ID
+  const existingMetadata = await readAppMetadata(item);
+  const previousRecord = existingMetadata[METADATA_KEY];
+  if (previousRecord && isNewerSchema(previousRecord)) {
+    throw new Error("Annotations were saved by a newer version of the app");
+  }
+
+  const { json, size, isInline, chunks } = serializeAnnotations(metadata);
+  let record = metadata;
+  let chunkKeys = [];
+
+  if (!isInline) {
+    const checksum = computeChecksum(json);
+    chunkKeys = chunks.map((_, index) => getChunkKey(index, checksum));
+
+    // New chunks first, manifest last: until the manifest is switched,
+    // readers keep getting the previous generation, which stays untouched
+    for (let index = 0; index < chunks.length; index++) {
+      await item.setMetadata(chunkKeys[index], {
+        index,
+        checksum,
+        data: chunks[index],
+      });
+    }
+
+    record = {
+      chunked: true,
+      storageVersion: STORAGE_VERSION,
+      generation: checksum,
+      chunkCount: chunks.length,
+      size,
+      checksum,
+      schemaVersion: metadata.schemaVersion,
+      revision: metadata.revision,
+      updatedAt: metadata.updatedAt,
+      authorId: metadata.authorId,
+    };
+  }
+
+  await item.setMetadata(APP_ID, {
+    ...existingMetadata,
+    [METADATA_KEY]: record,
+  });
+
+  // Clear the previous generation (same keys hold the same data)
+  for (const key of getRecordChunkKeys(previousRecord)) {
+    if (chunkKeys.includes(key)) continue;
+    try {
+      await item.setMetadata(key, null);
+    } catch (error) {
+      console.warn("[Annotate] Could not clear stale chunk:", key, error);
+    }
+  }
+
+  return { size, chunkCount: chunks.length };
+}
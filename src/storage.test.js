@@ -0,0 +1,147 @@
+import { describe, expect, it } from "vitest";
+
+import { APP_ID, MAX_PAYLOAD_SIZE } from "./config.js";
+import {
+  computeChecksum,
+  getChunkKey,
+  readAnnotations,
+  writeAnnotations,
+} from "./storage.js";
+
+// Item whose setMetadata can be made to fail after a number of writes
+const createItem = () => {
+  const stored = {};
+  const item = {
+    stored,
+    failAfter: Infinity,
+    getMetadata: async (key) => stored[key],
+    setMetadata: async (key, value) => {
+      if (item.failAfter-- <= 0) throw new Error("Network error");
+      const size = new TextEncoder().encode(JSON.stringify(value)).length;
+      if (size > MAX_PAYLOAD_SIZE) throw new Error(`Value too large: ${size}`);
+      stored[key] = value;
+    },
+  };
+  return item;
+};
+
+// Annotations of roughly `size` characters, with text that needs escaping
+const createAnnotations = (size, revision = 1) => ({
+  schemaVersion: "1.3.0",
+  revision,
+  updatedAt: revision,
+  sections: [
+    {
+      id: "s1",
+      name: "General",
+      notes: [
+        {
+          id: "n1",
+          heading: `Revision ${revision}`,
+          body: ['"quoted" \\ é 😀 ' + "x".repeat(size)],
+        },
+      ],
+    },
+  ],
+});
+
+describe("chunked storage", () => {
+  it("stores small trees inline", async () => {
+    const item = createItem();
+    const annotations = createAnnotations(100);
+    expect(await writeAnnotations(item, annotations)).toMatchObject({
+      chunkCount: 0,
+    });
+    expect(Object.keys(item.stored)).toEqual([APP_ID]);
+    expect(await readAnnotations(item)).toEqual(annotations);
+  });
+
+  it("splits large trees into chunks that each fit one value", async () => {
+    const item = createItem();
+    const annotations = createAnnotations(40 * 1024);
+    const { chunkCount } = await writeAnnotations(item, annotations);
+    expect(chunkCount).toBeGreaterThan(6);
+    expect(await readAnnotations(item)).toEqual(annotations);
+  });
+
+  it("splits multi-byte and escaped text without going over the limit", async () => {
+    const item = createItem();
+    const annotations = createAnnotations(0);
+    annotations.sections[0].notes[0].body = [
+      '😀"\\é'.repeat(4000),
+      " é".repeat(2000),
+    ];
+    await writeAnnotations(item, annotations);
+    expect(await readAnnotations(item)).toEqual(annotations);
+  });
+
+  it("keeps the previous version readable when a save fails midway", async () => {
+    const item = createItem();
+    const previous = createAnnotations(20 * 1024, 1);
+    await writeAnnotations(item, previous);
+
+    for (let failAfter = 0; failAfter < 6; failAfter++) {
+      item.failAfter = failAfter;
+      await expect(
+        writeAnnotations(item, createAnnotations(30 * 1024, 2))
+      ).rejects.toThrow("Network error");
+      item.failAfter = Infinity;
+      expect(await readAnnotations(item)).toEqual(previous);
+    }
+  });
+
+  it("clears the previous generation once the manifest is switched", async () => {
+    const item = createItem();
+    await writeAnnotations(item, createAnnotations(20 * 1024, 1));
+    const next = createAnnotations(10 * 1024, 2);
+    await writeAnnotations(item, next);
+
+    const manifest = item.stored[APP_ID].annotate;
+    const liveKeys = Object.entries(item.stored)
+      .filter(([, value]) => value !== null)
+      .map(([key]) => key);
+    expect(liveKeys.sort()).toEqual(
+      [
+        APP_ID,
+        ...Array.from({ length: manifest.chunkCount }, (_, index) =>
+          getChunkKey(index, manifest.generation)
+        ),
+      ].sort()
+    );
+    expect(await readAnnotations(item)).toEqual(next);
+  });
+
+  it("reads chunks written before generations existed", async () => {
+    const item = createItem();
+    const annotations = createAnnotations(100);
+    const json = JSON.stringify(annotations);
+    const checksum = computeChecksum(json);
+    const parts = [json.slice(0, 50), json.slice(50)];
+    parts.forEach((data, index) => {
+      item.stored[getChunkKey(index)] = { index, checksum, data };
+    });
+    item.stored[APP_ID] = {
+      annotate: {
+        chunked: true,
+        storageVersion: 1,
+        chunkCount: parts.length,
+        checksum,
+      },
+    };
+
+    expect(await readAnnotations(item)).toEqual(annotations);
+
+    // Rewriting replaces the old chunks too
+    await writeAnnotations(item, createAnnotations(100, 2));
+    expect(item.stored[getChunkKey(0)]).toBeNull();
+    expect(item.stored[getChunkKey(1)]).toBeNull();
+  });
+
+  it("rejects chunk sets that fail their integrity check", async () => {
+    const item = createItem();
+    await writeAnnotations(item, createAnnotations(20 * 1024));
+    const { generation } = item.stored[APP_ID].annotate;
+    item.stored[getChunkKey(1, generation)].data += " ";
+    await expect(readAnnotations(item)).rejects.toThrow();
+  });
+});
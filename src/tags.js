@@ -0,0 +1,132 @@
+// Free-form tags on notes and the board's tag palette
+//
+// Notes store tag names in `tags`. The palette, stored in board app data,
+// gives each tag name a colour shared by everyone on the board; tags missing
+// from it (e.g. added on another board and copied here) get a stable colour
+// derived from their name.
+
+import { METADATA_KEY } from "./config.js";
+
+const TAGS_KEY = `${METADATA_KEY}-tags`;
+
+export const MAX_TAG_LENGTH = 30;
+export const MAX_TAGS_PER_NOTE = 10;
+
+export const TAG_COLORS = [
+  "#3B82F6",
+  "#10B981",
+  "#F59E0B",
+  "#EF4444",
+  "#8B5CF6",
+  "#EC4899",
+  "#14B8A6",
+  "#6B7280",
+];
+
+// App data writes are read-modify-write: run them one at a time
+let queue = Promise.resolve();
+const enqueue = (task) => {
+  const run = queue.then(task, task);
+  queue = run.catch(() => {});
+  return run;
+};
+
+// Trimmed, single-spaced tag name without a leading "#"; "" when invalid
+export const normalizeTagName = (name) =>
+  String(name || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/^#+\s*/, "")
+    .slice(0, MAX_TAG_LENGTH)
+    .trim();
+
+const sameTag = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Valid tag names, without duplicates (ignoring case)
+const uniqueTags = (tags) =>
+  (Array.isArray(tags) ? tags : [])
+    .map(normalizeTagName)
+    .filter(Boolean)
+    .filter(
+      (tag, index, all) => all.findIndex((t) => sameTag(t, tag)) === index
+    );
+
+// A note's tags as stored: unique, valid and at most MAX_TAGS_PER_NOTE
+export const normalizeTags = (tags) =>
+  uniqueTags(tags).slice(0, MAX_TAGS_PER_NOTE);
+
+const isColor = (color) => TAG_COLORS.includes(color);
+
+export async function getTagPalette() {
+  try {
+    const palette = await miro.board.getAppData(TAGS_KEY);
+    return (Array.isArray(palette) ? palette : []).filter(
+      (tag) => normalizeTagName(tag?.name) && isColor(tag.color)
+    );
+  } catch (error) {
+    console.error("[Annotate] Error reading tag palette:", error);
+    return [];
+  }
+}
+
+// Colour of a tag: its palette entry, else one picked from its name
+export const getTagColor = (palette, name) => {
+  const entry = (palette || []).find((tag) => sameTag(tag.name, name));
+  if (entry) return entry.color;
+
+  let hash = 0;
+  for (const char of name.toLowerCase()) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return TAG_COLORS[hash % TAG_COLORS.length];
+};
+
+// Add tags missing from the palette. Resolves to the updated palette.
+export function addTagsToPalette(names) {
+  return enqueue(async () => {
+    const palette = await getTagPalette();
+    const missing = uniqueTags(names).filter(
+      (name) => !palette.some((tag) => sameTag(tag.name, name))
+    );
+    if (missing.length === 0) return palette;
+
+    const next = [
+      ...palette,
+      ...missing.map((name, index) => ({
+        name,
+        color: TAG_COLORS[(palette.length + index) % TAG_COLORS.length],
+      })),
+    ];
+    await miro.board.setAppData(TAGS_KEY, next);
+    return next;
+  });
+}
+
+// Change a tag's colour for the whole board. Resolves to the updated palette.
+export function setTagColor(name, color) {
+  return enqueue(async () => {
+    const palette = await getTagPalette();
+    const tagName = normalizeTagName(name);
+    if (!tagName || !isColor(color)) return palette;
+
+    const next = palette.some((tag) => sameTag(tag.name, tagName))
+      ? palette.map((tag) =>
+          sameTag(tag.name, tagName) ? { ...tag, color } : tag
+        )
+      : [...palette, { name: tagName, color }];
+    await miro.board.setAppData(TAGS_KEY, next);
+    return next;
+  });
+}
+
+// Tag names used by the notes in a section tree, sorted
+export const getUsedTags = (sections) =>
+  uniqueTags(
+    (sections || []).flatMap((section) =>
+      (section.notes || []).flatMap((note) => note.tags || [])
+    )
+  ).sort((a, b) => a.localeCompare(b));
+
+// True when the note has every tag in `filter` (an empty filter matches all)
+export const noteHasTags = (note, filter) =>
+  filter.every((name) => (note.tags || []).some((tag) => sameTag(tag, name)));
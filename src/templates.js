@@ -0,0 +1,225 @@
+// Section and note templates
+//
+// A template is { id, name, sections: [{ name, notes: [{ heading, body }]}] }.
+// Built-in templates ship with the app; board templates live in board app
+// data, so everyone on the board shares them. Section names, note headings
+// and note bodies may contain placeholders such as {{itemName}} and
+// {{date}}, filled in when the template is applied.
+
+import { METADATA_KEY, MAX_PAYLOAD_SIZE } from "./config.js";
+import { createSection, createNote, generateId, sortNotes } from "./models.js";
+import { mapDocText, normalizeDoc } from "./document.js";
+import { getItemTitle } from "./boardIndex.js";
+
+const TEMPLATES_KEY = `${METADATA_KEY}-templates`;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Placeholders offered to template authors
+export const PLACEHOLDERS = [
+  { key: "itemName", label: "Item name" },
+  { key: "itemType", label: "Item type" },
+  { key: "date", label: "Today's date" },
+  { key: "author", label: "Your name" },
+];
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: "builtin-decision",
+    name: "Decision record",
+    builtIn: true,
+    sections: [
+      {
+        name: "Context",
+        notes: [
+          {
+            heading: "Context for {{itemName}}",
+            body: ["Why is a decision needed? What constraints apply?"],
+          },
+        ],
+      },
+      {
+        name: "Decision",
+        notes: [
+          {
+            heading: "Decision ({{date}})",
+            body: ["What was decided, and by whom?"],
+          },
+        ],
+      },
+      {
+        name: "Risks",
+        notes: [
+          {
+            heading: "Risks",
+            body: [
+              ["todo", "Risk and mitigation"],
+              ["todo", "Risk and mitigation"],
+            ],
+          },
+        ],
+      },
+    ],
+  },
+  {
+    id: "builtin-handoff",
+    name: "Hand-off",
+    builtIn: true,
+    sections: [
+      {
+        name: "Hand-off",
+        notes: [
+          {
+            heading: "Hand-off from {{author}} ({{date}})",
+            body: [
+              ["h", "Status"],
+              "Where {{itemName}} stands today.",
+              ["h", "Next steps"],
+              ["todo", "Next step"],
+              ["h", "Open questions"],
+              ["ul", "Question", 0],
+            ],
+          },
+        ],
+      },
+    ],
+  },
+  {
+    id: "builtin-review",
+    name: "Review checklist",
+    builtIn: true,
+    sections: [
+      {
+        name: "Review",
+        notes: [
+          {
+            heading: "Review of {{itemName}}",
+            body: [
+              ["todo", "Requirements are clear"],
+              ["todo", "Edge cases are covered"],
+              ["todo", "An owner is assigned"],
+            ],
+          },
+        ],
+      },
+    ],
+  },
+];
+
+// Local date as YYYY-MM-DD
+const formatDate = (time) => {
+  const date = new Date(time);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+};
+
+// Placeholder values for applying a template to `item`
+export const getPlaceholderValues = ({
+  item,
+  authorName,
+  now = Date.now(),
+}) => ({
+  itemName: getItemTitle(item),
+  itemType: item.type || "item",
+  date: formatDate(now),
+  author: authorName || "",
+});
+
+// Unknown placeholders are left as typed
+export const fillPlaceholders = (text, values) =>
+  String(text || "").replace(PLACEHOLDER_PATTERN, (match, key) =>
+    Object.prototype.hasOwnProperty.call(values, key) ? values[key] : match
+  );
+
+// Template sections from an item's sections (ids, history and item
+// bindings are dropped)
+export const templateFromSections = (name, sections) => ({
+  id: generateId(),
+  name: name.trim() || "Untitled template",
+  sections: (sections || []).map((section) => ({
+    name: section.name,
+    notes: sortNotes(section.notes || []).map((note) => ({
+      heading: note.heading || "",
+      body: normalizeDoc(note.body),
+    })),
+  })),
+});
+
+// Apply a template to an item's sections. "merge" adds the template's
+// notes to sections of the same name (creating missing sections);
+// "replace" discards the existing sections.
+export const applyTemplate = (
+  sections,
+  template,
+  { mode = "merge", item, authorId, authorName, now = Date.now() }
+) => {
+  const values = getPlaceholderValues({ item, authorName, now });
+  const fill = (text) => fillPlaceholders(text, values);
+  const updatedSections = mode === "replace" ? [] : [...(sections || [])];
+
+  template.sections.forEach((templateSection) => {
+    const name = fill(templateSection.name) || "New Section";
+    let target = updatedSections.find((s) => s.name === name);
+    if (!target) {
+      target = createSection(name, updatedSections.length);
+      updatedSections.push(target);
+    } else {
+      target = { ...target, notes: [...(target.notes || [])] };
+      updatedSections[updatedSections.findIndex((s) => s.id === target.id)] =
+        target;
+    }
+
+    (templateSection.notes || []).forEach((note) => {
+      target.notes.push(
+        createNote(
+          item.id,
+          getItemTitle(item),
+          item.type || "item",
+          target.id,
+          fill(note.heading),
+          mapDocText(note.body, fill),
+          authorId,
+          target.notes.length
+        )
+      );
+    });
+  });
+
+  return updatedSections;
+};
+
+export async function getBoardTemplates() {
+  try {
+    const templates = await miro.board.getAppData(TEMPLATES_KEY);
+    return Array.isArray(templates) ? templates : [];
+  } catch (error) {
+    console.error("[Annotate] Error reading templates:", error);
+    return [];
+  }
+}
+
+// Save an item's sections as a board template
+export async function saveBoardTemplate(name, sections, authorId) {
+  const template = {
+    ...templateFromSections(name, sections),
+    createdBy: authorId,
+    createdAt: Date.now(),
+  };
+  const templates = [...(await getBoardTemplates()), template];
+  const size = new TextEncoder().encode(JSON.stringify(templates)).length;
+  if (size > MAX_PAYLOAD_SIZE) {
+    throw new Error("Not enough room for this template on the board");
+  }
+  await miro.board.setAppData(TEMPLATES_KEY, templates);
+  return template;
+}
+
+export async function deleteBoardTemplate(templateId) {
+  const templates = await getBoardTemplates();
+  await miro.board.setAppData(
+    TEMPLATES_KEY,
+    templates.filter((t) => t.id !== templateId)
+  );
+}
@@ -0,0 +1,128 @@
+// Board users for @-mentions and editor lists
+//
+// Users come from the SDK: everyone currently on the board plus the current
+// user. The SDK cannot list offline board members, so everyone who opens
+// the app is also remembered in the board's app data (one key per member,
+// so concurrent panels never overwrite each other). In development,
+// VITE_FAKE_USERS=true swaps in a fixed list so mentions can be tried
+// without collaborators.
+
+import { METADATA_KEY, USE_FAKE_USERS } from "./config.js";
+
+const MEMBER_KEY_PREFIX = `${METADATA_KEY}-member:`;
+
+// How long a fetched user list is reused
+const USERS_CACHE_MS = 30 * 1000;
+
+const FAKE_USERS = [
+  { id: "fake-user-1", name: "Ada Lovelace" },
+  { id: "fake-user-2", name: "Grace Hopper" },
+  { id: "fake-user-3", name: "Alan Turing" },
+  { id: "fake-user-4", name: "Katherine Johnson" },
+];
+
+// Members remembered in app data, as [{ id, name }]
+const getRememberedMembers = async () => {
+  const appData = (await miro.board.getAppData()) || {};
+  return Object.entries(appData)
+    .filter(([key]) => key.startsWith(MEMBER_KEY_PREFIX))
+    .map(([, member]) => member)
+    .filter((member) => member?.id);
+};
+
+// Remember a user as a member of this board, so they can be chosen as an
+// editor or mentioned while offline
+export async function rememberBoardMember(user) {
+  if (!user?.id) return;
+  const key = `${MEMBER_KEY_PREFIX}${user.id}`;
+  const member = { id: String(user.id), name: user.name || null };
+  try {
+    const stored = await miro.board.getAppData(key);
+    if (stored?.id === member.id && stored.name === member.name) return;
+    await miro.board.setAppData(key, member);
+  } catch (error) {
+    console.error("[Annotate] Error remembering board member:", error);
+  }
+}
+
+// Online users come first, so they keep their online flag
+const sdkUserProvider = async () => {
+  const [onlineUsers, currentUser, members] = await Promise.all([
+    miro.board.getOnlineUsers(),
+    miro.board.getUserInfo(),
+    getRememberedMembers().catch((error) => {
+      console.error("[Annotate] Error loading board members:", error);
+      return [];
+    }),
+  ]);
+  return [
+    ...[currentUser, ...(onlineUsers || [])].map((user) => ({
+      ...user,
+      online: true,
+    })),
+    ...members,
+  ];
+};
+
+// The real current user is kept when available, so "Mentions me" works
+const fakeUserProvider = async () => {
+  try {
+    return [await miro.board.getUserInfo(), ...FAKE_USERS];
+  } catch (error) {
+    return FAKE_USERS;
+  }
+};
+
+let provider = USE_FAKE_USERS ? fakeUserProvider : sdkUserProvider;
+let cache = null;
+
+// Replace where users come from (e.g. a local fake in development)
+export const setUserProvider = (nextProvider) => {
+  provider = nextProvider;
+  cache = null;
+};
+
+// Board users as [{ id, name, online }], unique and sorted by name
+export async function getBoardUsers() {
+  if (cache && Date.now() - cache.fetchedAt < USERS_CACHE_MS) {
+    return cache.users;
+  }
+
+  try {
+    const byId = new Map();
+    (await provider()).forEach((user) => {
+      if (user?.id && !byId.has(String(user.id))) {
+        byId.set(String(user.id), {
+          id: String(user.id),
+          name: user.name || "Unknown user",
+          online: Boolean(user.online),
+        });
+      }
+    });
+    const users = [...byId.values()].sort((a, b) =>
+      a.name.localeCompare(b.name)
+    );
+    cache = { users, fetchedAt: Date.now() };
+    return users;
+  } catch (error) {
+    console.error("[Annotate] Error loading board users:", error);
+    return cache?.users || [];
+  }
+}
+
+// Users whose name matches an @-query (word prefixes first)
+export const matchUsers = (users, query, limit = 6) => {
+  const lowerQuery = query.toLowerCase();
+  const scored = users
+    .map((user) => {
+      const name = user.name.toLowerCase();
+      if (name.startsWith(lowerQuery)) return { user, score: 0 };
+      if (name.split(/\s+/).some((word) => word.startsWith(lowerQuery))) {
+        return { user, score: 1 };
+      }
+      return name.includes(lowerQuery) ? { user, score: 2 } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.score - b.score);
+  return scored.slice(0, limit).map(({ user }) => user);
+};
@@ -0,0 +1,37 @@
+import { describe, expect, it } from "vitest";
+
+import { getBoardUsers, rememberBoardMember } from "./users.js";
+
+// Board with app data and a changing set of online users
+const appData = {};
+const board = {
+  online: [],
+  getOnlineUsers: async () => board.online,
+  getUserInfo: async () => ({ id: "me", name: "Me" }),
+  getAppData: async (key) => (key ? appData[key] : { ...appData }),
+  setAppData: async (key, value) => {
+    appData[key] = value;
+  },
+};
+globalThis.miro = { board };
+
+describe("board members", () => {
+  it("remembers members from concurrent panels without losing any", async () => {
+    await Promise.all([
+      rememberBoardMember({ id: "ada", name: "Ada" }),
+      rememberBoardMember({ id: "grace", name: "Grace" }),
+      rememberBoardMember({ id: "me", name: "Me" }),
+    ]);
+    expect(Object.keys(appData)).toHaveLength(3);
+  });
+
+  it("lists remembered members while they are offline", async () => {
+    board.online = [{ id: "alan", name: "Alan" }];
+    expect(await getBoardUsers()).toEqual([
+      { id: "ada", name: "Ada", online: false },
+      { id: "alan", name: "Alan", online: true },
+      { id: "grace", name: "Grace", online: false },
+      { id: "me", name: "Me", online: true },
+    ]);
+  });
+});